@@ -5,6 +5,7 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 
 const auth = async (req, res, next) => {
   try {
@@ -27,9 +28,21 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ error: 'User not found' });
     }
     
+    // Tokens from before sessions can't be revoked, so they no longer
+    // count - those devices log in again
+    if (!decoded.sessionId) {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+    
+    // A device signed out from the sessions list is cut off right away
+    if (!(await Session.exists({ _id: decoded.sessionId, user: user._id }))) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+    
     // Attach user to request
     req.user = user;
     req.userId = user._id;
+    req.sessionId = decoded.sessionId;
     
     next();
   } catch (error) {
@@ -23,9 +23,15 @@ const completionSchema = new mongoose.Schema({
     required: true
   },
   value: {
-    type: Number,
+    type: Number, // 1 for yes/no habits, the amount for measurable ones, null for a note-only day
+    min: 0,
     default: 1
   },
+  status: {
+    type: String, // 'skipped' days count neither as done nor as missed
+    enum: ['done', 'skipped'],
+    default: 'done'
+  },
   note: {
     type: String,
     maxlength: 500
@@ -33,7 +39,14 @@ const completionSchema = new mongoose.Schema({
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  version: {
+    type: Number, // Bumped on every update, used to detect stale writes
+    default: 1
   }
+}, {
+  // updatedAt drives delta sync (GET /api/sync)
+  timestamps: { createdAt: false, updatedAt: true }
 });
 
 // Compound index for unique habit+date combination per user
@@ -42,4 +55,7 @@ completionSchema.index({ user: 1, habit: 1, date: 1 }, { unique: true });
 // Index for date range queries
 completionSchema.index({ habit: 1, date: 1 });
 
+// Index for delta sync
+completionSchema.index({ user: 1, updatedAt: 1 });
+
 module.exports = mongoose.model('Completion', completionSchema);
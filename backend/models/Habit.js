@@ -4,6 +4,32 @@
 
 const mongoose = require('mongoose');
 
+const reminderSchema = new mongoose.Schema({
+  time: {
+    type: String, // Local time of day, HH:MM
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Reminder time must be HH:MM']
+  },
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+    default: [0, 1, 2, 3, 4, 5, 6]
+  }
+}, { _id: false });
+
+// A date range (e.g. a holiday) the habit is paused for - those days aren't scheduled
+const pauseSchema = new mongoose.Schema({
+  start: {
+    type: String, // Format: YYYY-MM-DD
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Pause start must be YYYY-MM-DD']
+  },
+  end: {
+    type: String, // Format: YYYY-MM-DD, inclusive
+    required: true,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Pause end must be YYYY-MM-DD']
+  }
+}, { _id: false });
+
 const habitSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -11,6 +37,10 @@ const habitSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  uuid: {
+    type: String, // Client-generated, lets offline creates be replayed safely
+    trim: true
+  },
   name: {
     type: String,
     required: [true, 'Habit name is required'],
@@ -30,11 +60,19 @@ const habitSchema = new mongoose.Schema({
     type: String,
     default: '🎯'
   },
+  tags: {
+    type: [{ type: String, trim: true, maxlength: [30, 'Tags cannot exceed 30 characters'] }], // User-defined categories, e.g. Health
+    default: []
+  },
   frequency: {
     type: String,
-    enum: ['daily', 'weekly', 'interval'],
+    enum: ['daily', 'weekly', 'interval', 'specific_days', 'period'],
     default: 'daily'
   },
+  specificDays: {
+    type: [{ type: Number, min: 0, max: 6 }], // For 'specific_days', 0 = Sunday
+    default: undefined
+  },
   timesPerWeek: {
     type: Number,
     min: 1,
@@ -47,6 +85,49 @@ const habitSchema = new mongoose.Schema({
     max: 30,
     default: 2
   },
+  // For 'period': timesPerPeriod completions per calendar month, or per periodDays days
+  timesPerPeriod: {
+    type: Number,
+    min: 1,
+    max: 100
+  },
+  periodType: {
+    type: String,
+    enum: ['month', 'days']
+  },
+  periodDays: {
+    type: Number,
+    min: 2,
+    max: 365
+  },
+  type: {
+    type: String,
+    enum: ['boolean', 'measurable'], // Yes/no, or a number per day (e.g. km run)
+    default: 'boolean'
+  },
+  unit: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Unit cannot exceed 20 characters']
+  },
+  target: {
+    type: Number, // Daily target for measurable habits
+    min: 0,
+    default: 1
+  },
+  targetType: {
+    type: String,
+    enum: ['at_least', 'at_most'],
+    default: 'at_least'
+  },
+  reminders: {
+    type: [reminderSchema],
+    default: []
+  },
+  pauses: {
+    type: [pauseSchema],
+    default: []
+  },
   archived: {
     type: Boolean,
     default: false
@@ -55,13 +136,22 @@ const habitSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  version: {
+    type: Number, // Bumped on every update, used to detect stale writes
+    default: 1
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  // updatedAt drives delta sync (GET /api/sync)
+  timestamps: { createdAt: false, updatedAt: true }
 });
 
 // Index for faster queries
 habitSchema.index({ user: 1, archived: 1 });
+habitSchema.index({ user: 1, uuid: 1 }, { unique: true, partialFilterExpression: { uuid: { $type: 'string' } } });
+habitSchema.index({ user: 1, updatedAt: 1 });
 
 module.exports = mongoose.model('Habit', habitSchema);
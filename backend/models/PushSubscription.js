@@ -0,0 +1,34 @@
+/**
+ * PushSubscription Model
+ * A browser's Web Push subscription, used to deliver reminders
+ */
+
+const mongoose = require('mongoose');
+
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  endpoint: {
+    type: String, // Push service URL, unique per browser subscription
+    required: true,
+    unique: true
+  },
+  keys: {
+    p256dh: { type: String, required: true },
+    auth: { type: String, required: true }
+  },
+  userAgent: {
+    type: String,
+    maxlength: 300
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('PushSubscription', pushSubscriptionSchema);
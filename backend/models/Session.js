@@ -0,0 +1,113 @@
+/**
+ * Session Model
+ * A signed-in device. Holds the hash of its refresh token, which is
+ * swapped for a new one every time it's used (rotation).
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A device that doesn't refresh for this long has to log in again
+const SESSION_TTL_DAYS = 30;
+
+// The previous refresh token is refused quietly for this long after a
+// rotation - two tabs refreshing at once - and ends the session after
+const REUSE_GRACE_MS = 60 * 1000;
+
+const createSecret = () => crypto.randomBytes(32).toString('hex');
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const getExpiry = () => new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHash: {
+    type: String
+  },
+  rotatedAt: {
+    type: Date
+  },
+  userAgent: {
+    type: String,
+    maxlength: 300
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB remove expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Start a session for a device that just logged in
+ * @returns {Promise<{session: Object, refreshToken: string}>}
+ */
+sessionSchema.statics.start = async function(userId, userAgent) {
+  const secret = createSecret();
+  const session = await this.create({
+    user: userId,
+    tokenHash: hashToken(secret),
+    userAgent: userAgent?.slice(0, 300),
+    expiresAt: getExpiry()
+  });
+  
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+/**
+ * Swap the session's refresh token for a new one
+ * Only one of two requests racing with the same token wins.
+ * @returns {Promise<string|null>} - The new refresh token, null if another request rotated first
+ */
+sessionSchema.methods.rotate = async function() {
+  const secret = createSecret();
+  const now = new Date();
+  
+  const result = await this.constructor.updateOne(
+    { _id: this._id, tokenHash: this.tokenHash },
+    {
+      $set: {
+        tokenHash: hashToken(secret),
+        previousTokenHash: this.tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: getExpiry()
+      }
+    }
+  );
+  
+  return result.modifiedCount === 1 ? `${this._id}.${secret}` : null;
+};
+
+/**
+ * Check a refresh token's secret against this session
+ * @returns {'current'|'recent'|'reused'|'invalid'} - 'recent' is the
+ *   previous token within the grace period, 'reused' one after it
+ */
+sessionSchema.methods.checkToken = function(secret) {
+  const hash = hashToken(secret);
+  
+  if (hash === this.tokenHash) return 'current';
+  if (hash !== this.previousTokenHash) return 'invalid';
+  return Date.now() - this.rotatedAt < REUSE_GRACE_MS ? 'recent' : 'reused';
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,45 @@
+/**
+ * Tombstone Model
+ * Remembers deleted habits and completions so other devices can
+ * remove them during a delta sync
+ */
+
+const mongoose = require('mongoose');
+
+// How long deletions are remembered - older sync cursors get a full snapshot
+const TOMBSTONE_TTL_DAYS = 90;
+
+const tombstoneSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['habit', 'completion'],
+    required: true
+  },
+  habit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Habit',
+    required: true
+  },
+  date: {
+    type: String // Format: YYYY-MM-DD (completions only)
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for "deleted since" queries
+tombstoneSchema.index({ user: 1, deletedAt: 1 });
+
+// Let MongoDB expire old tombstones
+tombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: TOMBSTONE_TTL_DAYS * 24 * 60 * 60 });
+
+tombstoneSchema.statics.TTL_DAYS = TOMBSTONE_TTL_DAYS;
+
+module.exports = mongoose.model('Tombstone', tombstoneSchema);
@@ -2,9 +2,15 @@
  * User Model
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// How long an emailed password reset link works
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -29,7 +35,26 @@ const userSchema = new mongoose.Schema({
   settings: {
     darkMode: { type: Boolean, default: true },
     weekStartsOn: { type: Number, default: 0 },
-    showConfetti: { type: Boolean, default: true }
+    showConfetti: { type: Boolean, default: true },
+    timeZone: { type: String, default: 'UTC' } // IANA name, reminders fire in this zone
+  },
+  // Secret in the URL of the user's calendar feed (/api/calendar/:token.ics)
+  calendarToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  // Hash of the token in the last password reset link, cleared once used
+  passwordResetTokenHash: {
+    type: String,
+    index: true,
+    sparse: true,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   },
   createdAt: {
     type: Date,
@@ -51,4 +76,29 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Start a password reset, replacing any earlier link
+ * Only the token's hash is kept - call save() afterwards.
+ * @returns {string} - The token for the emailed link
+ */
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MS);
+  return token;
+};
+
+/**
+ * Find the user a password reset token belongs to and use the token up
+ * Done in one update, so of two requests with the same token only one
+ * gets the user.
+ * @returns {Promise<Object|null>} - null when the token is unknown, used or expired
+ */
+userSchema.statics.claimPasswordResetToken = async function(token) {
+  return await this.findOneAndUpdate(
+    { passwordResetTokenHash: hashToken(String(token)), passwordResetExpires: { $gt: new Date() } },
+    { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } }
+  );
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -1,25 +1,49 @@
 /**
  * Authentication Routes
- * Signup, Login, Get Profile, Update Settings
+ * Signup, Login, Token Refresh, Sessions, Password Reset, Get Profile, Update Settings
  */
 
 const express = require('express');
 const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const auth = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/time');
+const mail = require('../utils/mail');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (userId) => {
+// Access tokens are short-lived - the app renews them with its refresh token
+const ACCESS_TOKEN_TTL = '15m';
+
+// Generate JWT access token for a session
+const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId },
+    { userId, sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: '30d' }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 };
 
+// Sign a device in: a session with its refresh token, plus an access token
+const startSession = async (user, req) => {
+  const { session, refreshToken } = await Session.start(user._id, req.get('User-Agent'));
+  return { token: generateToken(user._id, session._id), refreshToken };
+};
+
+// Find the session a refresh token ("<session id>.<secret>") belongs to
+const findSession = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!mongoose.isValidObjectId(sessionId) || !secret) return {};
+  
+  const session = await Session.findById(sessionId);
+  if (!session || session.expiresAt < new Date()) return {};
+  
+  return { session, status: session.checkToken(secret) };
+};
+
 /**
  * POST /api/auth/signup
  * Register a new user
@@ -48,12 +72,13 @@ router.post('/signup', [
     const user = new User({ name, email, password });
     await user.save();
     
-    // Generate token
-    const token = generateToken(user._id);
+    // Sign this device in
+    const { token, refreshToken } = await startSession(user, req);
     
     res.status(201).json({
       message: 'Account created successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -98,12 +123,13 @@ router.post('/login', [
       return res.status(401).json({ error: 'Invalid email or password' });
     }
     
-    // Generate token
-    const token = generateToken(user._id);
+    // Sign this device in
+    const { token, refreshToken } = await startSession(user, req);
     
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -117,6 +143,200 @@ router.post('/login', [
   }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Swap a refresh token for a new access token and a new refresh token
+ * (each refresh token works once). Using an old one again after the
+ * grace period ends the session, as the token may have been stolen.
+ */
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { session, status } = await findSession(req.body.refreshToken);
+    
+    if (status === 'reused') {
+      await session.deleteOne();
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+    if (status === 'recent') {
+      return res.status(401).json({ error: 'Refresh token already used' });
+    }
+    if (status !== 'current') {
+      return res.status(401).json({ error: 'Session expired' });
+    }
+    
+    // Null when another request with the same token got there first
+    const refreshToken = await session.rotate();
+    if (!refreshToken) {
+      return res.status(401).json({ error: 'Refresh token already used' });
+    }
+    
+    res.json({
+      token: generateToken(session.user, session._id),
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the session a refresh token belongs to (works with an expired
+ * access token, so no auth header is needed)
+ */
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { session, status } = await findSession(req.body.refreshToken);
+    if (status === 'current' || status === 'recent') {
+      await session.deleteOne();
+    }
+    
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+/**
+ * POST /api/auth/forgot
+ * Email a link for choosing a new password. Answers the same whether or
+ * not the address has an account, so it can't be used to look them up.
+ */
+router.post('/forgot', [
+  body('email').isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    if (!mail.isConfigured()) {
+      return res.status(503).json({ error: 'Password reset by email is not available on this server' });
+    }
+    
+    const user = await User.findOne({ email: req.body.email.trim().toLowerCase() });
+    
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      
+      const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/?reset=${token}`;
+      // Not awaited - a slow mail server would tell the addresses apart
+      mail.sendMail({
+        to: user.email,
+        subject: 'Reset your Loop Habits password',
+        text: `Hi ${user.name},\n\n` +
+          `Someone asked to reset the password of your Loop Habits account. ` +
+          `To choose a new one, open this link within the next hour:\n\n${link}\n\n` +
+          `If that wasn't you, ignore this email - your password stays the same.`
+      }).catch(error => console.error('Reset mail error:', error.message));
+    }
+    
+    res.json({ message: 'If that email has an account, a reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to start password reset' });
+  }
+});
+
+/**
+ * POST /api/auth/reset
+ * Choose a new password with the token from a reset link (each link
+ * works once). Signs every device out.
+ */
+router.post('/reset', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const user = await User.claimPasswordResetToken(req.body.token);
+    if (!user) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+    }
+    
+    user.password = req.body.password;
+    await user.save();
+    
+    // Whoever knew the old password is signed out too
+    await Session.deleteMany({ user: user._id });
+    
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+/**
+ * GET /api/auth/sessions
+ * Devices signed in to this account, most recently used first
+ */
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.userId }).sort({ lastUsedAt: -1 });
+    
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: String(session._id) === String(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Sign a device out - its tokens stop working right away
+ */
+router.delete('/sessions/:id', auth, [
+  param('id').isMongoId().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const result = await Session.deleteOne({ _id: req.params.id, user: req.userId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 /**
  * GET /api/auth/me
  * Get current user profile
@@ -143,12 +363,13 @@ router.get('/me', auth, async (req, res) => {
  */
 router.put('/settings', auth, async (req, res) => {
   try {
-    const { darkMode, weekStartsOn, showConfetti } = req.body;
+    const { darkMode, weekStartsOn, showConfetti, timeZone } = req.body;
     
     const updateFields = {};
     if (typeof darkMode === 'boolean') updateFields['settings.darkMode'] = darkMode;
     if (typeof weekStartsOn === 'number') updateFields['settings.weekStartsOn'] = weekStartsOn;
     if (typeof showConfetti === 'boolean') updateFields['settings.showConfetti'] = showConfetti;
+    if (isValidTimeZone(timeZone)) updateFields['settings.timeZone'] = timeZone;
     
     const user = await User.findByIdAndUpdate(
       req.userId,
@@ -190,10 +411,15 @@ router.put('/password', auth, [
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
     
-    // Update password
+    // Update password (a pending reset link stops working)
     user.password = newPassword;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
     await user.save();
     
+    // Sign out every other device
+    await Session.deleteMany({ user: user._id, _id: { $ne: req.sessionId } });
+    
     res.json({ message: 'Password updated successfully' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to update password' });
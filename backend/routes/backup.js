@@ -0,0 +1,350 @@
+/**
+ * Backup Routes
+ * Bulk export and import in the JSON backup format (see EXPORT_FORMAT.md)
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Habit = require('../models/Habit');
+const Completion = require('../models/Completion');
+const Tombstone = require('../models/Tombstone');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { backupFormat, csvExport, zip } = require('../utils/shared');
+
+const router = express.Router();
+
+// Kept from the existing habit when an imported one matches it
+const KEPT_HABIT_FIELDS = ['uuid', 'createdAt', 'order'];
+
+const SETTINGS_FIELDS = ['darkMode', 'weekStartsOn', 'showConfetti'];
+
+// Copy the given fields that are set on a record
+const pickFields = (record, fields) => {
+  const picked = {};
+  fields.forEach(field => {
+    if (record[field] !== undefined && record[field] !== null) picked[field] = record[field];
+  });
+  return picked;
+};
+
+// Whether the server can run transactions (cached after the first import)
+let transactionsSupported = null;
+
+// Only replica sets and sharded clusters (Atlas is always one) have transactions
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    const admin = mongoose.connection.db.admin();
+    // `hello` is MongoDB 4.4.2+, older servers still answer `isMaster`
+    const status = await admin.command({ hello: 1 }).catch(() => admin.command({ isMaster: 1 }));
+    transactionsSupported = Boolean(status.setName) || status.msg === 'isdbgrid';
+  }
+  return transactionsSupported;
+};
+
+/**
+ * Check every record against the models before anything is written
+ * readBackup() checks the format; this adds the models' own limits
+ * (ranges, lengths, reminder and pause format) and repeated UUIDs, which
+ * would otherwise only fail once the import is half written.
+ * @throws {Error} - Naming the first invalid record
+ */
+const checkDocuments = async (userId, data) => {
+  const invalid = (label, message) => new Error(`Invalid backup: ${label}: ${message}`);
+  const firstMessage = error => Object.values(error.errors || {})[0]?.message || error.message;
+  const uuids = new Set();
+  
+  for (const [index, { id, ...fields }] of data.habits.entries()) {
+    const label = `habits[${index}] (${fields.name})`;
+    if (fields.uuid) {
+      if (uuids.has(fields.uuid)) throw invalid(label, `uuid ${fields.uuid} is used twice`);
+      uuids.add(fields.uuid);
+    }
+    try {
+      await new Habit({ ...fields, user: userId }).validate();
+    } catch (error) {
+      throw invalid(label, firstMessage(error));
+    }
+  }
+  
+  // Completions aren't linked to their habit yet, any ID will do
+  const habit = new mongoose.Types.ObjectId();
+  for (const [index, { habitId, ...fields }] of data.completions.entries()) {
+    try {
+      await new Completion({ ...fields, user: userId, habit }).validate();
+    } catch (error) {
+      throw invalid(`completions[${index}] (${fields.date})`, firstMessage(error));
+    }
+  }
+};
+
+// Compare field values (dates, arrays and subdocuments by content)
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Same UUID, or else the same name (ignoring case)
+const findMatchingHabit = (habits, imported) => {
+  const name = String(imported.name || '').trim().toLowerCase();
+  let byName = null;
+  
+  for (const habit of habits) {
+    if (imported.uuid && habit.uuid === imported.uuid) return habit;
+    if (!byName && name && habit.name.toLowerCase() === name) byName = habit;
+  }
+  return byName;
+};
+
+// Everything the user has, as a backup
+const loadBackup = async (user) => {
+  const [habits, completions] = await Promise.all([
+    Habit.find({ user: user._id }).sort({ order: 1 }),
+    Completion.find({ user: user._id }).sort({ date: 1 })
+  ]);
+  const { createBackup } = await backupFormat();
+  
+  return createBackup({
+    habits: habits.map(habit => habit.toObject()),
+    completions: completions.map(completion => completion.toObject()),
+    settings: user.toObject().settings
+  });
+};
+
+/**
+ * GET /api/export
+ * Download all habits, completions and settings as a JSON backup
+ */
+router.get('/export', auth, async (req, res) => {
+  try {
+    res.json(await loadBackup(req.user));
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+/**
+ * GET /api/export/csv
+ * Download a ZIP of habits.csv (settings per habit) and completions.csv
+ * (one row per habit and day) - the same files the app builds offline
+ */
+router.get('/export/csv', auth, async (req, res) => {
+  try {
+    const [{ buildCSVFiles }, { zip: createZip }] = await Promise.all([csvExport(), zip()]);
+    const archive = await createZip(buildCSVFiles(await loadBackup(req.user)));
+    const date = new Date().toISOString().slice(0, 10);
+    
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="loop-habits-${date}.zip"`
+    });
+    res.send(Buffer.from(await archive.arrayBuffer()));
+  } catch (error) {
+    console.error('CSV export error:', error);
+    res.status(500).json({ error: 'Failed to export data' });
+  }
+});
+
+/**
+ * POST /api/import
+ * Restore a JSON backup, all or nothing (one transaction). A standalone
+ * MongoDB server has no transactions: there a merge is written without
+ * one and replace is refused.
+ * Query params: replace (true to delete every habit first)
+ *
+ * By default the backup is merged: habits are matched by UUID, then by
+ * name, and completions by (habit, date) - of two different records for
+ * the same day the more recently changed one wins. Responds with
+ * added/updated/skipped counts.
+ */
+router.post('/import', auth, [
+  query('replace').optional().isBoolean().withMessage('replace must be true or false')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  
+  // Older formats are migrated; an invalid record is named in the error
+  let backup;
+  try {
+    const { readBackup } = await backupFormat();
+    backup = readBackup(req.body);
+    await checkDocuments(req.userId, backup);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  const replace = req.query.replace === 'true';
+  let session = null;
+  
+  try {
+    let report;
+    if (await supportsTransactions()) {
+      session = await mongoose.startSession();
+      // The callback may be retried on a transient error, so it starts afresh
+      await session.withTransaction(async () => {
+        report = await importBackup(req.userId, backup, { replace, session });
+      });
+    } else if (replace) {
+      // Deleting first without a transaction could lose everything to a
+      // failure part-way
+      return res.status(409).json({
+        error: 'Replacing all data needs a MongoDB replica set - import without replacing instead'
+      });
+    } else {
+      // Every record was checked above, and a merge only adds and updates:
+      // a failure part-way (e.g. a lost connection) loses nothing, and
+      // importing again finishes the job
+      report = await importBackup(req.userId, backup, { replace, session: null });
+    }
+    
+    res.json({
+      message: 'Backup imported',
+      report
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Import error:', error);
+    res.status(500).json({ error: 'Failed to import data' });
+  } finally {
+    session?.endSession();
+  }
+});
+
+async function importBackup(userId, data, { replace, session }) {
+  const report = {
+    habits: { added: 0, updated: 0, skipped: 0 },
+    completions: { added: 0, updated: 0, skipped: 0 }
+  };
+  
+  if (replace) {
+    const oldHabits = await Habit.find({ user: userId }, '_id').session(session);
+    await Completion.deleteMany({ user: userId }, { session });
+    await Habit.deleteMany({ user: userId }, { session });
+    // Let other devices know (covers the habits' completions too)
+    await Tombstone.insertMany(
+      oldHabits.map(habit => ({ user: userId, kind: 'habit', habit: habit._id })),
+      { session }
+    );
+  }
+  
+  // Habits, remembering which habit each backup ID became
+  const existing = await Habit.find({ user: userId }).session(session);
+  const unmatched = new Set(existing);
+  const habitIdMap = new Map();
+  let nextOrder = existing.reduce((max, habit) => Math.max(max, habit.order + 1), 0);
+  
+  for (const imported of data.habits) {
+    const { id, ...fields } = imported;
+    const match = findMatchingHabit(unmatched, fields);
+    
+    if (!match) {
+      // Kept in place when replacing, added at the end when merging
+      const habit = new Habit({
+        ...fields,
+        user: userId,
+        order: replace && typeof fields.order === 'number' ? fields.order : nextOrder++
+      });
+      await habit.save({ session });
+      habitIdMap.set(id, habit._id);
+      report.habits.added++;
+      continue;
+    }
+    
+    unmatched.delete(match);
+    habitIdMap.set(id, match._id);
+    
+    const current = match.toObject();
+    const changed = Object.keys(fields)
+      .filter(key => !KEPT_HABIT_FIELDS.includes(key) && !isSameValue(fields[key], current[key]));
+    if (changed.length === 0) {
+      report.habits.skipped++;
+      continue;
+    }
+    
+    changed.forEach(key => match.set(key, fields[key]));
+    match.version += 1;
+    await match.save({ session });
+    report.habits.updated++;
+  }
+  
+  // Completions - the newest record per habit and day
+  const incoming = new Map();
+  for (const completion of data.completions) {
+    const habitId = habitIdMap.get(completion.habitId);
+    const key = `${habitId}|${completion.date}`;
+    const previous = incoming.get(key);
+    
+    // One of the two copies of a day is dropped either way
+    if (previous) report.completions.skipped++;
+    if (previous && !(new Date(completion.timestamp) > previous.timestamp)) continue;
+    
+    incoming.set(key, {
+      habit: habitId,
+      date: completion.date,
+      // Undated records (from CSV files) only fill in days with nothing yet
+      timestamp: completion.timestamp ? new Date(completion.timestamp) : null,
+      value: completion.value ?? null,
+      status: completion.status || 'done',
+      note: completion.note || null
+    });
+  }
+  
+  const currentCompletions = await Completion.find({
+    user: userId,
+    habit: { $in: [...new Set(habitIdMap.values())] }
+  }).session(session);
+  const byKey = new Map(currentCompletions.map(c => [`${c.habit}|${c.date}`, c]));
+  
+  const operations = [];
+  for (const [key, record] of incoming) {
+    const current = byKey.get(key);
+    
+    if (!current) {
+      const { note, timestamp, ...fields } = record;
+      operations.push({
+        insertOne: {
+          document: { ...fields, timestamp: timestamp || new Date(), ...(note && { note }), user: userId }
+        }
+      });
+      report.completions.added++;
+      continue;
+    }
+    
+    const isSame = ['value', 'status', 'note'].every(field => isSameValue(current[field], record[field]));
+    if (isSame || !(record.timestamp > current.timestamp)) {
+      report.completions.skipped++;
+      continue;
+    }
+    
+    const { note, ...fields } = record;
+    operations.push({
+      updateOne: {
+        filter: { _id: current._id },
+        update: note
+          ? { $set: { ...fields, note }, $inc: { version: 1 } }
+          : { $set: fields, $unset: { note: 1 }, $inc: { version: 1 } }
+      }
+    });
+    report.completions.updated++;
+  }
+  
+  if (operations.length > 0) {
+    await Completion.bulkWrite(operations, { session });
+  }
+  
+  if (replace && data.settings) {
+    const settings = pickFields(data.settings, SETTINGS_FIELDS);
+    const updateFields = {};
+    Object.entries(settings).forEach(([key, value]) => { updateFields[`settings.${key}`] = value; });
+    if (Object.keys(updateFields).length > 0) {
+      await User.updateOne({ _id: userId }, { $set: updateFields }, { session });
+    }
+  }
+  
+  return report;
+}
+
+module.exports = router;
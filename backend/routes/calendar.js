@@ -0,0 +1,118 @@
+/**
+ * Calendar Routes
+ * A private iCalendar feed of the user's habit schedules and logged days,
+ * for calendar apps to subscribe to. Those can't log in, so the feed URL
+ * carries a random token instead.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const Habit = require('../models/Habit');
+const Completion = require('../models/Completion');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { backupFormat, ics } = require('../utils/shared');
+const { isValidTimeZone } = require('../utils/time');
+
+const router = express.Router();
+
+const TOKEN_PATTERN = /^[a-f0-9]{48}$/;
+
+/**
+ * GET /api/calendar/link
+ * The token of the user's feed, null while the feed is off
+ */
+router.get('/link', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('+calendarToken');
+    res.json({ token: user.calendarToken || null });
+  } catch (error) {
+    console.error('Get calendar link error:', error);
+    res.status(500).json({ error: 'Failed to get calendar link' });
+  }
+});
+
+/**
+ * POST /api/calendar/link
+ * Turn the feed on with a new token - a previous link stops working
+ * Body: timeZone (optional, the zone the feed's days are read in)
+ */
+router.post('/link', auth, [
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Unknown time zone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const token = crypto.randomBytes(24).toString('hex');
+    const update = { calendarToken: token };
+    if (req.body.timeZone) {
+      update['settings.timeZone'] = req.body.timeZone;
+    }
+    await User.updateOne({ _id: req.userId }, { $set: update });
+    
+    res.status(201).json({ token });
+  } catch (error) {
+    console.error('Create calendar link error:', error);
+    res.status(500).json({ error: 'Failed to create calendar link' });
+  }
+});
+
+/**
+ * DELETE /api/calendar/link
+ * Turn the feed off
+ */
+router.delete('/link', auth, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.userId }, { $unset: { calendarToken: 1 } });
+    res.json({ message: 'Calendar link removed' });
+  } catch (error) {
+    console.error('Delete calendar link error:', error);
+    res.status(500).json({ error: 'Failed to remove calendar link' });
+  }
+});
+
+/**
+ * GET /api/calendar/:token.ics
+ * The feed itself: each habit as a recurring all-day event, with the
+ * logged days marked (no login - the token is the key)
+ */
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+    const user = TOKEN_PATTERN.test(token) ? await User.findOne({ calendarToken: token }) : null;
+    
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar not found' });
+    }
+    
+    const [habits, completions] = await Promise.all([
+      Habit.find({ user: user._id, archived: false }).sort({ order: 1 }),
+      Completion.find({ user: user._id }).sort({ date: 1 })
+    ]);
+    const habitIds = new Set(habits.map(habit => String(habit._id)));
+    const [{ createBackup }, { buildCalendar }] = await Promise.all([backupFormat(), ics()]);
+    
+    const backup = createBackup({
+      habits: habits.map(habit => habit.toObject()),
+      completions: completions
+        .filter(completion => habitIds.has(String(completion.habit)))
+        .map(completion => completion.toObject())
+    });
+    
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="loop-habits.ics"',
+      'Cache-Control': 'private, max-age=900'
+    });
+    res.send(buildCalendar(backup, { timeZone: user.settings.timeZone }));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar' });
+  }
+});
+
+module.exports = router;
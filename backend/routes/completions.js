@@ -6,6 +6,7 @@
 const express = require('express');
 const Completion = require('../models/Completion');
 const Habit = require('../models/Habit');
+const Tombstone = require('../models/Tombstone');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
@@ -13,6 +14,29 @@ const router = express.Router();
 // All routes require authentication
 router.use(auth);
 
+// Reject a stale write with the current server copy
+const sendConflict = (res, completion) => {
+  return res.status(409).json({
+    error: 'Completion was changed on another device',
+    completion
+  });
+};
+
+// Notes are free text, capped like the model
+const isValidNote = (note) => {
+  return note === undefined || note === null || (typeof note === 'string' && note.length <= 500);
+};
+
+// Record a deleted completion for delta sync
+const recordDeletion = (userId, habitId, date) => {
+  return Tombstone.create({
+    user: userId,
+    kind: 'completion',
+    habit: habitId,
+    date
+  });
+};
+
 /**
  * GET /api/completions
  * Get all completions for the current user
@@ -54,7 +78,8 @@ router.get('/habit/:habitId', async (req, res) => {
     }).sort({ date: -1 });
     
     // Return just the dates for easier client-side processing
-    const dates = completions.map(c => c.date);
+    // (days with only a note aren't completions)
+    const dates = completions.filter(c => c.value !== null).map(c => c.date);
     
     res.json({ completions, dates });
   } catch (error) {
@@ -65,15 +90,21 @@ router.get('/habit/:habitId', async (req, res) => {
 /**
  * POST /api/completions/toggle
  * Toggle completion for a habit on a specific date
+ * An optional `note` is stored with the day. Unchecking a day that has
+ * a note keeps the note (with a null value) instead of deleting it.
  */
 router.post('/toggle', async (req, res) => {
   try {
-    const { habitId, date } = req.body;
+    const { habitId, date, note } = req.body;
     
     if (!habitId || !date) {
       return res.status(400).json({ error: 'habitId and date are required' });
     }
     
+    if (!isValidNote(note)) {
+      return res.status(400).json({ error: 'note must be text of at most 500 characters' });
+    }
+    
     // Verify habit belongs to user
     const habit = await Habit.findOne({ _id: habitId, user: req.userId });
     if (!habit) {
@@ -87,9 +118,44 @@ router.post('/toggle', async (req, res) => {
       date
     });
     
-    if (existingCompletion) {
+    const isChecked = existingCompletion
+      && existingCompletion.status !== 'skipped'
+      && existingCompletion.value !== null;
+    
+    if (existingCompletion && !isChecked) {
+      // Check off a skipped or note-only day
+      const completion = await Completion.findByIdAndUpdate(
+        existingCompletion._id,
+        {
+          $set: { value: 1, status: 'done', ...(note !== undefined && { note }) },
+          $inc: { version: 1 }
+        },
+        { new: true }
+      );
+      res.json({
+        completed: true,
+        message: 'Habit completed',
+        completion
+      });
+    } else if (existingCompletion && (note ?? existingCompletion.note)) {
+      // Uncheck, but keep the note
+      const completion = await Completion.findByIdAndUpdate(
+        existingCompletion._id,
+        {
+          $set: { value: null, status: 'done', ...(note !== undefined && { note }) },
+          $inc: { version: 1 }
+        },
+        { new: true }
+      );
+      res.json({
+        completed: false,
+        message: 'Completion removed',
+        completion
+      });
+    } else if (existingCompletion) {
       // Remove completion
       await existingCompletion.deleteOne();
+      await recordDeletion(req.userId, habitId, date);
       res.json({
         completed: false,
         message: 'Completion removed'
@@ -99,7 +165,8 @@ router.post('/toggle', async (req, res) => {
       const completion = new Completion({
         user: req.userId,
         habit: habitId,
-        date
+        date,
+        note
       });
       await completion.save();
       res.json({
@@ -117,39 +184,84 @@ router.post('/toggle', async (req, res) => {
 /**
  * POST /api/completions
  * Add a completion (alternative to toggle)
+ * Send `baseVersion` (the version the edit was based on, 0 for a new
+ * completion) to get a 409 with the server copy instead of overwriting
+ * a change made on another device.
  */
 router.post('/', async (req, res) => {
   try {
-    const { habitId, date, value, note } = req.body;
+    const { habitId, date, value, status, note, baseVersion } = req.body;
     
     if (!habitId || !date) {
       return res.status(400).json({ error: 'habitId and date are required' });
     }
     
+    // Measurable habits log 0 and up, e.g. "0 cigarettes"; null keeps
+    // a day that only has a note
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !(value >= 0))) {
+      return res.status(400).json({ error: 'value must be a non-negative number or null' });
+    }
+    
+    if (!isValidNote(note)) {
+      return res.status(400).json({ error: 'note must be text of at most 500 characters' });
+    }
+    
+    if (status !== undefined && !['done', 'skipped'].includes(status)) {
+      return res.status(400).json({ error: 'status must be done or skipped' });
+    }
+    
     // Verify habit belongs to user
     const habit = await Habit.findOne({ _id: habitId, user: req.userId });
     if (!habit) {
       return res.status(404).json({ error: 'Habit not found' });
     }
     
-    // Use upsert to add or update
-    const completion = await Completion.findOneAndUpdate(
-      { user: req.userId, habit: habitId, date },
-      {
+    const existing = await Completion.findOne({ user: req.userId, habit: habitId, date });
+    const storedValue = typeof value === 'number' || value === null ? value : 1;
+    
+    if (existing && typeof baseVersion === 'number' && existing.version !== baseVersion) {
+      return sendConflict(res, existing);
+    }
+    
+    let completion;
+    if (existing) {
+      completion = await Completion.findOneAndUpdate(
+        { _id: existing._id, version: existing.version },
+        {
+          $set: {
+            value: storedValue,
+            status: status || 'done',
+            ...(note !== undefined && { note })
+          },
+          $inc: { version: 1 }
+        },
+        { new: true }
+      );
+    } else {
+      completion = await new Completion({
         user: req.userId,
         habit: habitId,
         date,
-        value: value || 1,
+        value: storedValue,
+        status,
         note
-      },
-      { upsert: true, new: true }
-    );
+      }).save();
+    }
+    
+    // Lost a race with another write
+    if (!completion) {
+      return sendConflict(res, await Completion.findOne({ user: req.userId, habit: habitId, date }));
+    }
     
     res.json({
       message: 'Completion added',
       completion
     });
   } catch (error) {
+    if (error.code === 11000) {
+      const { habitId, date } = req.body;
+      return sendConflict(res, await Completion.findOne({ user: req.userId, habit: habitId, date }));
+    }
     res.status(500).json({ error: 'Failed to add completion' });
   }
 });
@@ -157,21 +269,34 @@ router.post('/', async (req, res) => {
 /**
  * DELETE /api/completions
  * Remove a completion
+ * Send `baseVersion` (the version the removal was based on) to get a 409
+ * with the server copy instead of deleting a change made on another
+ * device. Removing a completion that's already gone succeeds.
  */
 router.delete('/', async (req, res) => {
   try {
-    const { habitId, date } = req.body;
+    const { habitId, date, baseVersion } = req.body;
     
     if (!habitId || !date) {
       return res.status(400).json({ error: 'habitId and date are required' });
     }
     
-    await Completion.findOneAndDelete({
+    const completion = await Completion.findOneAndDelete({
       user: req.userId,
       habit: habitId,
-      date
+      date,
+      ...(typeof baseVersion === 'number' && { version: baseVersion })
     });
     
+    if (completion) {
+      await recordDeletion(req.userId, habitId, date);
+    } else if (typeof baseVersion === 'number') {
+      const current = await Completion.findOne({ user: req.userId, habit: habitId, date });
+      if (current) {
+        return sendConflict(res, current);
+      }
+    }
+    
     res.json({ message: 'Completion removed' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to remove completion' });
@@ -194,10 +319,12 @@ router.get('/stats', async (req, res) => {
     const startDateStr = startDate.toISOString().split('T')[0];
     const endDateStr = endDate.toISOString().split('T')[0];
     
-    // Get completions in range
+    // Get completions in range (skipped and note-only days aren't completions)
     const completions = await Completion.find({
       user: req.userId,
-      date: { $gte: startDateStr, $lte: endDateStr }
+      date: { $gte: startDateStr, $lte: endDateStr },
+      status: { $ne: 'skipped' },
+      value: { $ne: null }
     });
     
     // Group by date
@@ -0,0 +1,50 @@
+/**
+ * Cron Routes
+ * For hosts without a long-running process (Vercel): a scheduled job
+ * calls these instead of the in-process timer. Vercel's cron jobs send
+ * CRON_SECRET as a bearer token; without it set, the routes are off.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const push = require('../utils/push');
+const { sendDueReminders } = require('../scheduler');
+
+const router = express.Router();
+
+// Only the cron job knows the secret
+const isCronRequest = (req) => {
+  const expected = Buffer.from(`Bearer ${process.env.CRON_SECRET}`);
+  const given = Buffer.from(req.header('Authorization') || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * GET /api/cron/reminders
+ * One scheduler tick: send the reminders due in the last minute
+ * (vercel.json runs it every minute)
+ */
+router.get('/reminders', async (req, res) => {
+  if (!process.env.CRON_SECRET) {
+    return res.status(503).json({ error: 'Cron jobs are not configured (set CRON_SECRET)' });
+  }
+  
+  if (!isCronRequest(req)) {
+    return res.status(401).json({ error: 'Invalid cron secret' });
+  }
+  
+  if (!push.isConfigured()) {
+    return res.status(503).json({ error: 'Push notifications are not configured' });
+  }
+  
+  try {
+    const delivered = await sendDueReminders();
+    
+    res.json({ delivered });
+  } catch (error) {
+    console.error('Reminder cron error:', error);
+    res.status(500).json({ error: 'Failed to send reminders' });
+  }
+});
+
+module.exports = router;
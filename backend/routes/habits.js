@@ -7,6 +7,7 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Habit = require('../models/Habit');
 const Completion = require('../models/Completion');
+const Tombstone = require('../models/Tombstone');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
@@ -14,9 +15,63 @@ const router = express.Router();
 // All routes require authentication
 router.use(auth);
 
+const FREQUENCIES = ['daily', 'weekly', 'interval', 'specific_days', 'period'];
+
+const scheduleValidators = [
+  body('frequency').optional().isIn(FREQUENCIES),
+  body('specificDays')
+    .if(body('frequency').equals('specific_days'))
+    .isArray({ min: 1, max: 7 }).withMessage('Pick at least one day of the week'),
+  body('specificDays.*').isInt({ min: 0, max: 6 }).withMessage('Days must be 0-6'),
+  body('timesPerPeriod')
+    .if(body('frequency').equals('period'))
+    .isInt({ min: 1, max: 100 }).withMessage('Times per period must be 1-100'),
+  body('periodType')
+    .if(body('frequency').equals('period'))
+    .isIn(['month', 'days']).withMessage('Period must be month or days'),
+  body('periodDays')
+    .if(body('periodType').equals('days'))
+    .isInt({ min: 2, max: 365 }).withMessage('Period must be 2-365 days'),
+  body('pauses').optional().isArray({ max: 50 }).withMessage('Up to 50 pauses per habit')
+    .custom(pauses => pauses.every(pause => pause.end >= pause.start)).withMessage('A pause cannot end before it starts'),
+  body('pauses.*.start').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Pause start must be YYYY-MM-DD'),
+  body('pauses.*.end').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Pause end must be YYYY-MM-DD')
+];
+
+const measurableValidators = [
+  body('type').optional().isIn(['boolean', 'measurable']),
+  body('unit').optional().isString().isLength({ max: 20 }),
+  body('target').optional().isFloat({ min: 0 }).withMessage('Target must be a positive number'),
+  body('targetType').optional().isIn(['at_least', 'at_most'])
+];
+
+const tagValidators = [
+  body('tags').optional().isArray({ max: 10 }).withMessage('Up to 10 tags per habit'),
+  body('tags.*').isString().trim().isLength({ min: 1, max: 30 }).withMessage('Tags must be 1-30 characters')
+];
+
+// Drop repeated tags, ignoring case ("health" and "Health" are one tag)
+const uniqueTags = (tags) => {
+  const seen = new Set();
+  return tags.filter(tag => {
+    const key = tag.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const reminderValidators = [
+  body('reminders').optional().isArray({ max: 10 }).withMessage('Up to 10 reminders per habit'),
+  body('reminders.*.time').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Reminder time must be HH:MM'),
+  body('reminders.*.days').optional().isArray(),
+  body('reminders.*.days.*').isInt({ min: 0, max: 6 }).withMessage('Reminder days must be 0-6')
+];
+
 /**
  * GET /api/habits
  * Get all habits for the current user
+ * Query params: archived
  */
 router.get('/', async (req, res) => {
   try {
@@ -62,9 +117,14 @@ router.get('/:id', async (req, res) => {
  */
 router.post('/', [
   body('name').trim().notEmpty().withMessage('Name is required'),
+  body('uuid').optional().isString(),
+  body('createdAt').optional().isISO8601(),
   body('color').optional().isString(),
   body('icon').optional().isString(),
-  body('frequency').optional().isIn(['daily', 'weekly', 'interval'])
+  ...tagValidators,
+  ...scheduleValidators,
+  ...measurableValidators,
+  ...reminderValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -72,7 +132,22 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
     
-    const { name, question, color, icon, frequency, timesPerWeek, interval } = req.body;
+    const {
+      uuid, name, question, color, icon, tags, frequency, timesPerWeek, interval, specificDays,
+      timesPerPeriod, periodType, periodDays,
+      type, unit, target, targetType, reminders, pauses, archived, createdAt
+    } = req.body;
+    
+    // Replayed offline create - return the habit that was already created
+    if (uuid) {
+      const existingHabit = await Habit.findOne({ user: req.userId, uuid });
+      if (existingHabit) {
+        return res.json({
+          message: 'Habit already exists',
+          habit: existingHabit
+        });
+      }
+    }
     
     // Get max order for user's habits
     const maxOrderHabit = await Habit.findOne({ user: req.userId }).sort({ order: -1 });
@@ -80,13 +155,27 @@ router.post('/', [
     
     const habit = new Habit({
       user: req.userId,
+      uuid,
       name,
       question,
       color,
       icon,
+      ...(Array.isArray(tags) && { tags: uniqueTags(tags) }),
       frequency,
       timesPerWeek,
       interval,
+      specificDays,
+      timesPerPeriod,
+      periodType,
+      periodDays,
+      type,
+      unit,
+      target,
+      targetType,
+      reminders,
+      pauses,
+      ...(typeof archived === 'boolean' && { archived }),
+      ...(createdAt && { createdAt }),
       order: newOrder
     });
     
@@ -102,33 +191,106 @@ router.post('/', [
   }
 });
 
+/**
+ * PUT /api/habits/reorder
+ * Reorder habits
+ * Declared before PUT /:id, which would otherwise take "reorder" for an id.
+ * Each habit gets its index in `habitIds` as its order; the updated
+ * habits are sent back so clients can record their new versions.
+ */
+router.put('/reorder', [
+  body('habitIds').isArray({ max: 500 }).withMessage('habitIds must be an array'),
+  body('habitIds.*').isMongoId().withMessage('habitIds must be habit ids')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const { habitIds } = req.body;
+    
+    // Update order for each habit
+    const updates = habitIds.map((id, index) => 
+      Habit.updateOne(
+        { _id: id, user: req.userId },
+        { $set: { order: index }, $inc: { version: 1 } }
+      )
+    );
+    
+    await Promise.all(updates);
+    
+    const habits = await Habit.find({ _id: { $in: habitIds }, user: req.userId }).sort({ order: 1 });
+    
+    res.json({ message: 'Habits reordered', habits });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to reorder habits' });
+  }
+});
+
 /**
  * PUT /api/habits/:id
  * Update a habit
+ * Send `baseVersion` (the version the edit was based on) to be protected
+ * against overwriting changes from another device: a stale write gets a
+ * 409 with the current server copy.
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', [...tagValidators, ...scheduleValidators, ...measurableValidators, ...reminderValidators], async (req, res) => {
   try {
-    const { name, question, color, icon, frequency, timesPerWeek, interval, archived, order } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    
+    const {
+      name, question, color, icon, tags, frequency, timesPerWeek, interval, specificDays,
+      timesPerPeriod, periodType, periodDays,
+      type, unit, target, targetType, reminders, pauses, archived, order, baseVersion
+    } = req.body;
+    
+    const filter = { _id: req.params.id, user: req.userId };
+    if (typeof baseVersion === 'number') {
+      filter.version = baseVersion;
+    }
     
     const habit = await Habit.findOneAndUpdate(
-      { _id: req.params.id, user: req.userId },
+      filter,
       {
         $set: {
           ...(name && { name }),
           ...(question !== undefined && { question }),
           ...(color && { color }),
           ...(icon && { icon }),
+          ...(Array.isArray(tags) && { tags: uniqueTags(tags) }),
           ...(frequency && { frequency }),
           ...(timesPerWeek && { timesPerWeek }),
           ...(interval && { interval }),
+          ...(Array.isArray(specificDays) && { specificDays }),
+          ...(timesPerPeriod && { timesPerPeriod }),
+          ...(periodType && { periodType }),
+          ...(periodDays && { periodDays }),
+          ...(type && { type }),
+          ...(unit !== undefined && { unit }),
+          ...(typeof target === 'number' && { target }),
+          ...(targetType && { targetType }),
+          ...(Array.isArray(reminders) && { reminders }),
+          ...(Array.isArray(pauses) && { pauses }),
           ...(typeof archived === 'boolean' && { archived }),
           ...(typeof order === 'number' && { order })
-        }
+        },
+        $inc: { version: 1 }
       },
       { new: true }
     );
     
     if (!habit) {
+      const current = await Habit.findOne({ _id: req.params.id, user: req.userId });
+      if (current) {
+        return res.status(409).json({
+          error: 'Habit was changed on another device',
+          habit: current
+        });
+      }
       return res.status(404).json({ error: 'Habit not found' });
     }
     
@@ -162,38 +324,17 @@ router.delete('/:id', async (req, res) => {
       user: req.userId
     });
     
+    // Let other devices know (covers the habit's completions too)
+    await Tombstone.create({
+      user: req.userId,
+      kind: 'habit',
+      habit: habit._id
+    });
+    
     res.json({ message: 'Habit deleted' });
   } catch (error) {
     res.status(500).json({ error: 'Failed to delete habit' });
   }
 });
 
-/**
- * PUT /api/habits/reorder
- * Reorder habits
- */
-router.put('/reorder', async (req, res) => {
-  try {
-    const { habitIds } = req.body;
-    
-    if (!Array.isArray(habitIds)) {
-      return res.status(400).json({ error: 'habitIds must be an array' });
-    }
-    
-    // Update order for each habit
-    const updates = habitIds.map((id, index) => 
-      Habit.updateOne(
-        { _id: id, user: req.userId },
-        { $set: { order: index } }
-      )
-    );
-    
-    await Promise.all(updates);
-    
-    res.json({ message: 'Habits reordered' });
-  } catch (error) {
-    res.status(500).json({ error: 'Failed to reorder habits' });
-  }
-});
-
 module.exports = router;
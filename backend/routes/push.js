@@ -0,0 +1,90 @@
+/**
+ * Push Routes
+ * Web Push subscriptions for reminders
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const push = require('../utils/push');
+const { isValidTimeZone } = require('../utils/time');
+
+const router = express.Router();
+
+/**
+ * GET /api/push/public-key
+ * VAPID public key the browser subscribes with
+ */
+router.get('/public-key', (req, res) => {
+  if (!push.isConfigured()) {
+    return res.status(503).json({ error: 'Push notifications are not configured' });
+  }
+
+  res.json({ publicKey: push.getPublicKey() });
+});
+
+/**
+ * POST /api/push/subscribe
+ * Save this browser's push subscription (and the user's time zone,
+ * which reminder times are read in)
+ */
+router.post('/subscribe', auth, [
+  body('endpoint').custom(push.isAllowedEndpoint).withMessage('Endpoint must be an https push service URL'),
+  body('keys.p256dh').isString().notEmpty().withMessage('Subscription key is required'),
+  body('keys.auth').isString().notEmpty().withMessage('Subscription auth secret is required'),
+  body('timeZone').optional().custom(isValidTimeZone).withMessage('Unknown time zone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { endpoint, keys, timeZone } = req.body;
+
+    // A browser re-subscribing (or switching accounts) reuses its endpoint
+    await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      {
+        user: req.userId,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        userAgent: req.get('User-Agent')?.slice(0, 300)
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (timeZone) {
+      await User.findByIdAndUpdate(req.userId, { $set: { 'settings.timeZone': timeZone } });
+    }
+
+    res.status(201).json({ message: 'Subscribed to reminders' });
+  } catch (error) {
+    console.error('Push subscribe error:', error);
+    res.status(500).json({ error: 'Failed to save subscription' });
+  }
+});
+
+/**
+ * DELETE /api/push/subscribe
+ * Remove a push subscription
+ */
+router.delete('/subscribe', auth, [
+  body('endpoint').notEmpty().withMessage('Endpoint is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await PushSubscription.deleteOne({ endpoint: req.body.endpoint, user: req.userId });
+
+    res.json({ message: 'Unsubscribed from reminders' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove subscription' });
+  }
+});
+
+module.exports = router;
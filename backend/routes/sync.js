@@ -0,0 +1,85 @@
+/**
+ * Sync Routes
+ * Delta sync for offline-first clients
+ */
+
+const express = require('express');
+const Habit = require('../models/Habit');
+const Completion = require('../models/Completion');
+const Tombstone = require('../models/Tombstone');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(auth);
+
+// Cursors are opaque to clients: base64url-encoded server timestamps
+const encodeCursor = (time) => {
+  return Buffer.from(JSON.stringify({ t: time.getTime() })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { t } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    return Number.isFinite(t) ? new Date(t) : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * GET /api/sync
+ * Get everything that changed since a cursor
+ * Query params: since (cursor from a previous response)
+ *
+ * Without a (usable) cursor the response is a full snapshot and
+ * `full` is true: clients should drop anything not in it.
+ */
+router.get('/', async (req, res) => {
+  try {
+    let since = req.query.since ? decodeCursor(req.query.since) : null;
+    
+    if (req.query.since && !since) {
+      return res.status(400).json({ error: 'Invalid sync cursor' });
+    }
+    
+    // Deletions older than the tombstone TTL are gone - fall back to a snapshot
+    const oldestTombstone = new Date(Date.now() - Tombstone.TTL_DAYS * 24 * 60 * 60 * 1000);
+    if (since && since < oldestTombstone) {
+      since = null;
+    }
+    
+    // Taken before querying so concurrent writes land in the next delta
+    const cursor = encodeCursor(new Date());
+    
+    const query = { user: req.userId };
+    const changedQuery = since ? { ...query, updatedAt: { $gte: since } } : query;
+    
+    const [habits, completions, tombstones] = await Promise.all([
+      Habit.find(changedQuery).sort({ order: 1, createdAt: -1 }),
+      Completion.find(changedQuery),
+      since ? Tombstone.find({ ...query, deletedAt: { $gte: since } }) : []
+    ]);
+    
+    res.json({
+      full: !since,
+      habits,
+      completions,
+      deleted: {
+        habits: tombstones
+          .filter(t => t.kind === 'habit')
+          .map(t => t.habit),
+        completions: tombstones
+          .filter(t => t.kind === 'completion')
+          .map(t => ({ habit: t.habit, date: t.date, deletedAt: t.deletedAt }))
+      },
+      cursor
+    });
+  } catch (error) {
+    console.error('Sync error:', error);
+    res.status(500).json({ error: 'Failed to sync' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+/**
+ * Reminder Scheduler
+ * Once a minute, sends a Web Push reminder for every habit with a reminder
+ * due at that minute in its owner's time zone - unless the habit's target
+ * has already been met (or the day skipped, or the habit paused).
+ */
+
+const Habit = require('./models/Habit');
+const Completion = require('./models/Completion');
+const PushSubscription = require('./models/PushSubscription');
+const User = require('./models/User');
+const push = require('./utils/push');
+const { getLocalTime } = require('./utils/time');
+
+const TICK_INTERVAL = 60 * 1000;
+
+// After a stall (busy event loop, sleeping host), minutes older than this are skipped
+const MAX_CATCH_UP = 5 * 60 * 1000;
+
+const schedulerState = {
+  timer: null,
+  lastRun: null
+};
+
+/**
+ * Start sending reminders (no-op without VAPID keys)
+ */
+function startScheduler() {
+  if (schedulerState.timer) return;
+
+  if (!push.isConfigured()) {
+    console.log('⏰ Reminder push disabled (VAPID keys not set)');
+    return;
+  }
+
+  schedulerState.lastRun = new Date();
+  schedulerState.timer = setInterval(() => {
+    sendDueReminders().catch(error => console.error('Reminder scheduler error:', error));
+  }, TICK_INTERVAL);
+
+  console.log('⏰ Reminder scheduler started');
+}
+
+function stopScheduler() {
+  clearInterval(schedulerState.timer);
+  schedulerState.timer = null;
+}
+
+/**
+ * Send the reminders that came due since the previous run
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Number of notifications delivered
+ */
+async function sendDueReminders(now = new Date()) {
+  const since = schedulerState.lastRun && now - schedulerState.lastRun <= MAX_CATCH_UP
+    ? schedulerState.lastRun
+    : new Date(now - TICK_INTERVAL);
+  schedulerState.lastRun = now;
+
+  const minutes = getMinutesBetween(since, now);
+  if (minutes.length === 0) return 0;
+
+  // Only users with a device to notify
+  const userIds = await PushSubscription.distinct('user');
+  if (userIds.length === 0) return 0;
+
+  const [users, habits] = await Promise.all([
+    User.find({ _id: { $in: userIds } }).select('settings'),
+    Habit.find({ user: { $in: userIds }, archived: false, 'reminders.0': { $exists: true } })
+  ]);
+
+  const timeZones = new Map(users.map(user => [String(user._id), user.settings?.timeZone || 'UTC']));
+  let delivered = 0;
+
+  for (const habit of habits) {
+    const date = findDueDate(habit.reminders, minutes, timeZones.get(String(habit.user)) || 'UTC');
+    if (!date || isPaused(habit, date)) continue;
+
+    const completion = await Completion.findOne({ user: habit.user, habit: habit._id, date }).select('value status');
+    if (completion && (completion.status === 'skipped' || isTargetMet(habit, completion.value))) continue;
+
+    delivered += await push.sendToUser(habit.user, buildReminderPayload(habit, date));
+  }
+
+  return delivered;
+}
+
+/**
+ * Whole minutes in (since, now]
+ */
+function getMinutesBetween(since, now) {
+  const minutes = [];
+  const minute = new Date(since);
+  minute.setSeconds(0, 0);
+  minute.setTime(minute.getTime() + 60 * 1000);
+
+  while (minute <= now) {
+    minutes.push(new Date(minute));
+    minute.setTime(minute.getTime() + 60 * 1000);
+  }
+
+  return minutes;
+}
+
+/**
+ * The local date of the first reminder that falls on one of the minutes
+ * @returns {string|null} - YYYY-MM-DD in the user's time zone
+ */
+function findDueDate(reminders, minutes, timeZone) {
+  for (const minute of minutes) {
+    const local = getLocalTime(minute, timeZone);
+    const due = reminders.some(reminder =>
+      reminder.time === local.time && reminder.days.includes(local.weekday)
+    );
+    if (due) return local.date;
+  }
+  return null;
+}
+
+/**
+ * Whether the habit is paused (e.g. on holiday) on a date
+ */
+function isPaused(habit, date) {
+  return (habit.pauses || []).some(pause => date >= pause.start && date <= pause.end);
+}
+
+/**
+ * Whether a day's value completes the habit (always, for yes/no habits)
+ * A null value is a day with only a note.
+ */
+function isTargetMet(habit, value) {
+  if (value === null || value === undefined) return false;
+  if (habit.type !== 'measurable') return true;
+  return habit.targetType === 'at_most' ? value <= habit.target : value >= habit.target;
+}
+
+/**
+ * Payload read by the push handler in service-worker.js
+ */
+function buildReminderPayload(habit, date) {
+  return {
+    type: 'reminder',
+    title: `${habit.icon || ''} ${habit.name}`.trim(),
+    body: habit.question || 'Time to check in!',
+    // Same tag as the in-app reminder (js/reminders.js), so a device never shows both
+    tag: `reminder-${habit.uuid || habit._id}-${date}`,
+    habitId: habit._id,
+    uuid: habit.uuid,
+    date
+  };
+}
+
+module.exports = { startScheduler, stopScheduler, sendDueReminders, findDueDate, buildReminderPayload };
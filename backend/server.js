@@ -12,6 +12,12 @@ const mongoose = require('mongoose');
 const authRoutes = require('./routes/auth');
 const habitRoutes = require('./routes/habits');
 const completionRoutes = require('./routes/completions');
+const syncRoutes = require('./routes/sync');
+const pushRoutes = require('./routes/push');
+const backupRoutes = require('./routes/backup');
+const calendarRoutes = require('./routes/calendar');
+const cronRoutes = require('./routes/cron');
+const { startScheduler } = require('./scheduler');
 
 const app = express();
 
@@ -20,6 +26,8 @@ app.use(cors({
   origin: '*',
   credentials: false
 }));
+// Backups can be well over the default 100kb body limit
+app.use('/api/import', express.json({ limit: '10mb' }));
 app.use(express.json());
 
 // Connect to MongoDB
@@ -31,6 +39,11 @@ mongoose.connect(process.env.MONGODB_URI)
 app.use('/api/auth', authRoutes);
 app.use('/api/habits', habitRoutes);
 app.use('/api/completions', completionRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/push', pushRoutes);
+app.use('/api', backupRoutes); // /api/import and /api/export
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/cron', cronRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -48,4 +61,13 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📱 Access from other devices: http://YOUR_IP:${PORT}`);
+  
+  // Send habit reminders via Web Push - on Vercel no process stays
+  // running for a timer, so a cron job calls /api/cron/reminders instead
+  if (!process.env.VERCEL) {
+    startScheduler();
+  }
 });
+
+// Vercel runs the app as a serverless function
+module.exports = app;
@@ -0,0 +1,52 @@
+/**
+ * Backup format tests
+ */
+
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { backupFormat } = require('../utils/shared');
+
+let readBackup;
+let BACKUP_VERSION;
+
+before(async () => {
+  ({ readBackup, BACKUP_VERSION } = await backupFormat());
+});
+
+const habit = { id: 1, name: 'Run' };
+const completion = { habitId: 1, date: '2024-04-30' };
+
+describe('readBackup', () => {
+  test('migrates a version 1 backup', () => {
+    const backup = readBackup({ habits: [habit], completions: [completion] });
+
+    assert.equal(backup.version, BACKUP_VERSION);
+    assert.deepEqual(backup.habits, [{ id: '1', name: 'Run' }]);
+    assert.deepEqual(backup.completions, [{ habitId: '1', date: '2024-04-30', value: 1 }]);
+  });
+
+  test('names a record that is not an object before migrating', () => {
+    assert.throws(
+      () => readBackup({ habits: [habit, 'Walk'], completions: [] }),
+      { message: 'Invalid backup: habits[1]: not an object' }
+    );
+    assert.throws(
+      () => readBackup({ habits: [habit], completions: [completion, null] }),
+      { message: 'Invalid backup: completions[1]: not an object' }
+    );
+  });
+
+  test('names an invalid record', () => {
+    assert.throws(
+      () => readBackup({ habits: [habit], completions: [{ habitId: 1, date: '30/04/2024' }] }),
+      { message: 'Invalid backup: completions[0] (30/04/2024): date must be YYYY-MM-DD' }
+    );
+  });
+
+  test('refuses a backup from a newer version', () => {
+    assert.throws(
+      () => readBackup({ version: BACKUP_VERSION + 1, habits: [], completions: [] }),
+      /newer version of the app/
+    );
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Backup import tests
+ * Runs the backup routes on a local server against a standalone MongoDB
+ * server (no transactions). The database is replaced by mocks of the
+ * model methods the routes call, which record every write.
+ */
+
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const mongoose = require('mongoose');
+const Habit = require('../models/Habit');
+const Completion = require('../models/Completion');
+const Tombstone = require('../models/Tombstone');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const backupRoutes = require('../routes/backup');
+
+const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'password' });
+const token = jwt.sign(
+  { userId: user._id, sessionId: new mongoose.Types.ObjectId() },
+  process.env.JWT_SECRET
+);
+
+let server;
+let baseUrl;
+let writes;
+
+before(async () => {
+  // A standalone server answers hello without a replica set name
+  mongoose.connection.db = { admin: () => ({ command: async () => ({ isWritablePrimary: true }) }) };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api', backupRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  writes = [];
+  const record = name => async () => { writes.push(name); };
+
+  mock.method(User, 'findById', async () => user);
+  mock.method(Session, 'exists', async () => true);
+  mock.method(Habit, 'find', () => ({ session: async () => [] }));
+  mock.method(Completion, 'find', () => ({ session: async () => [] }));
+  mock.method(Habit.prototype, 'save', record('Habit.save'));
+  mock.method(Habit, 'deleteMany', record('Habit.deleteMany'));
+  mock.method(Completion, 'deleteMany', record('Completion.deleteMany'));
+  mock.method(Completion, 'bulkWrite', record('Completion.bulkWrite'));
+  mock.method(Tombstone, 'insertMany', record('Tombstone.insertMany'));
+  mock.method(User, 'updateOne', record('User.updateOne'));
+});
+
+afterEach(() => mock.restoreAll());
+
+async function importBackup(backup, { replace = false } = {}) {
+  const response = await fetch(`${baseUrl}/import?replace=${replace}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(backup)
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+const backup = (habits, completions = []) => ({ version: 2, habits, completions });
+
+describe('POST /api/import', () => {
+  test('merges a backup without a transaction on a standalone server', async () => {
+    const { status, data } = await importBackup(backup(
+      [{ id: 'a', name: 'Run' }],
+      [{ habitId: 'a', date: '2024-05-01', value: 1 }]
+    ));
+
+    assert.equal(status, 200);
+    assert.deepEqual(data.report.habits, { added: 1, updated: 0, skipped: 0 });
+    assert.deepEqual(writes, ['Habit.save', 'Completion.bulkWrite']);
+  });
+
+  test('writes nothing when a record fails validation part-way', async () => {
+    const { status, data } = await importBackup(backup([
+      { id: 'a', name: 'Run' },
+      { id: 'b', name: 'Read', frequency: 'weekly', timesPerWeek: 9 },
+      { id: 'c', name: 'Write' }
+    ]), { replace: true });
+
+    assert.equal(status, 400);
+    assert.match(data.error, /^Invalid backup: habits\[1\] \(Read\): .*timesPerWeek/);
+    assert.deepEqual(writes, []);
+  });
+
+  test('checks reminders, lengths and completions against the models', async () => {
+    const invalid = [
+      backup([{ id: 'a', name: 'Run', reminders: [{ time: '25:00' }] }]),
+      backup([{ id: 'a', name: 'Run', type: 'measurable', unit: 'kilometres run each day' }]),
+      backup([{ id: 'a', name: 'Run' }], [{ habitId: 'a', date: '2024-05-01', value: 1, note: 'x'.repeat(501) }])
+    ];
+
+    for (const data of invalid) {
+      const { status } = await importBackup(data);
+      assert.equal(status, 400);
+    }
+    assert.deepEqual(writes, []);
+  });
+
+  test('refuses a backup with a repeated uuid', async () => {
+    const { status, data } = await importBackup(backup([
+      { id: 'a', uuid: 'same', name: 'Run' },
+      { id: 'b', uuid: 'same', name: 'Read' }
+    ]));
+
+    assert.equal(status, 400);
+    assert.equal(data.error, 'Invalid backup: habits[1] (Read): uuid same is used twice');
+    assert.deepEqual(writes, []);
+  });
+
+  test('refuses to replace without a transaction', async () => {
+    const { status } = await importBackup(backup([{ id: 'a', name: 'Run' }]), { replace: true });
+
+    assert.equal(status, 409);
+    assert.deepEqual(writes, []);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Completion route tests
+ * Runs the completion routes on a local server. The database is replaced
+ * by mocks of the model methods the routes call, over one stored
+ * completion.
+ */
+
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const mongoose = require('mongoose');
+const Completion = require('../models/Completion');
+const Tombstone = require('../models/Tombstone');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const completionRoutes = require('../routes/completions');
+
+const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'password' });
+const habitId = String(new mongoose.Types.ObjectId());
+const token = jwt.sign(
+  { userId: user._id, sessionId: new mongoose.Types.ObjectId() },
+  process.env.JWT_SECRET
+);
+
+let server;
+let baseUrl;
+let stored;
+let tombstones;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/completions', completionRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/completions`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  // Changed on another device since: now version 2, with a note
+  stored = new Completion({
+    user: user._id,
+    habit: habitId,
+    date: '2024-05-01',
+    value: 1,
+    note: 'Ran in the rain',
+    version: 2
+  });
+  tombstones = [];
+
+  const matches = filter => stored &&
+    filter.date === stored.date &&
+    (filter.version === undefined || filter.version === stored.version);
+
+  mock.method(User, 'findById', async () => user);
+  mock.method(Session, 'exists', async () => true);
+  mock.method(Completion, 'findOneAndDelete', async (filter) => {
+    if (!matches(filter)) return null;
+    const deleted = stored;
+    stored = null;
+    return deleted;
+  });
+  mock.method(Completion, 'findOne', async (filter) => (matches(filter) ? stored : null));
+  mock.method(Tombstone, 'create', async (fields) => { tombstones.push(fields); });
+});
+
+afterEach(() => mock.restoreAll());
+
+async function remove(body) {
+  const response = await fetch(baseUrl, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ habitId, date: '2024-05-01', ...body })
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+describe('DELETE /api/completions', () => {
+  test('removes the completion it was based on', async () => {
+    const { status } = await remove({ baseVersion: 2 });
+
+    assert.equal(status, 200);
+    assert.equal(stored, null);
+    assert.equal(tombstones.length, 1);
+  });
+
+  test('refuses a removal based on an older version with the server copy', async () => {
+    const { status, data } = await remove({ baseVersion: 1 });
+
+    assert.equal(status, 409);
+    assert.equal(data.completion.note, 'Ran in the rain');
+    assert.equal(data.completion.version, 2);
+    assert.ok(stored, 'the completion is kept');
+    assert.equal(tombstones.length, 0);
+  });
+
+  test('succeeds when the completion is already gone', async () => {
+    stored = null;
+
+    const { status } = await remove({ baseVersion: 2 });
+
+    assert.equal(status, 200);
+    assert.equal(tombstones.length, 0);
+  });
+
+  test('removes whatever is there without a baseVersion', async () => {
+    const { status } = await remove({});
+
+    assert.equal(status, 200);
+    assert.equal(stored, null);
+  });
+});
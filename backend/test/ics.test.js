@@ -0,0 +1,247 @@
+/**
+ * Calendar export tests
+ * buildCalendar() from js/ics.js, checked against the app's own schedule
+ * rules, and the feed route on a local server with the database replaced
+ * by mocks of the model methods it calls.
+ */
+
+// Dates are read in a zone with DST, where day arithmetic goes wrong first
+process.env.TZ = 'Europe/Berlin';
+
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const Habit = require('../models/Habit');
+const Completion = require('../models/Completion');
+const User = require('../models/User');
+const calendarRoutes = require('../routes/calendar');
+const { ics } = require('../utils/shared');
+
+const TIME_ZONE = 'Europe/Berlin';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let buildCalendar;
+let isDayScheduled;
+
+before(async () => {
+  ({ buildCalendar } = await ics());
+  ({ isDayScheduled } = await import('../../js/habit-score.js'));
+});
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+const fromICSDate = value => `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+
+// Undo line folding and split into events of { name: value }
+function parseEvents(text) {
+  const lines = text.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+  const events = [];
+  let event = null;
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') event = {};
+    else if (line === 'END:VEVENT') events.push(event);
+    else if (event) {
+      const [name, ...value] = line.split(':');
+      event[name.split(';')[0]] = value.join(':');
+    }
+  });
+  return events;
+}
+
+/**
+ * The days a recurring event falls on up to `until`, for the rules
+ * buildCalendar() writes: DAILY with an optional INTERVAL, WEEKLY;BYDAY
+ */
+function expandEvent(event, until) {
+  const rule = Object.fromEntries(event.RRULE.split(';').map(part => part.split('=')));
+  const interval = Number(rule.INTERVAL || 1);
+  const weekdays = rule.BYDAY ? rule.BYDAY.split(',') : null;
+  const excluded = new Set((event.EXDATE || '').split(',').filter(Boolean).map(fromICSDate));
+  const codes = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  const start = fromICSDate(event.DTSTART);
+
+  const days = [];
+  for (let i = 0, date = start; date <= until; i++, date = addDays(date, 1)) {
+    const onRule = weekdays
+      ? weekdays.includes(codes[new Date(Date.parse(date)).getUTCDay()])
+      : i % interval === 0;
+    if (onRule && !excluded.has(date)) days.push(date);
+  }
+  return days;
+}
+
+describe('buildCalendar', () => {
+  const createdAt = '2024-01-10T09:30:00.000Z';
+  const schedules = {
+    daily: {},
+    weekly: { frequency: 'weekly', timesPerWeek: 3 },
+    period: { frequency: 'period', timesPerPeriod: 10, periodType: 'month' },
+    interval: { frequency: 'interval', interval: 3 },
+    specific_days: { frequency: 'specific_days', specificDays: [1, 3, 5] }
+  };
+
+  Object.entries(schedules).forEach(([name, schedule]) => {
+    test(`repeats ${name} habits on the days the app schedules them`, () => {
+      const habit = {
+        id: '1',
+        name: 'Run',
+        createdAt,
+        pauses: [{ start: '2024-03-20', end: '2024-04-02' }],
+        ...schedule
+      };
+      const until = '2024-05-31';
+
+      const [event] = parseEvents(buildCalendar({ habits: [habit], completions: [] }, { timeZone: TIME_ZONE }));
+
+      const scheduled = [];
+      for (let date = '2024-01-10'; date <= until; date = addDays(date, 1)) {
+        const [year, month, day] = date.split('-').map(Number);
+        if (isDayScheduled(new Date(year, month - 1, day), habit)) scheduled.push(date);
+      }
+      assert.deepEqual(expandEvent(event, until), scheduled);
+    });
+  });
+
+  test('names the target of habits that recur every day', () => {
+    const habit = { id: '1', name: 'Run', createdAt, ...schedules.weekly };
+
+    const [event] = parseEvents(buildCalendar({ habits: [habit], completions: [] }));
+
+    assert.equal(event.SUMMARY, 'Run · 3 times a week');
+  });
+
+  test('leaves an interval habit without a creation date unscheduled, as the app does', () => {
+    const habit = { id: '1', name: 'Run', frequency: 'interval', interval: 2 };
+    const completions = [{ habitId: '1', date: '2024-05-01', value: 1, status: 'done' }];
+
+    const events = parseEvents(buildCalendar({ habits: [habit], completions }));
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].RRULE, undefined);
+    assert.equal(events[0].SUMMARY, '✓ Run');
+  });
+
+  test('marks logged days, overriding scheduled ones', () => {
+    const habit = { id: '1', name: 'Read', createdAt, frequency: 'specific_days', specificDays: [1] };
+    const completions = [
+      { habitId: '1', date: '2024-05-06', value: 1, status: 'done' },
+      { habitId: '1', date: '2024-05-13', value: 0, status: 'skipped' },
+      { habitId: '1', date: '2024-05-15', value: 1, status: 'done', note: 'Extra chapter' }
+    ];
+
+    const [, done, skipped, extra] = parseEvents(buildCalendar({ habits: [habit], completions }));
+
+    assert.equal(done['RECURRENCE-ID'], '20240506');
+    assert.equal(done.SUMMARY, '✓ Read');
+    assert.equal(skipped.SUMMARY, '⏭ Read');
+    // A Wednesday, so not an occurrence of the Monday event
+    assert.equal(extra['RECURRENCE-ID'], undefined);
+    assert.match(extra.UID, /^2024-05-15-/);
+    assert.equal(extra.DESCRIPTION, 'Extra chapter');
+  });
+
+  test('leaves out archived habits', () => {
+    const habits = [
+      { id: '1', name: 'Run', createdAt },
+      { id: '2', name: 'Old habit', createdAt, archived: true }
+    ];
+
+    const events = parseEvents(buildCalendar({ habits, completions: [] }));
+
+    assert.deepEqual(events.map(event => event.SUMMARY), ['Run']);
+  });
+
+  test('escapes text and ends lines with CRLF', () => {
+    const habit = { id: '1', name: 'Eat; sleep, repeat \\ rest', question: 'Did you?\nReally?', createdAt };
+
+    const text = buildCalendar({ habits: [habit], completions: [] }, { name: 'Mine, all mine' });
+    const [event] = parseEvents(text);
+
+    assert.equal(event.SUMMARY, 'Eat\\; sleep\\, repeat \\\\ rest');
+    assert.equal(event.DESCRIPTION, 'Did you?\\nReally?');
+    assert.match(text, /\r\nX-WR-CALNAME:Mine\\, all mine\r\n/);
+    assert.doesNotMatch(text.replace(/\r\n/g, ''), /[\r\n]/);
+  });
+
+  test('folds long lines at 75 bytes without cutting a character', () => {
+    const name = '🏃 '.repeat(40);
+    const habit = { id: '1', name, createdAt };
+
+    const text = buildCalendar({ habits: [habit], completions: [] });
+    const lines = text.split('\r\n');
+
+    lines.forEach(line => {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+      // Half an emoji (a lone surrogate) wouldn't survive UTF-8
+      assert.equal(Buffer.from(line).toString(), line);
+    });
+    assert.equal(parseEvents(text)[0].SUMMARY, name);
+  });
+});
+
+describe('GET /api/calendar/:token.ics', () => {
+  const token = 'a'.repeat(48);
+  const user = new User({ name: 'Ada', email: 'ada@example.com', password: 'password' });
+  user.settings.timeZone = TIME_ZONE;
+  const habit = new Habit({ user: user._id, name: 'Run' });
+  const otherHabit = new Habit({ user: user._id, name: 'Archived', archived: true });
+
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use('/api/calendar', calendarRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/calendar`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  afterEach(() => mock.restoreAll());
+
+  function mockDatabase() {
+    const findUser = mock.method(User, 'findOne', async ({ calendarToken }) => (calendarToken === token ? user : null));
+    const findHabits = mock.method(Habit, 'find', (filter) => ({
+      sort: async () => [habit, otherHabit].filter(h => filter.archived === undefined || h.archived === filter.archived)
+    }));
+    mock.method(Completion, 'find', () => ({
+      sort: async () => [
+        new Completion({ user: user._id, habit: habit._id, date: '2024-05-01' }),
+        new Completion({ user: user._id, habit: otherHabit._id, date: '2024-05-02' })
+      ]
+    }));
+    return { findUser, findHabits };
+  }
+
+  test('serves the feed of the token\'s owner without archived habits', async () => {
+    const { findHabits } = mockDatabase();
+
+    const response = await fetch(`${baseUrl}/${token}.ics`);
+    const text = await response.text();
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/calendar/);
+    assert.equal(findHabits.mock.calls[0].arguments[0].archived, false);
+    const summaries = parseEvents(text).map(event => event.SUMMARY);
+    assert.deepEqual(summaries, ['🎯 Run', '✓ 🎯 Run']);
+  });
+
+  test('answers 404 for an unknown token', async () => {
+    mockDatabase();
+
+    const response = await fetch(`${baseUrl}/${'b'.repeat(48)}.ics`);
+
+    assert.equal(response.status, 404);
+  });
+
+  test('answers 404 for a malformed token without looking it up', async () => {
+    const { findUser } = mockDatabase();
+
+    const response = await fetch(`${baseUrl}/not-a-token.ics`);
+
+    assert.equal(response.status, 404);
+    assert.equal(findUser.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Password reset tests
+ * Runs the auth routes on a local server with mail going to an in-memory
+ * outbox. The database is replaced by mocks of the model methods the
+ * routes call, over a list of real User documents.
+ */
+
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+process.env.FRONTEND_URL = 'https://habits.example.com';
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const mail = require('../utils/mail');
+const authRoutes = require('../routes/auth');
+
+let server;
+let baseUrl;
+let outbox;
+let users;
+let sessions;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  const transport = mail.createMemoryTransport();
+  mail.setTransport(transport);
+  outbox = transport.outbox;
+
+  users = [
+    new User({ name: 'Ada', email: 'ada@example.com', password: 'old-password' }),
+    new User({ name: 'Bob', email: 'bob@example.com', password: 'bobs-password' })
+  ];
+  sessions = users.flatMap(user => [
+    { _id: new mongoose.Types.ObjectId(), user: user._id },
+    { _id: new mongoose.Types.ObjectId(), user: user._id }
+  ]);
+
+  mock.method(User, 'findOne', async ({ email }) => users.find(user => user.email === email) || null);
+  mock.method(User.prototype, 'save', async function() {
+    return this;
+  });
+  // Evaluates the query claimPasswordResetToken() sends
+  mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+    const user = users.find(candidate =>
+      candidate.passwordResetTokenHash === filter.passwordResetTokenHash &&
+      candidate.passwordResetExpires > filter.passwordResetExpires.$gt
+    );
+    if (!user) return null;
+    Object.keys(update.$unset).forEach(field => { user[field] = undefined; });
+    return user;
+  });
+  mock.method(Session, 'deleteMany', async ({ user }) => {
+    const before = sessions.length;
+    sessions = sessions.filter(session => String(session.user) !== String(user));
+    return { deletedCount: before - sessions.length };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  mail.setTransport(null);
+});
+
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+// Ask for a reset link and read the token from the email
+async function requestToken(email = 'ada@example.com') {
+  await post('/forgot', { email });
+  const match = outbox[outbox.length - 1].text.match(/\?reset=([0-9a-f]+)/);
+  return match[1];
+}
+
+describe('POST /api/auth/forgot', () => {
+  test('emails a reset link and stores only the token hash', async () => {
+    const { status } = await post('/forgot', { email: 'Ada@Example.com' });
+
+    assert.equal(status, 200);
+    assert.equal(outbox.length, 1);
+    assert.equal(outbox[0].to, 'ada@example.com');
+    assert.match(outbox[0].text, /https:\/\/habits\.example\.com\/\?reset=[0-9a-f]{64}/);
+
+    const token = outbox[0].text.match(/\?reset=([0-9a-f]+)/)[1];
+    const [ada] = users;
+    assert.ok(ada.passwordResetTokenHash);
+    assert.notEqual(ada.passwordResetTokenHash, token);
+    assert.ok(ada.passwordResetExpires > new Date());
+  });
+
+  test('answers the same for an unknown email without sending anything', async () => {
+    const known = await post('/forgot', { email: 'ada@example.com' });
+    const unknown = await post('/forgot', { email: 'nobody@example.com' });
+
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(unknown.data, known.data);
+    assert.equal(outbox.length, 1);
+  });
+
+  test('is unavailable without a mail transport', async () => {
+    mail.setTransport(null);
+
+    const { status } = await post('/forgot', { email: 'ada@example.com' });
+
+    assert.equal(status, 503);
+    assert.equal(users[0].passwordResetTokenHash, undefined);
+  });
+});
+
+describe('POST /api/auth/reset', () => {
+  test('sets the new password with the emailed token', async () => {
+    const token = await requestToken();
+
+    const { status } = await post('/reset', { token, password: 'new-password' });
+
+    assert.equal(status, 200);
+    const [ada] = users;
+    assert.equal(ada.password, 'new-password');
+    assert.equal(ada.passwordResetTokenHash, undefined);
+    assert.equal(ada.passwordResetExpires, undefined);
+  });
+
+  test('refuses a link that was already used', async () => {
+    const token = await requestToken();
+    await post('/reset', { token, password: 'new-password' });
+
+    const { status, data } = await post('/reset', { token, password: 'another-password' });
+
+    assert.equal(status, 400);
+    assert.equal(data.error, 'This reset link is invalid or has expired');
+    assert.equal(users[0].password, 'new-password');
+  });
+
+  test('refuses an expired link', async () => {
+    const token = await requestToken();
+    users[0].passwordResetExpires = new Date(Date.now() - 1000);
+
+    const { status } = await post('/reset', { token, password: 'new-password' });
+
+    assert.equal(status, 400);
+    assert.equal(users[0].password, 'old-password');
+  });
+
+  test('refuses an earlier link once a new one was sent', async () => {
+    const first = await requestToken();
+    await requestToken();
+
+    const { status } = await post('/reset', { token: first, password: 'new-password' });
+
+    assert.equal(status, 400);
+  });
+
+  test('signs every device of the account out', async () => {
+    const token = await requestToken();
+    const [ada, bob] = users;
+
+    await post('/reset', { token, password: 'new-password' });
+
+    assert.equal(sessions.filter(session => String(session.user) === String(ada._id)).length, 0);
+    assert.equal(sessions.filter(session => String(session.user) === String(bob._id)).length, 2);
+  });
+
+  test('checks the new password', async () => {
+    const token = await requestToken();
+
+    const { status } = await post('/reset', { token, password: '123' });
+
+    assert.equal(status, 400);
+    assert.ok(users[0].passwordResetTokenHash, 'the link still works');
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * Reminder scheduler tests
+ * Reminders go to a local stand-in push service (a plain http server),
+ * so no real push service is needed. The database is replaced by mocks
+ * of the model methods the scheduler calls.
+ */
+
+const { test, describe, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const webpush = require('web-push');
+
+// Set before utils/push.js reads them
+const vapidKeys = webpush.generateVAPIDKeys();
+process.env.VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+process.env.VAPID_PRIVATE_KEY = vapidKeys.privateKey;
+process.env.PUSH_ALLOW_INSECURE_ENDPOINTS = 'true';
+
+const mongoose = require('mongoose');
+const Habit = require('../models/Habit');
+const Completion = require('../models/Completion');
+const PushSubscription = require('../models/PushSubscription');
+const User = require('../models/User');
+const { sendDueReminders } = require('../scheduler');
+const cronRoutes = require('../routes/cron');
+
+const userId = new mongoose.Types.ObjectId();
+
+// Stand-in push service: answers with the status in the path, e.g. /push/410
+let pushServer;
+let pushUrl;
+const received = [];
+
+before(async () => {
+  pushServer = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.statusCode = Number(req.url.split('/').pop()) || 201;
+      res.end();
+    });
+  });
+  await new Promise(resolve => pushServer.listen(0, '127.0.0.1', resolve));
+  pushUrl = `http://127.0.0.1:${pushServer.address().port}`;
+});
+
+after(() => new Promise(resolve => pushServer.close(resolve)));
+
+afterEach(() => {
+  mock.restoreAll();
+  received.length = 0;
+});
+
+// A subscription with real keys, so the payload can be encrypted
+function createSubscription(status = 201) {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    endpoint: `${pushUrl}/push/${status}`,
+    keys: {
+      p256dh: ecdh.getPublicKey().toString('base64url'),
+      auth: crypto.randomBytes(16).toString('base64url')
+    }
+  };
+}
+
+function createHabit(fields = {}) {
+  return new Habit({
+    user: userId,
+    name: 'Read',
+    reminders: [{ time: '08:00', days: [0, 1, 2, 3, 4, 5, 6] }],
+    ...fields
+  });
+}
+
+/**
+ * Stand in for the database
+ * @returns {Object} - The mocked deleteOne, to check removed subscriptions
+ */
+function mockDatabase({ habits, subscriptions = [createSubscription()], completion = null }) {
+  mock.method(PushSubscription, 'distinct', async () => [userId]);
+  mock.method(User, 'find', () => ({
+    select: async () => [{ _id: userId, settings: { timeZone: 'UTC' } }]
+  }));
+  mock.method(Habit, 'find', async () => habits);
+  mock.method(Completion, 'findOne', () => ({ select: async () => completion }));
+  mock.method(PushSubscription, 'find', async () => subscriptions);
+  return mock.method(PushSubscription, 'deleteOne', async () => ({ deletedCount: 1 }));
+}
+
+// Each test runs on its own day: the scheduler carries its last run over
+// between calls less than a few minutes apart
+describe('sendDueReminders', () => {
+  test('sends a due reminder to the push endpoint', async () => {
+    mockDatabase({ habits: [createHabit()] });
+
+    const delivered = await sendDueReminders(new Date('2024-05-06T08:00:30Z'));
+
+    assert.equal(delivered, 1);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].headers['content-encoding'], 'aes128gcm');
+    assert.match(received[0].headers.authorization, /^vapid /);
+  });
+
+  test('sends nothing when no reminder is due', async () => {
+    mockDatabase({ habits: [createHabit({ reminders: [{ time: '09:00', days: [0, 1, 2, 3, 4, 5, 6] }] })] });
+
+    const delivered = await sendDueReminders(new Date('2024-05-07T08:00:30Z'));
+
+    assert.equal(delivered, 0);
+    assert.equal(received.length, 0);
+  });
+
+  test('skips a habit already completed that day', async () => {
+    mockDatabase({ habits: [createHabit()], completion: { value: 1, status: 'done' } });
+
+    const delivered = await sendDueReminders(new Date('2024-05-08T08:00:30Z'));
+
+    assert.equal(delivered, 0);
+    assert.equal(received.length, 0);
+  });
+
+  test('skips a skipped day', async () => {
+    mockDatabase({ habits: [createHabit()], completion: { value: 0, status: 'skipped' } });
+
+    const delivered = await sendDueReminders(new Date('2024-05-09T08:00:30Z'));
+
+    assert.equal(delivered, 0);
+  });
+
+  test('still reminds when a measurable habit is short of its target', async () => {
+    const habit = createHabit({ type: 'measurable', target: 10, unit: 'pages' });
+    mockDatabase({ habits: [habit], completion: { value: 4, status: 'done' } });
+
+    const delivered = await sendDueReminders(new Date('2024-05-10T08:00:30Z'));
+
+    assert.equal(delivered, 1);
+  });
+
+  test('skips a paused day', async () => {
+    const habit = createHabit({ pauses: [{ start: '2024-05-10', end: '2024-05-12' }] });
+    mockDatabase({ habits: [habit] });
+
+    const delivered = await sendDueReminders(new Date('2024-05-11T08:00:30Z'));
+
+    assert.equal(delivered, 0);
+    assert.equal(received.length, 0);
+  });
+
+  test('removes subscriptions the push service reports as gone', async () => {
+    const current = createSubscription(201);
+    const notFound = createSubscription(404);
+    const gone = createSubscription(410);
+    const deleteOne = mockDatabase({ habits: [createHabit()], subscriptions: [notFound, current, gone] });
+
+    const delivered = await sendDueReminders(new Date('2024-05-13T08:00:30Z'));
+
+    assert.equal(delivered, 1);
+    assert.equal(received.length, 3);
+    const removed = deleteOne.mock.calls.map(call => String(call.arguments[0]._id));
+    assert.deepEqual(removed, [String(notFound._id), String(gone._id)]);
+  });
+
+  test('keeps a subscription after a temporary failure', async () => {
+    const deleteOne = mockDatabase({ habits: [createHabit()], subscriptions: [createSubscription(500)] });
+    mock.method(console, 'error', () => {});
+
+    const delivered = await sendDueReminders(new Date('2024-05-14T08:00:30Z'));
+
+    assert.equal(delivered, 0);
+    assert.equal(deleteOne.mock.callCount(), 0);
+  });
+});
+
+describe('isAllowedEndpoint', () => {
+  const { isAllowedEndpoint } = require('../utils/push');
+
+  before(() => { delete process.env.PUSH_ALLOW_INSECURE_ENDPOINTS; });
+  after(() => { process.env.PUSH_ALLOW_INSECURE_ENDPOINTS = 'true'; });
+
+  test('accepts https push services', () => {
+    assert.equal(isAllowedEndpoint('https://fcm.googleapis.com/fcm/send/abc'), true);
+    assert.equal(isAllowedEndpoint('https://web.push.apple.com/QGuQ'), true);
+  });
+
+  test('refuses endpoints that could reach internal hosts', () => {
+    [
+      'http://fcm.googleapis.com/fcm/send/abc',
+      'https://127.0.0.1/push',
+      'https://10.0.0.5/push',
+      'https://[::1]/push',
+      'https://localhost/push',
+      'https://metadata.internal/push',
+      'https://intranet/push',
+      'https://fcm.googleapis.com:8080/push',
+      'not a url'
+    ].forEach(endpoint => assert.equal(isAllowedEndpoint(endpoint), false, endpoint));
+  });
+
+  test('lets a local stand-in through with PUSH_ALLOW_INSECURE_ENDPOINTS', () => {
+    process.env.PUSH_ALLOW_INSECURE_ENDPOINTS = 'true';
+    assert.equal(isAllowedEndpoint('http://127.0.0.1:9000/push'), true);
+    assert.equal(isAllowedEndpoint('ftp://127.0.0.1/push'), false);
+    delete process.env.PUSH_ALLOW_INSECURE_ENDPOINTS;
+  });
+
+  test('removes a saved subscription with a refused endpoint without sending', async () => {
+    const subscription = { ...createSubscription(), endpoint: 'http://169.254.169.254/latest' };
+    const deleteOne = mockDatabase({ habits: [createHabit()], subscriptions: [subscription] });
+
+    const delivered = await sendDueReminders(new Date('2024-05-15T08:00:30Z'));
+
+    assert.equal(delivered, 0);
+    assert.equal(received.length, 0);
+    assert.equal(deleteOne.mock.callCount(), 1);
+  });
+});
+
+describe('GET /api/cron/reminders', () => {
+  let server;
+  let cronUrl;
+
+  before(async () => {
+    process.env.CRON_SECRET = 'cron-secret';
+    const app = express();
+    app.use('/api/cron', cronRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    cronUrl = `http://127.0.0.1:${server.address().port}/api/cron/reminders`;
+  });
+
+  after(() => {
+    delete process.env.CRON_SECRET;
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  test('runs one scheduler tick for the cron job', async () => {
+    const find = mock.method(Habit, 'find', async () => []);
+    mock.method(PushSubscription, 'distinct', async () => [userId]);
+    mock.method(User, 'find', () => ({ select: async () => [] }));
+
+    const response = await fetch(cronUrl, { headers: { Authorization: 'Bearer cron-secret' } });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { delivered: 0 });
+    assert.equal(find.mock.callCount(), 1);
+  });
+
+  test('refuses a call without the secret', async () => {
+    const distinct = mock.method(PushSubscription, 'distinct', async () => [userId]);
+
+    const missing = await fetch(cronUrl);
+    const wrong = await fetch(cronUrl, { headers: { Authorization: 'Bearer guess' } });
+
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 401);
+    assert.equal(distinct.mock.callCount(), 0);
+  });
+
+  test('is off until CRON_SECRET is set', async () => {
+    delete process.env.CRON_SECRET;
+
+    const response = await fetch(cronUrl, { headers: { Authorization: 'Bearer undefined' } });
+
+    assert.equal(response.status, 503);
+    process.env.CRON_SECRET = 'cron-secret';
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Session tests
+ * Runs the auth routes on a local server. The database is replaced by
+ * mocks of the model methods the routes and the auth middleware call,
+ * over a list of real Session documents.
+ */
+
+const { test, describe, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/User');
+const Session = require('../models/Session');
+const authRoutes = require('../routes/auth');
+
+const users = [
+  new User({ name: 'Ada', email: 'ada@example.com', password: 'password' }),
+  new User({ name: 'Bob', email: 'bob@example.com', password: 'password' })
+];
+
+let server;
+let baseUrl;
+let sessions;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  sessions = [];
+  const find = id => sessions.find(session => String(session._id) === String(id)) || null;
+  const owns = (session, user) => String(session.user) === String(user);
+
+  mock.method(User, 'findById', async (id) => users.find(user => String(user._id) === String(id)) || null);
+  mock.method(Session, 'create', async (fields) => {
+    const session = new Session(fields);
+    sessions.push(session);
+    return session;
+  });
+  mock.method(Session, 'findById', async (id) => find(id));
+  mock.method(Session, 'exists', async ({ _id, user }) => {
+    const session = find(_id);
+    return session && owns(session, user) ? { _id } : null;
+  });
+  mock.method(Session, 'find', ({ user }) => ({
+    sort: async () => sessions.filter(session => owns(session, user)).sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+  }));
+  // Evaluates the query rotate() sends, so only one of two racing rotations wins
+  mock.method(Session, 'updateOne', async (filter, update) => {
+    const session = find(filter._id);
+    if (!session || session.tokenHash !== filter.tokenHash) return { modifiedCount: 0 };
+    Object.assign(session, update.$set);
+    return { modifiedCount: 1 };
+  });
+  mock.method(Session, 'deleteOne', async ({ _id, user }) => {
+    const session = find(_id);
+    if (!session || !owns(session, user)) return { deletedCount: 0 };
+    sessions = sessions.filter(other => other !== session);
+    return { deletedCount: 1 };
+  });
+  mock.method(Session.prototype, 'deleteOne', async function() {
+    sessions = sessions.filter(other => other !== this);
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+// Sign a device in the way login does
+async function signIn(user = users[0], userAgent = 'Phone') {
+  const { session, refreshToken } = await Session.start(user._id, userAgent);
+  const token = jwt.sign({ userId: user._id, sessionId: session._id }, process.env.JWT_SECRET);
+  return { session, refreshToken, token };
+}
+
+async function send(method, path, { body, token } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${baseUrl}${path}`, { method, headers, body: JSON.stringify(body) });
+  return { status: response.status, data: await response.json() };
+}
+
+const refresh = refreshToken => send('POST', '/refresh', { body: { refreshToken } });
+
+describe('POST /api/auth/refresh', () => {
+  test('swaps the refresh token for a new pair', async () => {
+    const { refreshToken } = await signIn();
+
+    const { status, data } = await refresh(refreshToken);
+
+    assert.equal(status, 200);
+    assert.notEqual(data.refreshToken, refreshToken);
+    assert.equal((await send('GET', '/me', { token: data.token })).status, 200);
+    assert.equal((await refresh(data.refreshToken)).status, 200);
+  });
+
+  test('refuses the previous token quietly within the grace period', async () => {
+    const { refreshToken } = await signIn();
+    const { data: rotated } = await refresh(refreshToken);
+
+    const { status, data } = await refresh(refreshToken);
+
+    assert.equal(status, 401);
+    assert.equal(data.error, 'Refresh token already used');
+    assert.equal(sessions.length, 1, 'the session is kept');
+    assert.equal((await refresh(rotated.refreshToken)).status, 200);
+  });
+
+  test('lets only one of two refreshes with the same token through', async () => {
+    const { refreshToken } = await signIn();
+
+    const results = await Promise.all([refresh(refreshToken), refresh(refreshToken)]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), [200, 401]);
+    assert.equal(sessions.length, 1);
+  });
+
+  test('ends the session when an old token is used after the grace period', async () => {
+    const { session, refreshToken } = await signIn();
+    const { data: rotated } = await refresh(refreshToken);
+    session.rotatedAt = new Date(Date.now() - 61 * 1000);
+
+    const { status, data } = await refresh(refreshToken);
+
+    assert.equal(status, 401);
+    assert.equal(data.error, 'Session revoked');
+    assert.equal(sessions.length, 0);
+    // Whoever holds the newer tokens is signed out as well
+    assert.equal((await refresh(rotated.refreshToken)).status, 401);
+    assert.equal((await send('GET', '/me', { token: rotated.token })).status, 401);
+  });
+
+  test('refuses an unknown or malformed token', async () => {
+    const { session } = await signIn();
+
+    assert.equal((await refresh(`${session._id}.${'0'.repeat(64)}`)).status, 401);
+    assert.equal((await refresh('not-a-token')).status, 401);
+    assert.equal(sessions.length, 1);
+  });
+
+  test('refuses the token of an expired session', async () => {
+    const { session, refreshToken } = await signIn();
+    session.expiresAt = new Date(Date.now() - 1000);
+
+    const { status, data } = await refresh(refreshToken);
+
+    assert.equal(status, 401);
+    assert.equal(data.error, 'Session expired');
+  });
+});
+
+describe('sessions', () => {
+  test('lists the account\'s devices and marks the current one', async () => {
+    const phone = await signIn(users[0], 'Phone');
+    const laptop = await signIn(users[0], 'Laptop');
+    await signIn(users[1], 'Bob\'s phone');
+    laptop.session.lastUsedAt = new Date(Date.now() + 1000);
+
+    const { status, data } = await send('GET', '/sessions', { token: phone.token });
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      data.sessions.map(({ userAgent, current }) => ({ userAgent, current })),
+      [{ userAgent: 'Laptop', current: false }, { userAgent: 'Phone', current: true }]
+    );
+  });
+
+  test('signs a device out right away', async () => {
+    const phone = await signIn(users[0], 'Phone');
+    const laptop = await signIn(users[0], 'Laptop');
+
+    const { status } = await send('DELETE', `/sessions/${laptop.session._id}`, { token: phone.token });
+
+    assert.equal(status, 200);
+    const me = await send('GET', '/me', { token: laptop.token });
+    assert.equal(me.status, 401);
+    assert.equal(me.data.error, 'Session revoked');
+    assert.equal((await refresh(laptop.refreshToken)).status, 401);
+    assert.equal((await send('GET', '/me', { token: phone.token })).status, 200);
+  });
+
+  test('can\'t sign out another account\'s device', async () => {
+    const ada = await signIn(users[0]);
+    const bob = await signIn(users[1]);
+
+    const { status } = await send('DELETE', `/sessions/${bob.session._id}`, { token: ada.token });
+
+    assert.equal(status, 404);
+    assert.equal((await send('GET', '/me', { token: bob.token })).status, 200);
+  });
+
+  test('refuses an access token from before sessions', async () => {
+    await signIn();
+    const token = jwt.sign({ userId: users[0]._id }, process.env.JWT_SECRET);
+
+    const { status, data } = await send('GET', '/me', { token });
+
+    assert.equal(status, 401);
+    assert.equal(data.error, 'Session expired');
+  });
+
+  test('logging out ends the session', async () => {
+    const { refreshToken, token } = await signIn();
+
+    const { status } = await send('POST', '/logout', { body: { refreshToken } });
+
+    assert.equal(status, 200);
+    assert.equal(sessions.length, 0);
+    assert.equal((await send('GET', '/me', { token })).status, 401);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Outgoing mail
+ * Messages go through a transport: any object with an async
+ * sendMail({ from, to, subject, text }). SMTP_URL sets up a nodemailer
+ * one; without it there's no transport and isConfigured() is false, so
+ * features that need mail turn themselves off. Tests swap in
+ * createMemoryTransport() and read its outbox.
+ */
+
+const nodemailer = require('nodemailer');
+
+const { SMTP_URL, MAIL_FROM } = process.env;
+const DEFAULT_FROM = MAIL_FROM || 'Loop Habits <no-reply@localhost>';
+
+let transport = SMTP_URL ? nodemailer.createTransport(SMTP_URL) : null;
+
+function isConfigured() {
+  return Boolean(transport);
+}
+
+/**
+ * Use a transport for every message from now on
+ * @param {Object|null} next - Has sendMail(message); null turns mail off
+ */
+function setTransport(next) {
+  transport = next;
+}
+
+/**
+ * A transport that keeps messages in memory instead of sending them
+ * @returns {{outbox: Array<Object>, sendMail: Function}}
+ */
+function createMemoryTransport() {
+  const outbox = [];
+  return {
+    outbox,
+    async sendMail(message) {
+      outbox.push(message);
+    }
+  };
+}
+
+/**
+ * Send a plain-text message
+ * @param {Object} message - to, subject, text (from defaults to MAIL_FROM)
+ * @throws {Error} - When no transport is configured
+ */
+async function sendMail({ from = DEFAULT_FROM, to, subject, text }) {
+  if (!transport) {
+    throw new Error('Mail is not configured (set SMTP_URL)');
+  }
+  await transport.sendMail({ from, to, subject, text });
+}
+
+module.exports = { isConfigured, setTransport, createMemoryTransport, sendMail };
@@ -0,0 +1,118 @@
+/**
+ * Web Push delivery
+ * Needs VAPID keys in the environment (generate with `npx web-push generate-vapid-keys`)
+ * Set PUSH_ALLOW_INSECURE_ENDPOINTS=true only to test against a local
+ * stand-in push service - see isAllowedEndpoint().
+ */
+
+const webpush = require('web-push');
+const PushSubscription = require('../models/PushSubscription');
+
+// How long the push service keeps an undelivered reminder (seconds)
+const PUSH_TTL = 60 * 60;
+
+const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+const configured = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+
+if (configured) {
+  webpush.setVapidDetails(VAPID_SUBJECT || 'mailto:admin@example.com', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+function isConfigured() {
+  return configured;
+}
+
+function getPublicKey() {
+  return configured ? VAPID_PUBLIC_KEY : null;
+}
+
+/**
+ * Whether the server may send reminders to an endpoint: https on the
+ * default port of a public host name. Anything else - http, IP addresses,
+ * localhost, other ports - could aim the scheduler at internal services,
+ * so it's only accepted with PUSH_ALLOW_INSECURE_ENDPOINTS=true.
+ */
+function isAllowedEndpoint(endpoint) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return false;
+  }
+
+  if (process.env.PUSH_ALLOW_INSECURE_ENDPOINTS === 'true') {
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  }
+
+  // Host names end in a TLD made of letters, which rules out IPv4 (and IPv6 has brackets)
+  const labels = url.hostname.toLowerCase().split('.');
+  const tld = labels[labels.length - 1];
+  return url.protocol === 'https:' &&
+    url.port === '' &&
+    !url.username && !url.password &&
+    labels.length > 1 &&
+    /^[a-z]{2,}$/.test(tld) &&
+    !['localhost', 'local', 'internal'].includes(tld);
+}
+
+/**
+ * Send a payload to every subscription of a user
+ * Subscriptions the push service reports as gone are removed.
+ * @returns {Promise<number>} - Number of subscriptions reached
+ */
+async function sendToUser(userId, payload) {
+  const subscriptions = await PushSubscription.find({ user: userId });
+  let delivered = 0;
+
+  for (const subscription of subscriptions) {
+    // Saved before endpoints were checked, or allowed only in development
+    if (!isAllowedEndpoint(subscription.endpoint)) {
+      await PushSubscription.deleteOne({ _id: subscription._id });
+      continue;
+    }
+
+    try {
+      await deliver(subscription, payload);
+      delivered++;
+    } catch (error) {
+      if (error.statusCode === 404 || error.statusCode === 410) {
+        await PushSubscription.deleteOne({ _id: subscription._id });
+      } else {
+        console.error('Push delivery failed:', error.message);
+      }
+    }
+  }
+
+  return delivered;
+}
+
+/**
+ * Encrypt and POST a payload to one subscription's endpoint
+ * Sent with fetch rather than webpush.sendNotification(), which only
+ * speaks https - this way a plain http stand-in works for local testing
+ * (with PUSH_ALLOW_INSECURE_ENDPOINTS=true).
+ */
+async function deliver(subscription, payload) {
+  const request = webpush.generateRequestDetails(
+    { endpoint: subscription.endpoint, keys: subscription.keys },
+    JSON.stringify(payload),
+    { TTL: PUSH_TTL }
+  );
+
+  const headers = { ...request.headers };
+  delete headers['Content-Length']; // fetch sets it from the body
+
+  const response = await fetch(request.endpoint, {
+    method: request.method,
+    headers,
+    body: request.body
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Push service responded with ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+}
+
+module.exports = { isConfigured, getPublicKey, isAllowedEndpoint, sendToUser, deliver };
@@ -0,0 +1,14 @@
+/**
+ * Modules shared with the app
+ * The backup format, CSV export, ZIP writer and calendar export (with
+ * the schedule rules from habit-score.js) live in js/ as ES modules, so
+ * the app and the server use the same files. CommonJS can't require()
+ * them; these load them with import(), which only reads each one once.
+ */
+
+const backupFormat = () => import('../../js/backup-format.js');
+const csvExport = () => import('../../js/csv-export.js');
+const zip = () => import('../../js/zip.js');
+const ics = () => import('../../js/ics.js');
+
+module.exports = { backupFormat, csvExport, zip, ics };
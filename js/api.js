@@ -19,8 +19,23 @@ const API_URL = (() => {
 
 // Token storage key
 const TOKEN_KEY = 'loop_habits_token';
+const REFRESH_TOKEN_KEY = 'loop_habits_refresh_token';
+const REFRESHED_AT_KEY = 'loop_habits_refreshed_at';
 const USER_KEY = 'loop_habits_user';
 
+// The server's answer when another tab used the refresh token first
+const TOKEN_USED_ERROR = 'Refresh token already used';
+
+// Shares tokens with the service worker around each refresh (see setTokenSync)
+let tokenSync = null;
+
+/**
+ * Get the backend base URL
+ */
+export function getApiUrl() {
+  return API_URL;
+}
+
 /**
  * Get stored auth token
  */
@@ -28,6 +43,45 @@ export function getToken() {
   return localStorage.getItem(TOKEN_KEY);
 }
 
+/**
+ * Get stored refresh token
+ */
+export function getRefreshToken() {
+  return localStorage.getItem(REFRESH_TOKEN_KEY);
+}
+
+/**
+ * Get the stored tokens and when they were issued (ms, 0 if unknown)
+ * @returns {{token: string|null, refreshToken: string|null, refreshedAt: number}}
+ */
+export function getTokens() {
+  return {
+    token: getToken(),
+    refreshToken: getRefreshToken(),
+    refreshedAt: Number(localStorage.getItem(REFRESHED_AT_KEY)) || 0
+  };
+}
+
+/**
+ * Store a new access and refresh token pair
+ * @param {Object} tokens - { token, refreshToken, refreshedAt }
+ */
+export function setTokens({ token, refreshToken, refreshedAt = Date.now() }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  localStorage.setItem(REFRESHED_AT_KEY, String(refreshedAt));
+}
+
+/**
+ * Register the function that shares tokens with the service worker
+ * It runs before and after every refresh: the worker renews the session
+ * too (Background Sync), and each refresh token only works once.
+ * @param {Function|null} callback - Async, no arguments
+ */
+export function setTokenSync(callback) {
+  tokenSync = callback;
+}
+
 /**
  * Get stored user
  */
@@ -39,8 +93,8 @@ export function getUser() {
 /**
  * Store auth data
  */
-export function setAuth(token, user) {
-  localStorage.setItem(TOKEN_KEY, token);
+export function setAuth(token, user, refreshToken) {
+  setTokens({ token, refreshToken });
   localStorage.setItem(USER_KEY, JSON.stringify(user));
 }
 
@@ -49,6 +103,8 @@ export function setAuth(token, user) {
  */
 export function clearAuth() {
   localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  localStorage.removeItem(REFRESHED_AT_KEY);
   localStorage.removeItem(USER_KEY);
 }
 
@@ -61,8 +117,10 @@ export function isLoggedIn() {
 
 /**
  * Make authenticated API request
+ * Resolves to the parsed JSON, or a Blob with `responseType: 'blob'`.
+ * An expired access token is refreshed and the request sent once more.
  */
-async function request(endpoint, options = {}) {
+async function request(endpoint, { responseType = 'json', retry = true, ...options } = {}) {
   const token = getToken();
   
   const config = {
@@ -75,20 +133,83 @@ async function request(endpoint, options = {}) {
   };
   
   const response = await fetch(`${API_URL}${endpoint}`, config);
+  
+  if (response.status === 401 && retry && token && getRefreshToken() && await refreshSession()) {
+    return await request(endpoint, { responseType, retry: false, ...options });
+  }
+  
+  if (response.ok && responseType === 'blob') {
+    return await response.blob();
+  }
   const data = await response.json();
   
   if (!response.ok) {
-    // Handle token expiration
-    if (response.status === 401) {
+    // Handle an ended session (the refresh token was refused too)
+    if (response.status === 401 && token) {
       clearAuth();
       window.location.reload();
     }
-    throw new Error(data.error || 'Request failed');
+    const error = new Error(data.error || 'Request failed');
+    error.status = response.status;
+    error.data = data;
+    throw error;
   }
   
   return data;
 }
 
+let refreshing = null;
+
+/**
+ * Swap the refresh token for a new access token (and refresh token)
+ * Requests failing at the same time share one refresh - each refresh
+ * token only works once.
+ * @returns {Promise<boolean>} - false when the session has ended
+ * @throws {Error} - When the server can't be reached
+ */
+export function refreshSession() {
+  if (!refreshing) {
+    refreshing = sendRefresh().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+}
+
+async function sendRefresh() {
+  // Pick up a newer pair the service worker got while this tab was closed
+  await shareTokens();
+  const refreshToken = getRefreshToken();
+  
+  const response = await fetch(`${API_URL}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+  const data = await response.json().catch(() => ({}));
+  
+  if (response.ok) {
+    setTokens({ token: data.token, refreshToken: data.refreshToken });
+    await shareTokens();
+    return true;
+  }
+  
+  // Another tab (or the service worker) refreshed first - give it a moment to store the new tokens
+  if (data.error === TOKEN_USED_ERROR) {
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    await shareTokens();
+  }
+  return getRefreshToken() !== refreshToken;
+}
+
+async function shareTokens() {
+  try {
+    await tokenSync?.();
+  } catch (error) {
+    console.warn('Failed to share tokens with the service worker:', error);
+  }
+}
+
 // ============================================
 // AUTH API
 // ============================================
@@ -102,7 +223,7 @@ export async function signup(name, email, password) {
     body: JSON.stringify({ name, email, password })
   });
   
-  setAuth(data.token, data.user);
+  setAuth(data.token, data.user, data.refreshToken);
   return data;
 }
 
@@ -115,15 +236,50 @@ export async function login(email, password) {
     body: JSON.stringify({ email, password })
   });
   
-  setAuth(data.token, data.user);
+  setAuth(data.token, data.user, data.refreshToken);
   return data;
 }
 
 /**
- * Logout user
+ * Logout user, ending this device's session on the server
  */
-export function logout() {
+export async function logout() {
+  const refreshToken = getRefreshToken();
   clearAuth();
+  
+  if (!refreshToken) return;
+  try {
+    await fetch(`${API_URL}/auth/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+  } catch (error) {
+    // Offline - the session expires by itself
+    console.warn('Failed to end session:', error);
+  }
+}
+
+/**
+ * Ask for a password reset link to be emailed
+ * The server answers the same whether or not the email has an account.
+ */
+export async function forgotPassword(email) {
+  return await request('/auth/forgot', {
+    method: 'POST',
+    body: JSON.stringify({ email })
+  });
+}
+
+/**
+ * Choose a new password with the token from a reset link
+ * Every device is signed out, so the user logs in again afterwards.
+ */
+export async function resetPassword(token, password) {
+  return await request('/auth/reset', {
+    method: 'POST',
+    body: JSON.stringify({ token, password })
+  });
 }
 
 /**
@@ -143,6 +299,23 @@ export async function updateSettings(settings) {
   });
 }
 
+/**
+ * Get the devices signed in to this account
+ * @returns {Promise<Array>} - { id, userAgent, createdAt, lastUsedAt, current }
+ */
+export async function getSessions() {
+  const data = await request('/auth/sessions');
+  return data.sessions;
+}
+
+/**
+ * Sign a device out
+ * @param {string} sessionId
+ */
+export async function revokeSession(sessionId) {
+  return await request(`/auth/sessions/${sessionId}`, { method: 'DELETE' });
+}
+
 // ============================================
 // HABITS API
 // ============================================
@@ -156,6 +329,18 @@ export async function getHabits(includeArchived = false) {
   return data.habits;
 }
 
+/**
+ * Save a new habit order (each habit's index becomes its order)
+ * @returns {Promise<Array>} - The reordered habits
+ */
+export async function reorderHabits(habitIds) {
+  const data = await request('/habits/reorder', {
+    method: 'PUT',
+    body: JSON.stringify({ habitIds })
+  });
+  return data.habits;
+}
+
 /**
  * Get a single habit
  */
@@ -223,14 +408,25 @@ export async function getAllCompletions(startDate, endDate) {
 }
 
 /**
- * Toggle completion for a habit on a date
+ * Add (or update) a completion for a habit on a date
  */
-export async function toggleCompletion(habitId, date) {
-  const data = await request('/completions/toggle', {
+export async function addCompletion(habitId, date, fields = {}) {
+  const data = await request('/completions', {
     method: 'POST',
-    body: JSON.stringify({ habitId, date })
+    body: JSON.stringify({ habitId, date, ...fields })
+  });
+  return data.completion;
+}
+
+/**
+ * Remove the completion for a habit on a date
+ * Pass { baseVersion } to be refused (409) if it changed since
+ */
+export async function removeCompletion(habitId, date, fields = {}) {
+  await request('/completions', {
+    method: 'DELETE',
+    body: JSON.stringify({ habitId, date, ...fields })
   });
-  return data.completed;
 }
 
 /**
@@ -240,6 +436,127 @@ export async function getStats(days = 30) {
   return await request(`/completions/stats?days=${days}`);
 }
 
+// ============================================
+// SYNC API
+// ============================================
+
+/**
+ * Get habits, completions and deletions changed since a sync cursor
+ * Omit the cursor to get a full snapshot.
+ */
+export async function getChanges(cursor = null) {
+  const query = cursor ? `?since=${encodeURIComponent(cursor)}` : '';
+  return await request(`/sync${query}`);
+}
+
+// ============================================
+// BACKUP API
+// ============================================
+
+/**
+ * Download everything as a JSON backup (same format as db.exportAllData)
+ */
+export async function exportData() {
+  return await request('/export');
+}
+
+/**
+ * Download habits.csv and completions.csv as a ZIP
+ * @returns {Promise<Blob>}
+ */
+export async function exportCSV() {
+  return await request('/export/csv', { responseType: 'blob' });
+}
+
+/**
+ * Restore a JSON backup on the server, all or nothing
+ * @param {Object} data - Backup
+ * @param {Object} options
+ * @param {boolean} options.replace - Delete every habit first instead of merging
+ * @returns {Promise<Object>} - { report } with added/updated/skipped counts
+ */
+export async function importData(data, { replace = false } = {}) {
+  return await request(`/import?replace=${replace}`, {
+    method: 'POST',
+    body: JSON.stringify(data)
+  });
+}
+
+// ============================================
+// CALENDAR API
+// ============================================
+
+/**
+ * Get the token of the calendar feed
+ * @returns {Promise<string|null>} - null while the feed is off
+ */
+export async function getCalendarToken() {
+  const data = await request('/calendar/link');
+  return data.token;
+}
+
+/**
+ * Turn the calendar feed on with a new link (an old one stops working)
+ * @param {string} timeZone - IANA time zone the feed's days are read in
+ * @returns {Promise<string>} - Token
+ */
+export async function createCalendarToken(timeZone) {
+  const data = await request('/calendar/link', {
+    method: 'POST',
+    body: JSON.stringify({ timeZone })
+  });
+  return data.token;
+}
+
+/**
+ * Turn the calendar feed off
+ */
+export async function deleteCalendarToken() {
+  await request('/calendar/link', { method: 'DELETE' });
+}
+
+/**
+ * URL calendar apps subscribe to
+ * @param {string} token
+ */
+export function getCalendarUrl(token) {
+  return `${API_URL}/calendar/${token}.ics`;
+}
+
+// ============================================
+// PUSH API
+// ============================================
+
+/**
+ * Get the server's VAPID public key for push subscriptions
+ */
+export async function getPushPublicKey() {
+  const data = await request('/push/public-key');
+  return data.publicKey;
+}
+
+/**
+ * Register a push subscription for reminders
+ * @param {Object} subscription - PushSubscription.toJSON()
+ * @param {string} timeZone - IANA time zone reminders are scheduled in
+ */
+export async function subscribePush(subscription, timeZone) {
+  return await request('/push/subscribe', {
+    method: 'POST',
+    body: JSON.stringify({ ...subscription, timeZone })
+  });
+}
+
+/**
+ * Remove a push subscription
+ */
+export async function unsubscribePush(endpoint) {
+  await request('/push/subscribe', {
+    method: 'DELETE',
+    body: JSON.stringify({ endpoint })
+  });
+}
+
 // ============================================
 // HEALTH CHECK
 // ============================================
@@ -5,8 +5,16 @@
 
 import * as api from './api.js';
 import * as db from './db.js';
+import * as sync from './sync.js';
+import * as reminders from './reminders.js';
 import * as score from './habit-score.js';
 import * as utils from './utils.js';
+import { isLoopBackup, parseLoopBackup } from './loop-import.js';
+import { readBackup } from './backup-format.js';
+import { toCSV } from './csv-export.js';
+import { LONG_FIELDS, DATE_FORMATS, readCSVImport, guessMapping, detectDateFormat, buildImport } from './csv-import.js';
+import { zip } from './zip.js';
+import { buildCalendar } from './ics.js';
 import { initConfetti, celebrate } from './confetti.js';
 import * as charts from './charts.js';
 
@@ -16,12 +24,22 @@ import * as charts from './charts.js';
 
 const state = {
   isOnline: true,
-  useBackend: false, // Will be set based on backend availability
+  useBackend: false, // True when logged in and syncing with the backend
   habits: [],
+  archivedHabits: [],
   completions: {},
   currentDate: new Date(),
   selectedHabit: null,
   calendarMonth: new Date(),
+  pendingConflict: null,
+  pendingValue: null, // { habitId, date } while the value dialog is open
+  pendingDay: null, // { habitId, date } while the day dialog is open
+  pauseHabitId: null, // Habit the pause dialog is for, null for all habits
+  tagFilter: null, // Tag the habit lists are filtered by, null for all habits
+  pendingImport: null, // Habits read from a Loop backup, awaiting confirmation
+  pendingBackup: null, // JSON backup awaiting merge or replace
+  pendingCSV: null, // { source, mapping, dateFormat, result } while the CSV import dialog is open
+  resetToken: null, // Token from a password reset link, while the reset form is open
   user: null,
   settings: {
     darkMode: true,
@@ -45,6 +63,11 @@ const elements = {
   mainApp: document.getElementById('main-app'),
   habitsList: document.getElementById('habits-list'),
   allHabitsList: document.getElementById('all-habits-list'),
+  archivedSection: document.getElementById('archived-section'),
+  archivedCount: document.getElementById('archived-count'),
+  archivedList: document.getElementById('archived-list'),
+  tagFilter: document.getElementById('tag-filter'),
+  allTagFilter: document.getElementById('all-tag-filter'),
   emptyState: document.getElementById('empty-state'),
   currentDate: document.getElementById('current-date'),
   dateSubtitle: document.getElementById('date-subtitle'),
@@ -63,8 +86,18 @@ const elements = {
   signupPassword: document.getElementById('signup-password'),
   showSignup: document.getElementById('show-signup'),
   showLogin: document.getElementById('show-login'),
+  showForgot: document.getElementById('show-forgot'),
+  forgotForm: document.getElementById('forgot-form'),
+  forgotEmail: document.getElementById('forgot-email'),
+  forgotShowLogin: document.getElementById('forgot-show-login'),
+  resetForm: document.getElementById('reset-form'),
+  resetPassword: document.getElementById('reset-password'),
+  resetPasswordConfirm: document.getElementById('reset-password-confirm'),
+  resetShowLogin: document.getElementById('reset-show-login'),
   authError: document.getElementById('auth-error'),
   authErrorMessage: document.getElementById('auth-error-message'),
+  authNotice: document.getElementById('auth-notice'),
+  authNoticeMessage: document.getElementById('auth-notice-message'),
   
   // User info in side menu
   userName: document.getElementById('user-name'),
@@ -94,9 +127,21 @@ const elements = {
   habitId: document.getElementById('habit-id'),
   habitName: document.getElementById('habit-name'),
   habitQuestion: document.getElementById('habit-question'),
+  habitTags: document.getElementById('habit-tags'),
+  tagSuggestions: document.getElementById('tag-suggestions'),
   habitFrequency: document.getElementById('habit-frequency'),
   habitTimesPerWeek: document.getElementById('habit-times-per-week'),
   habitInterval: document.getElementById('habit-interval'),
+  habitTimesPerPeriod: document.getElementById('habit-times-per-period'),
+  habitPeriodType: document.getElementById('habit-period-type'),
+  habitPeriodDays: document.getElementById('habit-period-days'),
+  specificDaysPicker: document.getElementById('specific-days-picker'),
+  habitType: document.getElementById('habit-type'),
+  habitTarget: document.getElementById('habit-target'),
+  habitTargetType: document.getElementById('habit-target-type'),
+  habitUnit: document.getElementById('habit-unit'),
+  reminderList: document.getElementById('reminder-list'),
+  addReminderBtn: document.getElementById('add-reminder-btn'),
   colorPicker: document.getElementById('color-picker'),
   iconPicker: document.getElementById('icon-picker'),
   
@@ -106,12 +151,16 @@ const elements = {
   confettiToggle: document.getElementById('confetti-toggle'),
   exportBtn: document.getElementById('export-btn'),
   clearDataBtn: document.getElementById('clear-data-btn'),
+  sessionsSection: document.getElementById('sessions-section'),
+  sessionList: document.getElementById('session-list'),
   
   // Statistics
   totalHabits: document.getElementById('total-habits'),
   completedToday: document.getElementById('completed-today'),
   bestStreak: document.getElementById('best-streak'),
   overallScore: document.getElementById('overall-score'),
+  categorySection: document.getElementById('category-section'),
+  categoryStats: document.getElementById('category-stats'),
   monthlyChart: document.getElementById('monthly-chart'),
   weeklyChart: document.getElementById('weekly-chart'),
   
@@ -125,10 +174,15 @@ const elements = {
   calendarMonth: document.getElementById('calendar-month'),
   calendarGrid: document.getElementById('calendar-grid'),
   habitScoreChart: document.getElementById('habit-score-chart'),
+  addNoteBtn: document.getElementById('add-note-btn'),
+  notesSearch: document.getElementById('notes-search'),
+  notesList: document.getElementById('notes-list'),
   prevMonth: document.getElementById('prev-month'),
   nextMonth: document.getElementById('next-month'),
   editHabitBtn: document.getElementById('edit-habit-btn'),
   deleteHabitBtn: document.getElementById('delete-habit-btn'),
+  pauseHabitBtn: document.getElementById('pause-habit-btn'),
+  archiveHabitBtn: document.getElementById('archive-habit-btn'),
   
   // Confirm Dialog
   confirmTitle: document.getElementById('confirm-title'),
@@ -136,8 +190,76 @@ const elements = {
   confirmCancel: document.getElementById('confirm-cancel'),
   confirmOk: document.getElementById('confirm-ok'),
   
+  // Sync Conflict Dialog
+  conflictDialog: document.getElementById('conflict-dialog'),
+  conflictMessage: document.getElementById('conflict-message'),
+  conflictList: document.getElementById('conflict-list'),
+  conflictLater: document.getElementById('conflict-later'),
+  conflictApply: document.getElementById('conflict-apply'),
+  
+  // Value Dialog (measurable habits)
+  valueDialog: document.getElementById('value-dialog'),
+  valueForm: document.getElementById('value-form'),
+  valueTitle: document.getElementById('value-title'),
+  valueSubtitle: document.getElementById('value-subtitle'),
+  valueInput: document.getElementById('value-input'),
+  valueUnit: document.getElementById('value-unit'),
+  valueTarget: document.getElementById('value-target'),
+  valueClear: document.getElementById('value-clear'),
+  
+  // Day Dialog (note, skip)
+  dayDialog: document.getElementById('day-dialog'),
+  dayForm: document.getElementById('day-form'),
+  dayTitle: document.getElementById('day-title'),
+  daySubtitle: document.getElementById('day-subtitle'),
+  dayNote: document.getElementById('day-note'),
+  daySkip: document.getElementById('day-skip'),
+  dayCancel: document.getElementById('day-cancel'),
+  
+  // Pause Dialog
+  pauseDialog: document.getElementById('pause-dialog'),
+  pauseForm: document.getElementById('pause-form'),
+  pauseTitle: document.getElementById('pause-title'),
+  pauseStart: document.getElementById('pause-start'),
+  pauseEnd: document.getElementById('pause-end'),
+  pauseList: document.getElementById('pause-list'),
+  pauseCancel: document.getElementById('pause-cancel'),
+  pauseAllBtn: document.getElementById('pause-all-btn'),
+  
   // Import
-  importFile: document.getElementById('import-file')
+  importFile: document.getElementById('import-file'),
+  backupDialog: document.getElementById('backup-dialog'),
+  backupMessage: document.getElementById('backup-message'),
+  backupReplaceOption: document.getElementById('backup-replace-option'),
+  backupReplace: document.getElementById('backup-replace'),
+  backupReport: document.getElementById('backup-report'),
+  backupCancel: document.getElementById('backup-cancel'),
+  backupConfirm: document.getElementById('backup-confirm'),
+  exportDialog: document.getElementById('export-dialog'),
+  exportForm: document.getElementById('export-form'),
+  exportCancel: document.getElementById('export-cancel'),
+  exportConfirm: document.getElementById('export-confirm'),
+  calendarDialog: document.getElementById('calendar-dialog'),
+  calendarFeedText: document.getElementById('calendar-feed-text'),
+  calendarUrl: document.getElementById('calendar-url'),
+  calendarCreate: document.getElementById('calendar-create'),
+  calendarCopy: document.getElementById('calendar-copy'),
+  calendarReset: document.getElementById('calendar-reset'),
+  calendarOff: document.getElementById('calendar-off'),
+  calendarClose: document.getElementById('calendar-close'),
+  calendarDownload: document.getElementById('calendar-download'),
+  csvDialog: document.getElementById('csv-dialog'),
+  csvSummary: document.getElementById('csv-summary'),
+  csvMapping: document.getElementById('csv-mapping'),
+  csvHabits: document.getElementById('csv-habits'),
+  csvProblems: document.getElementById('csv-problems'),
+  csvCancel: document.getElementById('csv-cancel'),
+  csvConfirm: document.getElementById('csv-confirm'),
+  importDialog: document.getElementById('import-dialog'),
+  importSummary: document.getElementById('import-summary'),
+  importList: document.getElementById('import-list'),
+  importCancel: document.getElementById('import-cancel'),
+  importConfirm: document.getElementById('import-confirm')
 };
 
 // ============================================
@@ -149,18 +271,19 @@ async function init() {
     // Initialize confetti
     initConfetti(elements.confettiCanvas);
     
-    // Check if backend is available
-    state.useBackend = await api.healthCheck();
-    console.log('Backend available:', state.useBackend);
-    
-    if (state.useBackend) {
-      // Check if user is logged in
-      if (api.isLoggedIn()) {
-        state.user = api.getUser();
-        await initAuthenticatedApp();
-      } else {
-        showAuthScreen();
-      }
+    // Opened from a password reset email - keep the token out of the address bar
+    const resetToken = new URLSearchParams(window.location.search).get('reset');
+    if (resetToken) {
+      state.resetToken = resetToken;
+      history.replaceState(null, '', window.location.pathname);
+      showAuthScreen();
+      showAuthForm(elements.resetForm);
+    } else if (api.isLoggedIn()) {
+      // Logged in users work from local data, even without a connection
+      state.user = api.getUser();
+      await initAuthenticatedApp();
+    } else if (await api.healthCheck()) {
+      showAuthScreen();
     } else {
       // Fallback to local storage mode
       console.log('Using offline mode with local storage');
@@ -182,6 +305,12 @@ async function init() {
 
 async function initAuthenticatedApp() {
   try {
+    state.useBackend = true;
+    
+    // Initialize local database (the sync engine writes here first)
+    await db.initDB();
+    await sync.enable(state.user);
+    
     // Load settings from user profile
     if (state.user?.settings) {
       state.settings = { ...state.settings, ...state.user.settings };
@@ -191,8 +320,8 @@ async function initAuthenticatedApp() {
     applyTheme();
     updateSettingsUI();
     
-    // Load habits from backend
-    await loadHabitsFromBackend();
+    // Load habits from local DB
+    await loadHabits();
     
     // Update user info in UI
     updateUserInfo();
@@ -205,6 +334,19 @@ async function initAuthenticatedApp() {
     hideLoading();
     showMainApp();
     
+    // Ask the user when an edit clashes with one from another device
+    sync.setConflictResolver(resolveSyncConflict);
+    
+    // Re-render whenever a sync brings in remote changes
+    sync.onChange(async () => {
+      await loadHabits();
+      renderHabits();
+    });
+    sync.scheduleSync(0);
+    
+    startReminders();
+    reminders.enablePush().catch(error => console.warn('Push reminders unavailable:', error));
+    
     console.log('Authenticated app initialized');
   } catch (error) {
     console.error('Failed to init authenticated app:', error);
@@ -225,7 +367,7 @@ async function initLocalApp() {
     updateSettingsUI();
     
     // Load habits from local DB
-    await loadHabitsFromLocal();
+    await loadHabits();
     
     // Render
     renderDateHeader();
@@ -235,6 +377,8 @@ async function initLocalApp() {
     hideLoading();
     showMainApp();
     
+    startReminders();
+    
     console.log('Local app initialized');
   } catch (error) {
     console.error('Failed to init local app:', error);
@@ -246,26 +390,44 @@ async function initLocalApp() {
 // Data Loading
 // ============================================
 
-async function loadHabitsFromBackend() {
-  state.habits = await api.getHabits();
+async function loadHabits() {
+  const habits = await db.getAllHabits(true);
+  state.habits = habits.filter(h => !h.archived);
+  state.archivedHabits = habits.filter(h => h.archived);
   
-  // Load completions for each habit
+  // Load completion records ({ date, value, ... }) for each habit
   state.completions = {};
-  for (const habit of state.habits) {
-    const dates = await api.getCompletions(habit._id);
-    state.completions[habit._id] = dates;
+  for (const habit of habits) {
+    state.completions[habit.id] = await db.getCompletionsForHabit(habit.id);
   }
 }
 
-async function loadHabitsFromLocal() {
-  state.habits = await db.getAllHabits();
-  
-  // Load completions for each habit
-  state.completions = {};
-  for (const habit of state.habits) {
-    const completions = await db.getCompletionsForHabit(habit.id);
-    state.completions[habit.id] = completions.map(c => c.date);
+function getCompletionRecord(habitId, date) {
+  return (state.completions[habitId] || []).find(c => c.date === date);
+}
+
+/**
+ * Progress toward the habit's target on a date (0-1, 0 when skipped)
+ */
+function getDayProgress(habit, date) {
+  const record = getCompletionRecord(getHabitId(habit), date);
+  return score.isSkipped(record) ? 0 : score.getProgress(habit, record?.value);
+}
+
+function isDaySkipped(habitId, date) {
+  return score.isSkipped(getCompletionRecord(habitId, date));
+}
+
+/**
+ * Update the in-memory completion for a day after a write
+ * @param {Object|null} record - Stored record, or null if the day was cleared
+ */
+function setCompletionState(habitId, date, record) {
+  const records = (state.completions[habitId] || []).filter(c => c.date !== date);
+  if (record) {
+    records.push(record);
   }
+  state.completions[habitId] = records;
 }
 
 async function loadLocalSettings() {
@@ -349,9 +511,18 @@ function showAuthScreen() {
   setTimeout(clearForms, 500);
   
   // Show signup form by default for new users
-  elements.loginForm.classList.add('hidden');
-  elements.signupForm.classList.remove('hidden');
+  showAuthForm(elements.signupForm);
+}
+
+/**
+ * Show one of the auth screen's forms (login, signup, forgot, reset)
+ */
+function showAuthForm(form) {
+  [elements.loginForm, elements.signupForm, elements.forgotForm, elements.resetForm].forEach(f => {
+    f.classList.toggle('hidden', f !== form);
+  });
   hideAuthError();
+  hideAuthNotice();
 }
 
 function showMainApp() {
@@ -436,9 +607,86 @@ async function handleSignup(e) {
   }
 }
 
-function handleLogout() {
-  // Clear all auth data
-  api.logout();
+async function handleForgotPassword(e) {
+  e.preventDefault();
+  
+  const email = elements.forgotEmail.value.trim().toLowerCase();
+  
+  // Simple email validation
+  if (!email.includes('@') || !email.includes('.')) {
+    showAuthError('Please enter a valid email address');
+    return;
+  }
+  
+  setAuthLoading(elements.forgotForm, true);
+  hideAuthError();
+  
+  try {
+    await api.forgotPassword(email);
+    // The same answer whether or not the email has an account
+    showAuthNotice(`If ${email} has an account, we've sent it a link to reset your password. It works for an hour.`);
+  } catch (error) {
+    showAuthError(error.message || 'Could not send the reset link. Please try again.');
+  } finally {
+    setAuthLoading(elements.forgotForm, false);
+  }
+}
+
+async function handleResetPassword(e) {
+  e.preventDefault();
+  
+  const password = elements.resetPassword.value;
+  
+  if (password.length < 6) {
+    showAuthError('Password must be at least 6 characters');
+    return;
+  }
+  
+  if (password !== elements.resetPasswordConfirm.value) {
+    showAuthError('The passwords don\'t match');
+    return;
+  }
+  
+  setAuthLoading(elements.resetForm, true);
+  hideAuthError();
+  
+  try {
+    await api.resetPassword(state.resetToken, password);
+    state.resetToken = null;
+    elements.resetPassword.value = '';
+    elements.resetPasswordConfirm.value = '';
+    
+    showAuthForm(elements.loginForm);
+    showAuthNotice('Your password has been changed. Log in with the new one.');
+  } catch (error) {
+    showAuthError(error.message || 'Could not reset your password. Please try again.');
+  } finally {
+    setAuthLoading(elements.resetForm, false);
+  }
+}
+
+async function handleLogout({ discardUnsent = false } = {}) {
+  // Flush pending changes and remove this account's data from the device
+  try {
+    await sync.disable({ force: discardUnsent });
+  } catch (error) {
+    // Some changes couldn't be sent - logging out would lose them
+    if (error.unsent) {
+      confirmLogout(error.unsent);
+      return;
+    }
+    console.error('Failed to clear local data:', error);
+  }
+  
+  // Stop this account's reminders reaching the device
+  try {
+    await reminders.disablePush();
+  } catch (error) {
+    console.error('Failed to unsubscribe from reminders:', error);
+  }
+  
+  // Clear all auth data and end this device's session
+  await api.logout();
   localStorage.clear(); // Clear everything
   sessionStorage.clear();
   
@@ -450,7 +698,21 @@ function handleLogout() {
   window.location.reload();
 }
 
+function confirmLogout(unsent) {
+  const changes = unsent === 1 ? '1 change' : `${unsent} changes`;
+  elements.confirmTitle.textContent = 'Log Out Anyway?';
+  elements.confirmMessage.textContent = `${changes} on this device couldn't be synced yet. Stay logged in and they'll sync when you're back online - logging out now deletes them.`;
+  elements.confirmOk.textContent = 'Log Out';
+  elements.confirmOk.onclick = () => {
+    closeModal(elements.confirmDialog);
+    handleLogout({ discardUnsent: true });
+  };
+  
+  openModal(elements.confirmDialog);
+}
+
 function showAuthError(message) {
+  hideAuthNotice();
   elements.authErrorMessage.textContent = message;
   elements.authError.classList.remove('hidden');
 }
@@ -459,6 +721,15 @@ function hideAuthError() {
   elements.authError.classList.add('hidden');
 }
 
+function showAuthNotice(message) {
+  elements.authNoticeMessage.textContent = message;
+  elements.authNotice.classList.remove('hidden');
+}
+
+function hideAuthNotice() {
+  elements.authNotice.classList.add('hidden');
+}
+
 function setAuthLoading(form, loading) {
   const btn = form.querySelector('button[type="submit"]');
   const btnText = btn.querySelector('.btn-text');
@@ -513,7 +784,7 @@ function renderDateHeader() {
 }
 
 function getHabitId(habit) {
-  return state.useBackend ? habit._id : habit.id;
+  return habit.id;
 }
 
 function renderHabits() {
@@ -523,9 +794,13 @@ function renderHabits() {
   // Filter habits that are active
   const activeHabits = state.habits.filter(h => !h.archived);
   
+  renderTagFilters(activeHabits);
+  
   if (activeHabits.length === 0) {
     elements.habitsList.innerHTML = '';
+    elements.allHabitsList.innerHTML = '';
     elements.emptyState.classList.remove('hidden');
+    renderArchivedHabits();
     return;
   }
   
@@ -535,23 +810,32 @@ function renderHabits() {
   const weekStart = utils.getWeekStart(state.currentDate, state.settings.weekStartsOn);
   const weekDates = utils.getWeekDates(weekStart);
   
-  elements.habitsList.innerHTML = activeHabits.map(habit => {
+  elements.habitsList.innerHTML = filterByTag(activeHabits).map(habit => {
     const habitId = getHabitId(habit);
     const completions = state.completions[habitId] || [];
-    const stats = score.getHabitStats(completions, habit);
+    const stats = score.getHabitStats(completions, habit, state.settings.weekStartsOn);
+    const pause = score.getPause(habit, dateStr);
     
     return `
-      <div class="habit-card" data-habit-id="${habitId}" style="--habit-color: ${habit.color}">
+      <div class="habit-card ${pause ? 'paused' : ''}" data-habit-id="${habitId}" style="--habit-color: ${habit.color}">
         <div class="habit-header">
           <div class="habit-icon">${habit.icon}</div>
           <div class="habit-info">
             <div class="habit-name">${utils.escapeHtml(habit.name)}</div>
             <div class="habit-meta">
               <span class="habit-streak">
-                ${stats.currentStreak > 0 ? `<span class="streak-fire">🔥</span> ${stats.currentStreak} day${stats.currentStreak !== 1 ? 's' : ''}` : 'No streak'}
+                ${stats.currentStreak > 0 ? `<span class="streak-fire">🔥</span> ${stats.currentStreak} ${stats.streakUnit}${stats.currentStreak !== 1 ? 's' : ''}` : 'No streak'}
               </span>
+              ${pause ? `<span class="habit-paused">⏸ Paused until ${utils.formatDateDisplay(pause.end)}</span>` : ''}
             </div>
           </div>
+          <button type="button" class="drag-handle" aria-label="Drag to reorder">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+              <circle cx="9" cy="6" r="1.5"></circle><circle cx="15" cy="6" r="1.5"></circle>
+              <circle cx="9" cy="12" r="1.5"></circle><circle cx="15" cy="12" r="1.5"></circle>
+              <circle cx="9" cy="18" r="1.5"></circle><circle cx="15" cy="18" r="1.5"></circle>
+            </svg>
+          </button>
         </div>
         
         <div class="habit-progress">
@@ -567,21 +851,38 @@ function renderHabits() {
         <div class="habit-week">
           ${weekDates.map(date => {
             const dayStr = utils.formatDate(date);
-            const isCompleted = completions.includes(dayStr);
+            const progress = getDayProgress(habit, dayStr);
+            const isCompleted = progress >= 1;
+            const isPartial = progress > 0 && !isCompleted;
             const isToday = utils.isSameDay(date, today);
             const isFuture = utils.isFuture(date);
+            const isUnscheduled = !score.isDayScheduled(date, habit);
+            const isPaused = score.isPaused(date, habit);
+            const isSkipped = isDaySkipped(habitId, dayStr);
+            const { value, note } = getCompletionRecord(habitId, dayStr) || {};
+            const title = note || `${isSkipped ? 'Skipped - ' : ''}Long-press to add a note or ${isSkipped ? 'unskip' : 'skip'}`;
             
             return `
-              <div class="week-day">
+              <div class="week-day ${isUnscheduled ? 'unscheduled' : ''} ${isPaused ? 'paused' : ''}">
                 <span class="week-day-label">${utils.getDayName(date)}</span>
                 <button 
-                  class="week-day-check ${isCompleted ? 'completed' : ''} ${isToday ? 'today' : ''} ${isFuture ? 'future' : ''}"
+                  class="week-day-check ${isCompleted ? 'completed' : ''} ${isPartial ? 'partial' : ''} ${isSkipped ? 'skipped' : ''} ${note ? 'has-note' : ''} ${isToday ? 'today' : ''} ${isFuture ? 'future' : ''}"
                   data-date="${dayStr}"
+                  title="${utils.escapeHtml(title)}"
+                  ${isPartial ? `style="--progress: ${Math.round(progress * 100)}%"` : ''}
                   ${isFuture ? 'disabled' : ''}
                 >
-                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
-                    <polyline points="20 6 9 17 4 12"></polyline>
-                  </svg>
+                  ${isSkipped ? `
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                      <line x1="6" y1="12" x2="18" y2="12"></line>
+                    </svg>
+                  ` : score.isMeasurable(habit) ? `
+                    <span class="week-day-value">${value != null ? formatValue(value) : ''}</span>
+                  ` : `
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                      <polyline points="20 6 9 17 4 12"></polyline>
+                    </svg>
+                  `}
                 </button>
               </div>
             `;
@@ -596,12 +897,12 @@ function renderHabits() {
 }
 
 function renderAllHabits() {
-  const activeHabits = state.habits.filter(h => !h.archived);
+  const activeHabits = filterByTag(state.habits.filter(h => !h.archived));
   
   elements.allHabitsList.innerHTML = activeHabits.map(habit => {
     const habitId = getHabitId(habit);
     const completions = state.completions[habitId] || [];
-    const stats = score.getHabitStats(completions, habit);
+    const stats = score.getHabitStats(completions, habit, state.settings.weekStartsOn);
     
     return `
       <div class="habit-card" data-habit-id="${habitId}" style="--habit-color: ${habit.color}">
@@ -612,10 +913,67 @@ function renderAllHabits() {
             <div class="habit-meta">
               <span>${getFrequencyLabel(habit)}</span>
               <span>•</span>
+              ${score.isMeasurable(habit) ? `<span>${utils.escapeHtml(getTargetLabel(habit))}</span><span>•</span>` : ''}
               <span>${Math.round(stats.score * 100)}%</span>
+              ${(habit.tags || []).map(tag => `<span class="habit-tag">${utils.escapeHtml(tag)}</span>`).join('')}
             </div>
           </div>
+          <button type="button" class="drag-handle" aria-label="Drag to reorder">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+              <circle cx="9" cy="6" r="1.5"></circle><circle cx="15" cy="6" r="1.5"></circle>
+              <circle cx="9" cy="12" r="1.5"></circle><circle cx="15" cy="12" r="1.5"></circle>
+              <circle cx="9" cy="18" r="1.5"></circle><circle cx="15" cy="18" r="1.5"></circle>
+            </svg>
+          </button>
+        </div>
+      </div>
+    `;
+  }).join('');
+  
+  renderArchivedHabits();
+}
+
+/**
+ * List archived habits with their final stats, to restore or delete
+ */
+function renderArchivedHabits() {
+  const habits = state.archivedHabits;
+  
+  elements.archivedSection.classList.toggle('hidden', habits.length === 0);
+  elements.archivedCount.textContent = habits.length;
+  
+  elements.archivedList.innerHTML = habits.map(habit => {
+    const habitId = getHabitId(habit);
+    const completions = state.completions[habitId] || [];
+    const stats = score.getHabitStats(completions, habit, state.settings.weekStartsOn);
+    const lastDone = score.getCompletedDates(completions, habit).sort().pop();
+    const streakUnit = `${stats.streakUnit}${stats.bestStreak !== 1 ? 's' : ''}`;
+    
+    return `
+      <div class="archived-habit" data-habit-id="${habitId}" style="--habit-color: ${habit.color}">
+        <div class="habit-icon">${habit.icon}</div>
+        <div class="habit-info">
+          <div class="habit-name">${utils.escapeHtml(habit.name)}</div>
+          <div class="habit-meta">
+            <span>${stats.total} total</span>
+            <span>•</span>
+            <span>Best streak ${stats.bestStreak} ${streakUnit}</span>
+            <span>•</span>
+            <span>${lastDone ? `Last done ${utils.formatDateDisplay(utils.parseDate(lastDone), true)}` : 'Never done'}</span>
+          </div>
         </div>
+        <button type="button" class="archived-action" data-action="restore" title="Restore" aria-label="Restore">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="1 4 1 10 7 10"></polyline>
+            <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+          </svg>
+        </button>
+        <button type="button" class="archived-action danger" data-action="delete" title="Delete permanently" aria-label="Delete permanently">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="3 6 5 6 21 6"></polyline>
+            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+          </svg>
+        </button>
       </div>
     `;
   }).join('');
@@ -626,10 +984,40 @@ function getFrequencyLabel(habit) {
     case 'daily': return 'Every day';
     case 'weekly': return `${habit.timesPerWeek}x per week`;
     case 'interval': return `Every ${habit.interval} days`;
+    case 'specific_days': return formatDays(habit.specificDays || []);
+    case 'period': return habit.periodType === 'month'
+      ? `${habit.timesPerPeriod}x per month`
+      : `${habit.timesPerPeriod}x in ${habit.periodDays} days`;
     default: return 'Every day';
   }
 }
 
+/**
+ * Describe a set of weekdays, e.g. "Mon, Wed, Fri" or "Weekdays"
+ */
+function formatDays(days) {
+  const key = [...days].sort((a, b) => a - b).join('');
+  if (key === '0123456') return 'Every day';
+  if (key === '12345') return 'Weekdays';
+  if (key === '06') return 'Weekends';
+  
+  // List in the user's week order
+  const ordered = reminders.ALL_DAYS
+    .map((_, i) => (i + state.settings.weekStartsOn) % 7)
+    .filter(day => days.includes(day));
+  return ordered.map(day => reminders.formatDay(day)).join(', ');
+}
+
+function getTargetLabel(habit) {
+  const rule = habit.targetType === 'at_most' ? 'At most' : 'At least';
+  return `${rule} ${formatValue(habit.target ?? 1)}${habit.unit ? ` ${habit.unit}` : ''}`;
+}
+
+function formatValue(value) {
+  // Whole numbers stay whole, decimals are trimmed to 2 places
+  return String(Math.round(value * 100) / 100);
+}
+
 // ============================================
 // Event Listeners
 // ============================================
@@ -638,20 +1026,27 @@ function setupEventListeners() {
   // Auth form handlers
   elements.loginForm?.addEventListener('submit', handleLogin);
   elements.signupForm?.addEventListener('submit', handleSignup);
+  elements.forgotForm?.addEventListener('submit', handleForgotPassword);
+  elements.resetForm?.addEventListener('submit', handleResetPassword);
   
   // Auth switch links
   elements.showSignup?.addEventListener('click', (e) => {
     e.preventDefault();
-    elements.loginForm.classList.add('hidden');
-    elements.signupForm.classList.remove('hidden');
-    hideAuthError();
+    showAuthForm(elements.signupForm);
+  });
+  
+  [elements.showLogin, elements.forgotShowLogin, elements.resetShowLogin].forEach(link => {
+    link?.addEventListener('click', (e) => {
+      e.preventDefault();
+      showAuthForm(elements.loginForm);
+    });
   });
   
-  elements.showLogin?.addEventListener('click', (e) => {
+  elements.showForgot?.addEventListener('click', (e) => {
     e.preventDefault();
-    elements.signupForm.classList.add('hidden');
-    elements.loginForm.classList.remove('hidden');
-    hideAuthError();
+    // Carry over an email already typed in
+    elements.forgotEmail.value = elements.loginEmail.value.trim();
+    showAuthForm(elements.forgotForm);
   });
   
   // FAB - Add habit
@@ -685,7 +1080,14 @@ function setupEventListeners() {
   
   // Habit card clicks
   elements.habitsList.addEventListener('click', handleHabitClick);
+  onLongPress(elements.habitsList, '.week-day-check', handleDayLongPress);
+  onLongPress(elements.calendarGrid, '.calendar-day:not(.empty)', handleDayLongPress);
   elements.allHabitsList.addEventListener('click', handleHabitClick);
+  elements.archivedList.addEventListener('click', handleArchivedClick);
+  enableReorder(elements.habitsList);
+  enableReorder(elements.allHabitsList);
+  elements.tagFilter.addEventListener('click', handleTagFilterClick);
+  elements.allTagFilter.addEventListener('click', handleTagFilterClick);
   
   // Habit form
   elements.habitForm.addEventListener('submit', handleHabitSubmit);
@@ -693,6 +1095,19 @@ function setupEventListeners() {
   
   // Frequency change
   elements.habitFrequency.addEventListener('change', handleFrequencyChange);
+  elements.habitPeriodType.addEventListener('change', handleFrequencyChange);
+  
+  // Specific days
+  elements.specificDaysPicker.addEventListener('click', (e) => {
+    e.target.closest('.day-option')?.classList.toggle('selected');
+  });
+  
+  // Type change
+  elements.habitType.addEventListener('change', handleTypeChange);
+  
+  // Reminders
+  elements.addReminderBtn.addEventListener('click', () => addReminderRow());
+  elements.reminderList.addEventListener('click', handleReminderListClick);
   
   // Color picker
   elements.colorPicker.addEventListener('click', (e) => {
@@ -729,24 +1144,80 @@ function setupEventListeners() {
   elements.darkModeToggle.addEventListener('change', handleDarkModeToggle);
   elements.weekStartSelect.addEventListener('change', handleWeekStartChange);
   elements.confettiToggle.addEventListener('change', handleConfettiToggle);
-  elements.exportBtn.addEventListener('click', handleExport);
+  elements.exportBtn.addEventListener('click', () => openModal(elements.exportDialog));
   elements.clearDataBtn.addEventListener('click', handleClearData);
+  elements.sessionList.addEventListener('click', handleSessionListClick);
+  elements.pauseAllBtn.addEventListener('click', () => openPauseDialog(null));
   
   // Header buttons
   document.getElementById('stats-btn').addEventListener('click', () => openStatisticsModal());
-  document.getElementById('settings-btn').addEventListener('click', () => openModal(elements.settingsModal));
+  document.getElementById('settings-btn').addEventListener('click', openSettings);
   
   // Habit detail
   elements.prevMonth.addEventListener('click', () => navigateMonth(-1));
   elements.nextMonth.addEventListener('click', () => navigateMonth(1));
   elements.editHabitBtn.addEventListener('click', () => editSelectedHabit());
-  elements.deleteHabitBtn.addEventListener('click', () => confirmDeleteHabit());
+  elements.deleteHabitBtn.addEventListener('click', () => confirmDeleteHabit(state.selectedHabit));
+  elements.archiveHabitBtn.addEventListener('click', () => archiveSelectedHabit());
+  elements.pauseHabitBtn.addEventListener('click', () => openPauseDialog(getHabitId(state.selectedHabit)));
+  elements.addNoteBtn.addEventListener('click', () => openDayDialog(getHabitId(state.selectedHabit), utils.formatDate(utils.getToday())));
+  elements.notesSearch.addEventListener('input', utils.debounce(renderNotesList, 200));
+  elements.notesList.addEventListener('click', (e) => {
+    const item = e.target.closest('.note-item');
+    if (item) openDayDialog(getHabitId(state.selectedHabit), item.dataset.date);
+  });
   
   // Confirm dialog
   elements.confirmCancel.addEventListener('click', () => closeModal(elements.confirmDialog));
   
+  // Sync conflict dialog
+  elements.conflictList.addEventListener('click', (e) => {
+    const option = e.target.closest('.conflict-option');
+    if (!option) return;
+    option.parentElement.querySelectorAll('.conflict-option').forEach(opt => {
+      opt.classList.toggle('selected', opt === option);
+    });
+  });
+  elements.conflictLater.addEventListener('click', () => closeModal(elements.conflictDialog));
+  elements.conflictApply.addEventListener('click', applyConflictChoices);
+  
+  // Value dialog
+  elements.valueForm.addEventListener('submit', handleValueSubmit);
+  elements.valueClear.addEventListener('click', () => saveDayValue(null));
+  
+  // Day dialog
+  elements.dayForm.addEventListener('submit', handleDaySubmit);
+  elements.daySkip.addEventListener('click', handleDaySkip);
+  elements.dayCancel.addEventListener('click', () => closeModal(elements.dayDialog));
+  
+  // Pause dialog
+  elements.pauseForm.addEventListener('submit', handlePauseSubmit);
+  elements.pauseList.addEventListener('click', handlePauseListClick);
+  elements.pauseCancel.addEventListener('click', () => closeModal(elements.pauseDialog));
+  
+  // Export dialog
+  elements.exportForm.addEventListener('submit', handleExportSubmit);
+  elements.exportCancel.addEventListener('click', () => closeModal(elements.exportDialog));
+  
+  // Calendar dialog
+  elements.calendarCreate.addEventListener('click', () => handleCalendarLink(true));
+  elements.calendarReset.addEventListener('click', () => handleCalendarLink(true));
+  elements.calendarOff.addEventListener('click', () => handleCalendarLink(false));
+  elements.calendarCopy.addEventListener('click', handleCalendarCopy);
+  elements.calendarDownload.addEventListener('click', handleCalendarDownload);
+  elements.calendarClose.addEventListener('click', () => closeModal(elements.calendarDialog));
+  
   // Import file
   elements.importFile?.addEventListener('change', handleImport);
+  elements.backupReplace.addEventListener('change', updateBackupMode);
+  elements.backupCancel.addEventListener('click', () => closeModal(elements.backupDialog));
+  elements.backupConfirm.addEventListener('click', confirmBackupImport);
+  elements.csvMapping.addEventListener('change', handleCSVMappingChange);
+  elements.csvCancel.addEventListener('click', () => closeModal(elements.csvDialog));
+  elements.csvConfirm.addEventListener('click', confirmCSVImport);
+  elements.importList.addEventListener('change', updateImportSummary);
+  elements.importCancel.addEventListener('click', () => closeModal(elements.importDialog));
+  elements.importConfirm.addEventListener('click', confirmLoopImport);
   
   // Keyboard shortcuts
   document.addEventListener('keydown', handleKeyboard);
@@ -756,13 +1227,22 @@ function handleHabitClick(e) {
   const card = e.target.closest('.habit-card');
   if (!card) return;
   
-  const habitId = card.dataset.habitId;
+  // The end of a drag, not a tap
+  if (e.target.closest('.drag-handle')) return;
+  
+  const habitId = Number(card.dataset.habitId);
   const checkBtn = e.target.closest('.week-day-check');
   
   if (checkBtn && !checkBtn.disabled) {
-    // Toggle completion
     const date = checkBtn.dataset.date;
-    toggleHabitCompletion(habitId, date, checkBtn);
+    const habit = state.habits.find(h => getHabitId(h) === habitId);
+    
+    if (habit && score.isMeasurable(habit)) {
+      // Measurable habits take a number instead of a toggle
+      openValueDialog(habit, date);
+    } else {
+      toggleHabitCompletion(habitId, date, checkBtn);
+    }
   } else if (!checkBtn) {
     // Open habit detail
     openHabitDetail(habitId);
@@ -771,24 +1251,9 @@ function handleHabitClick(e) {
 
 async function toggleHabitCompletion(habitId, date, button) {
   try {
-    const wasCompleted = button.classList.contains('completed');
-    let isNowCompleted;
-    
-    if (state.useBackend) {
-      isNowCompleted = await api.toggleCompletion(habitId, date);
-    } else {
-      isNowCompleted = await db.toggleCompletion(parseInt(habitId), date);
-    }
-    
-    // Update local state
-    if (!state.completions[habitId]) {
-      state.completions[habitId] = [];
-    }
+    const isNowCompleted = await toggleDay(habitId, date);
     
     if (isNowCompleted) {
-      if (!state.completions[habitId].includes(date)) {
-        state.completions[habitId].push(date);
-      }
       button.classList.add('completed');
       
       // Celebrate with confetti
@@ -804,7 +1269,6 @@ async function toggleHabitCompletion(habitId, date, button) {
       // Haptic feedback
       utils.vibrate(10);
     } else {
-      state.completions[habitId] = state.completions[habitId].filter(d => d !== date);
       button.classList.remove('completed');
     }
     
@@ -817,6 +1281,69 @@ async function toggleHabitCompletion(habitId, date, button) {
   }
 }
 
+/**
+ * Check a yes/no habit off for a day, or clear it
+ * Tapping a skipped day marks it done; a day's note survives unchecking.
+ * @returns {Promise<boolean>} - Whether the day is now completed
+ */
+async function toggleDay(habitId, date) {
+  const record = getCompletionRecord(habitId, date);
+  const wasCompleted = !score.isSkipped(record) && record?.value > 0;
+  
+  const updated = await sync.setCompletionValue(habitId, date, wasCompleted ? null : 1);
+  setCompletionState(habitId, date, updated);
+  return !wasCompleted;
+}
+
+function handleDayLongPress(target) {
+  const date = target.dataset.date;
+  const card = target.closest('.habit-card');
+  const habitId = card ? Number(card.dataset.habitId) : getHabitId(state.selectedHabit);
+  utils.vibrate(20);
+  openDayDialog(habitId, date);
+}
+
+const LONG_PRESS_DELAY = 500;
+
+/**
+ * Call handler when an element matching selector is pressed and held
+ * The click that ends the press is swallowed.
+ */
+function onLongPress(container, selector, handler) {
+  let timer = null;
+  let swallowClick = null;
+  
+  const cancel = () => clearTimeout(timer);
+  
+  container.addEventListener('pointerdown', (e) => {
+    const target = e.target.closest(selector);
+    if (!target || target.disabled || target.classList.contains('future')) return;
+    
+    // A press that never produced its click mustn't eat the next one
+    if (swallowClick) window.removeEventListener('click', swallowClick, true);
+    
+    timer = setTimeout(() => {
+      swallowClick = (event) => {
+        event.stopPropagation();
+        event.preventDefault();
+        window.removeEventListener('click', swallowClick, true);
+        swallowClick = null;
+      };
+      window.addEventListener('click', swallowClick, true);
+      handler(target);
+    }, LONG_PRESS_DELAY);
+  });
+  
+  container.addEventListener('pointerup', cancel);
+  container.addEventListener('pointercancel', cancel);
+  container.addEventListener('pointerleave', cancel);
+  
+  // No context menu on the held element
+  container.addEventListener('contextmenu', (e) => {
+    if (e.target.closest(selector)) e.preventDefault();
+  });
+}
+
 // ============================================
 // Navigation
 // ============================================
@@ -856,7 +1383,7 @@ function handleBottomNav(view) {
       openStatisticsModal();
       break;
     case 'settings':
-      openModal(elements.settingsModal);
+      openSettings();
       break;
   }
 }
@@ -885,6 +1412,32 @@ function closeModal(modal) {
     charts.destroyChart(state.charts.habitScore);
     state.charts.habitScore = null;
   }
+  
+  if (modal === elements.valueDialog) {
+    state.pendingValue = null;
+  }
+  
+  if (modal === elements.dayDialog) {
+    state.pendingDay = null;
+  }
+  
+  // Dismissing a sync conflict means "ask me again later"
+  if (modal === elements.importDialog) {
+    state.pendingImport = null;
+  }
+  
+  if (modal === elements.backupDialog) {
+    state.pendingBackup = null;
+  }
+  
+  if (modal === elements.csvDialog) {
+    state.pendingCSV = null;
+  }
+  
+  if (modal === elements.conflictDialog && state.pendingConflict) {
+    state.pendingConflict(null);
+    state.pendingConflict = null;
+  }
 }
 
 function closeAllModals() {
@@ -893,6 +1446,9 @@ function closeAllModals() {
   });
 }
 
+// Pre-selected days for a new "specific days" schedule (Mon, Wed, Fri)
+const DEFAULT_SPECIFIC_DAYS = [1, 3, 5];
+
 function openHabitModal(habit = null) {
   const isEdit = !!habit;
   
@@ -910,18 +1466,40 @@ function openHabitModal(habit = null) {
     opt.classList.toggle('selected', i === 0);
   });
   
-  // Hide frequency options
+  // Hide frequency and measurable options
   document.getElementById('weekly-options').style.display = 'none';
   document.getElementById('interval-options').style.display = 'none';
+  document.getElementById('period-options').style.display = 'none';
+  document.getElementById('specific-days-options').style.display = 'none';
+  document.getElementById('measurable-options').style.display = 'none';
+  renderSpecificDaysPicker(habit?.specificDays || DEFAULT_SPECIFIC_DAYS);
+  
+  // Clear reminders
+  elements.reminderList.innerHTML = '';
+  
+  // Suggest the tags already in use
+  db.getAllTags().then(tags => {
+    elements.tagSuggestions.innerHTML = tags
+      .map(tag => `<option value="${utils.escapeHtml(tag)}"></option>`)
+      .join('');
+  }).catch(error => console.warn('Failed to load tags:', error));
   
   if (isEdit) {
     const habitId = getHabitId(habit);
     elements.habitId.value = habitId;
     elements.habitName.value = habit.name;
     elements.habitQuestion.value = habit.question || '';
+    elements.habitTags.value = (habit.tags || []).join(', ');
     elements.habitFrequency.value = habit.frequency || 'daily';
     elements.habitTimesPerWeek.value = habit.timesPerWeek || 3;
     elements.habitInterval.value = habit.interval || 2;
+    elements.habitTimesPerPeriod.value = habit.timesPerPeriod || 2;
+    elements.habitPeriodType.value = habit.periodType || 'month';
+    elements.habitPeriodDays.value = habit.periodDays || 14;
+    elements.habitType.value = habit.type || 'boolean';
+    elements.habitTarget.value = habit.target ?? 1;
+    elements.habitTargetType.value = habit.targetType || 'at_least';
+    elements.habitUnit.value = habit.unit || '';
     
     // Select color
     document.querySelectorAll('.color-option').forEach(opt => {
@@ -934,6 +1512,9 @@ function openHabitModal(habit = null) {
     });
     
     handleFrequencyChange();
+    handleTypeChange();
+    
+    (habit.reminders || []).forEach(reminder => addReminderRow(reminder));
   }
   
   openModal(elements.habitModal);
@@ -955,33 +1536,74 @@ async function handleHabitSubmit(e) {
     return;
   }
   
+  const specificDays = [...elements.specificDaysPicker.querySelectorAll('.day-option.selected')]
+    .map(opt => Number(opt.dataset.day))
+    .sort((a, b) => a - b);
+  
+  if (frequency === 'specific_days' && specificDays.length === 0) {
+    showToast('Please pick at least one day');
+    return;
+  }
+  
+  const timesPerPeriod = parseInt(elements.habitTimesPerPeriod.value);
+  const periodType = elements.habitPeriodType.value;
+  const periodDays = parseInt(elements.habitPeriodDays.value);
+  
+  if (frequency === 'period' && !(timesPerPeriod >= 1 && (periodType === 'month' || periodDays >= 2))) {
+    showToast('Please enter how many times, and over how many days');
+    return;
+  }
+  
+  const type = elements.habitType.value;
+  const target = parseFloat(elements.habitTarget.value);
+  
+  if (type === 'measurable' && !(target >= 0)) {
+    showToast('Please enter a target of 0 or more');
+    return;
+  }
+  
   const habitData = {
     name,
     question,
+    tags: parseTags(elements.habitTags.value),
     frequency,
     color,
     icon,
     timesPerWeek: parseInt(elements.habitTimesPerWeek.value) || 3,
-    interval: parseInt(elements.habitInterval.value) || 2
+    interval: parseInt(elements.habitInterval.value) || 2,
+    ...(frequency === 'specific_days' && { specificDays }),
+    ...(frequency === 'period' && {
+      timesPerPeriod,
+      periodType,
+      ...(periodType === 'days' && { periodDays })
+    }),
+    type,
+    ...(type === 'measurable' && {
+      target,
+      targetType: elements.habitTargetType.value,
+      unit: elements.habitUnit.value.trim()
+    }),
+    reminders: readReminderRows()
   };
   
+  // Ask while we still have the user's click - browsers ignore it later
+  if (habitData.reminders.length) {
+    if (!(await reminders.requestPermission())) {
+      showToast('Notifications are blocked, so reminders won\'t show');
+    } else if (state.useBackend) {
+      reminders.enablePush().catch(error => console.warn('Push reminders unavailable:', error));
+    }
+  }
+  
   try {
     if (id) {
       // Update existing habit
-      if (state.useBackend) {
-        await api.updateHabit(id, habitData);
-      } else {
-        const existingHabit = state.habits.find(h => h.id === parseInt(id));
-        await db.updateHabit({ ...existingHabit, ...habitData });
-      }
+      const existingHabit = state.habits.find(h => h.id === parseInt(id));
+      await sync.updateHabit({ ...existingHabit, ...habitData });
       showToast('Habit updated');
     } else {
       // Create new habit
-      if (state.useBackend) {
-        await api.createHabit(habitData);
-      } else {
-        await db.createHabit(habitData);
-      }
+      await sync.createHabit(habitData);
       showToast('Habit created');
       
       // Celebrate new habit
@@ -991,11 +1613,7 @@ async function handleHabitSubmit(e) {
     }
     
     // Reload and render
-    if (state.useBackend) {
-      await loadHabitsFromBackend();
-    } else {
-      await loadHabitsFromLocal();
-    }
+    await loadHabits();
     renderHabits();
     closeModal(elements.habitModal);
     
@@ -1012,6 +1630,81 @@ function handleFrequencyChange() {
     frequency === 'weekly' ? 'block' : 'none';
   document.getElementById('interval-options').style.display = 
     frequency === 'interval' ? 'block' : 'none';
+  document.getElementById('specific-days-options').style.display = 
+    frequency === 'specific_days' ? 'block' : 'none';
+  document.getElementById('period-options').style.display = 
+    frequency === 'period' ? 'block' : 'none';
+  document.getElementById('period-days-field').style.display = 
+    elements.habitPeriodType.value === 'days' ? 'block' : 'none';
+}
+
+function renderSpecificDaysPicker(selectedDays) {
+  // Weekdays in the user's preferred order
+  const days = reminders.ALL_DAYS.map((_, i) => (i + state.settings.weekStartsOn) % 7);
+  
+  elements.specificDaysPicker.innerHTML = days.map(day => `
+    <button type="button" class="day-option ${selectedDays.includes(day) ? 'selected' : ''}" data-day="${day}">
+      ${reminders.formatDay(day)}
+    </button>
+  `).join('');
+}
+
+function handleTypeChange() {
+  document.getElementById('measurable-options').style.display =
+    elements.habitType.value === 'measurable' ? 'block' : 'none';
+}
+
+function addReminderRow(reminder = { time: reminders.DEFAULT_REMINDER_TIME, days: reminders.ALL_DAYS }) {
+  // Weekdays in the user's preferred order
+  const days = reminders.ALL_DAYS.map((_, i) => (i + state.settings.weekStartsOn) % 7);
+  
+  const row = document.createElement('div');
+  row.className = 'reminder-row';
+  row.innerHTML = `
+    <input type="time" class="reminder-time" value="${reminder.time}" required>
+    <button type="button" class="reminder-remove" aria-label="Remove reminder">×</button>
+    <div class="day-picker">
+      ${days.map(day => `
+        <button type="button" class="day-option ${reminder.days.includes(day) ? 'selected' : ''}" data-day="${day}">
+          ${reminders.formatDay(day)}
+        </button>
+      `).join('')}
+    </div>
+  `;
+  
+  elements.reminderList.appendChild(row);
+}
+
+function handleReminderListClick(e) {
+  const dayOption = e.target.closest('.day-option');
+  if (dayOption) {
+    dayOption.classList.toggle('selected');
+    return;
+  }
+  
+  const removeBtn = e.target.closest('.reminder-remove');
+  if (removeBtn) {
+    removeBtn.closest('.reminder-row').remove();
+  }
+}
+
+function readReminderRows() {
+  const rows = [...elements.reminderList.querySelectorAll('.reminder-row')];
+  
+  return reminders.normalizeReminders(rows.map(row => ({
+    time: row.querySelector('.reminder-time').value,
+    days: [...row.querySelectorAll('.day-option.selected')].map(opt => Number(opt.dataset.day))
+  })));
+}
+
+function startReminders() {
+  reminders.start({
+    getHabits: () => state.habits,
+    isCompleted: (habitId, date) => {
+      const habit = state.habits.find(h => getHabitId(h) === habitId);
+      return !!habit && (getDayProgress(habit, date) >= 1 || isDaySkipped(habitId, date));
+    }
+  });
 }
 
 function selectColor(option) {
@@ -1039,28 +1732,43 @@ function openHabitDetail(habitId) {
   state.selectedHabit = habit;
   state.calendarMonth = new Date();
   
-  const completions = state.completions[habitId] || [];
-  const stats = score.getHabitStats(completions, habit);
-  
   // Update header
   elements.detailIcon.textContent = habit.icon;
   elements.detailTitle.textContent = habit.name;
   
   // Update stats
-  elements.detailScore.textContent = `${Math.round(stats.score * 100)}%`;
-  elements.detailStreak.textContent = stats.currentStreak;
-  elements.detailBest.textContent = stats.bestStreak;
-  elements.detailTotal.textContent = stats.total;
+  const stats = renderHabitDetailStats();
   
   // Render calendar
   renderCalendar();
   
+  // Render notes
+  elements.notesSearch.value = '';
+  renderNotesList();
+  
   // Render score chart
   renderHabitScoreChart(stats.scoreHistory, habit.color);
   
   openModal(elements.habitDetailModal);
 }
 
+const STREAK_SUFFIXES = { week: 'w', month: 'mo' };
+
+function renderHabitDetailStats() {
+  const habit = state.selectedHabit;
+  const completions = state.completions[getHabitId(habit)] || [];
+  const stats = score.getHabitStats(completions, habit, state.settings.weekStartsOn);
+  
+  elements.detailScore.textContent = `${Math.round(stats.score * 100)}%`;
+  // Weekly and monthly habits keep their streaks in weeks / months
+  const streakSuffix = STREAK_SUFFIXES[stats.streakUnit] || '';
+  elements.detailStreak.textContent = `${stats.currentStreak}${streakSuffix}`;
+  elements.detailBest.textContent = `${stats.bestStreak}${streakSuffix}`;
+  elements.detailTotal.textContent = stats.total;
+  
+  return stats;
+}
+
 function renderCalendar() {
   const habit = state.selectedHabit;
   if (!habit) return;
@@ -1068,7 +1776,6 @@ function renderCalendar() {
   const habitId = getHabitId(habit);
   const year = state.calendarMonth.getFullYear();
   const month = state.calendarMonth.getMonth();
-  const completions = new Set(state.completions[habitId] || []);
   const today = utils.getToday();
   
   // Update month label
@@ -1083,14 +1790,30 @@ function renderCalendar() {
     }
     
     const dateStr = utils.formatDate(date);
-    const isCompleted = completions.has(dateStr);
+    const progress = getDayProgress(habit, dateStr);
+    const isCompleted = progress >= 1;
+    const isPartial = progress > 0 && !isCompleted;
     const isToday = utils.isSameDay(date, today);
     const isFuture = utils.isFuture(date);
+    const isUnscheduled = !score.isDayScheduled(date, habit);
+    const isPaused = score.isPaused(date, habit);
+    const isSkipped = isDaySkipped(habitId, dateStr);
+    const { value, note } = getCompletionRecord(habitId, dateStr) || {};
+    const status = isSkipped
+      ? 'Skipped'
+      : isPaused && value == null
+        ? 'Paused'
+      : score.isMeasurable(habit) && value != null
+        ? `${formatValue(value)}${habit.unit ? ` ${habit.unit}` : ''}`
+        : '';
+    const title = [status, note].filter(Boolean).join(' - ');
     
     return `
       <div 
-        class="calendar-day ${isCompleted ? 'completed' : ''} ${isToday ? 'today' : ''} ${isFuture ? 'future' : ''}"
+        class="calendar-day ${isCompleted ? 'completed' : ''} ${isPartial ? 'partial' : ''} ${isSkipped ? 'skipped' : ''} ${note ? 'has-note' : ''} ${isToday ? 'today' : ''} ${isFuture ? 'future' : ''} ${isUnscheduled ? 'unscheduled' : ''} ${isPaused ? 'paused' : ''}"
         data-date="${dateStr}"
+        ${isPartial ? `style="--progress: ${Math.round(progress * 100)}%"` : ''}
+        ${title ? `title="${utils.escapeHtml(title)}"` : ''}
       >
         ${date.getDate()}
       </div>
@@ -1103,31 +1826,16 @@ function renderCalendar() {
       const date = day.dataset.date;
       const habitId = getHabitId(state.selectedHabit);
       
-      let isCompleted;
-      if (state.useBackend) {
-        isCompleted = await api.toggleCompletion(habitId, date);
-      } else {
-        isCompleted = await db.toggleCompletion(parseInt(habitId), date);
-      }
-      
-      if (isCompleted) {
-        if (!state.completions[habitId].includes(date)) {
-          state.completions[habitId].push(date);
-        }
-        day.classList.add('completed');
-      } else {
-        state.completions[habitId] = state.completions[habitId].filter(d => d !== date);
-        day.classList.remove('completed');
+      if (score.isMeasurable(state.selectedHabit)) {
+        openValueDialog(state.selectedHabit, date);
+        return;
       }
       
-      // Update stats
-      const completions = state.completions[habitId] || [];
-      const stats = score.getHabitStats(completions, state.selectedHabit);
+      await toggleDay(habitId, date);
       
-      elements.detailScore.textContent = `${Math.round(stats.score * 100)}%`;
-      elements.detailStreak.textContent = stats.currentStreak;
-      elements.detailBest.textContent = stats.bestStreak;
-      elements.detailTotal.textContent = stats.total;
+      // Update stats and the day itself
+      renderHabitDetailStats();
+      renderCalendar();
       
       // Update main view
       renderHabits();
@@ -1135,60 +1843,228 @@ function renderCalendar() {
   });
 }
 
-function navigateMonth(direction) {
-  state.calendarMonth.setMonth(state.calendarMonth.getMonth() + direction);
-  renderCalendar();
-}
+// ============================================
+// Value Dialog (measurable habits)
+// ============================================
 
-function renderHabitScoreChart(scoreHistory, habitColor) {
-  charts.destroyChart(state.charts.habitScore);
+function openValueDialog(habit, date) {
+  const habitId = getHabitId(habit);
+  const record = getCompletionRecord(habitId, date);
+  const value = score.isSkipped(record) ? undefined : record?.value;
   
-  const ctx = elements.habitScoreChart.getContext('2d');
-  state.charts.habitScore = charts.createScoreChart(ctx, scoreHistory, habitColor);
-}
-
-function editSelectedHabit() {
-  if (!state.selectedHabit) return;
-  closeModal(elements.habitDetailModal);
-  openHabitModal(state.selectedHabit);
-}
-
-function confirmDeleteHabit() {
-  if (!state.selectedHabit) return;
+  state.pendingValue = { habitId, date };
   
-  elements.confirmTitle.textContent = 'Delete Habit?';
-  elements.confirmMessage.textContent = `Are you sure you want to delete "${state.selectedHabit.name}"? This action cannot be undone.`;
-  elements.confirmOk.textContent = 'Delete';
-  elements.confirmOk.onclick = deleteSelectedHabit;
+  elements.valueTitle.textContent = `${habit.icon} ${habit.name}`;
+  elements.valueSubtitle.textContent = utils.formatDateDisplay(utils.parseDate(date), true);
+  elements.valueInput.value = value ?? '';
+  elements.valueUnit.textContent = habit.unit || '';
+  elements.valueTarget.textContent = `Target: ${getTargetLabel(habit).toLowerCase()}`;
+  elements.valueClear.disabled = record === undefined;
   
-  openModal(elements.confirmDialog);
+  openModal(elements.valueDialog);
+  elements.valueInput.focus();
+  elements.valueInput.select();
 }
 
-async function deleteSelectedHabit() {
-  if (!state.selectedHabit) return;
+function handleValueSubmit(e) {
+  e.preventDefault();
   
-  const habitId = getHabitId(state.selectedHabit);
+  const raw = elements.valueInput.value.trim();
+  if (raw === '') {
+    saveDayValue(null);
+    return;
+  }
   
-  try {
-    if (state.useBackend) {
-      await api.deleteHabit(habitId);
-    } else {
-      await db.deleteHabit(parseInt(habitId));
-    }
-    delete state.completions[habitId];
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    showToast('Please enter a number of 0 or more');
+    return;
+  }
+  
+  saveDayValue(value);
+}
+
+/**
+ * Store the value from the dialog
+ * @param {number|null} value - Amount, or null to clear the day
+ */
+async function saveDayValue(value) {
+  const pending = state.pendingValue;
+  if (!pending) return;
+  
+  const { habitId, date } = pending;
+  const habit = state.habits.find(h => getHabitId(h) === habitId);
+  const wasCompleted = getDayProgress(habit, date) >= 1;
+  
+  try {
+    const record = await sync.setCompletionValue(habitId, date, value);
+    setCompletionState(habitId, date, record);
     
-    if (state.useBackend) {
-      await loadHabitsFromBackend();
-    } else {
-      await loadHabitsFromLocal();
+    state.pendingValue = null;
+    closeModal(elements.valueDialog);
+    
+    // Celebrate hitting today's target
+    if (!wasCompleted && getDayProgress(habit, date) >= 1) {
+      if (state.settings.showConfetti && utils.isToday(date)) {
+        celebrate({ count: 25 });
+      }
+      utils.vibrate(10);
+    }
+    
+    renderHabits();
+    if (state.selectedHabit && getHabitId(state.selectedHabit) === habitId) {
+      renderHabitDetailStats();
+      renderCalendar();
     }
+  } catch (error) {
+    console.error('Failed to save value:', error);
+    showToast('Failed to update habit');
+  }
+}
+
+// ============================================
+// Day Dialog (notes, skip)
+// ============================================
+
+function openDayDialog(habitId, date) {
+  const habit = state.habits.find(h => getHabitId(h) === habitId);
+  if (!habit) return;
+  
+  const record = getCompletionRecord(habitId, date);
+  
+  state.pendingDay = { habitId, date };
+  
+  elements.dayTitle.textContent = `${habit.icon} ${habit.name}`;
+  elements.daySubtitle.textContent = utils.formatDateDisplay(utils.parseDate(date), true);
+  elements.dayNote.value = record?.note || '';
+  elements.daySkip.textContent = score.isSkipped(record) ? 'Unskip' : 'Skip day';
+  
+  openModal(elements.dayDialog);
+  elements.dayNote.focus();
+}
+
+function handleDaySubmit(e) {
+  e.preventDefault();
+  saveDay({});
+}
+
+/**
+ * Skip the day (or clear the skip), saving the note with it
+ */
+function handleDaySkip() {
+  const pending = state.pendingDay;
+  if (!pending) return;
+  
+  const wasSkipped = isDaySkipped(pending.habitId, pending.date);
+  saveDay(wasSkipped ? { status: 'done', value: null } : { status: 'skipped', value: 0 });
+}
+
+/**
+ * Store the note from the day dialog, along with any other changes
+ * @param {Object} fields - Extra completion fields (status, value)
+ */
+async function saveDay(fields) {
+  const pending = state.pendingDay;
+  if (!pending) return;
+  
+  const { habitId, date } = pending;
+  const note = elements.dayNote.value.trim();
+  const wasSkipped = isDaySkipped(habitId, date);
+  
+  try {
+    // null rather than '' so a removed note also clears on the server
+    const record = await sync.updateDay(habitId, date, { ...fields, note: note || null });
+    setCompletionState(habitId, date, record);
+    
+    state.pendingDay = null;
+    closeModal(elements.dayDialog);
+    
+    if (fields.status) {
+      utils.vibrate(20);
+      showToast(wasSkipped ? 'Skip removed' : 'Day skipped - it won\'t count as a miss');
+    }
+    
+    renderHabits();
+    if (state.selectedHabit && getHabitId(state.selectedHabit) === habitId) {
+      renderHabitDetailStats();
+      renderCalendar();
+      renderNotesList();
+    }
+  } catch (error) {
+    console.error('Failed to save day:', error);
+    showToast('Failed to update habit');
+  }
+}
+
+/**
+ * List the selected habit's notes, filtered by the search box
+ */
+async function renderNotesList() {
+  const habit = state.selectedHabit;
+  if (!habit) return;
+  
+  const query = elements.notesSearch.value;
+  const notes = await db.getNotes(getHabitId(habit), query);
+  
+  if (notes.length === 0) {
+    elements.notesList.innerHTML = `
+      <p class="notes-empty">${query.trim() ? 'No notes match your search' : 'No notes yet - long-press a day to add one'}</p>
+    `;
+    return;
+  }
+  
+  elements.notesList.innerHTML = notes.map(({ date, note }) => `
+    <button type="button" class="note-item" data-date="${date}">
+      <span class="note-date">${utils.formatDateDisplay(utils.parseDate(date), true)}</span>
+      <span class="note-text">${utils.escapeHtml(note)}</span>
+    </button>
+  `).join('');
+}
+
+function navigateMonth(direction) {
+  state.calendarMonth.setMonth(state.calendarMonth.getMonth() + direction);
+  renderCalendar();
+}
+
+function renderHabitScoreChart(scoreHistory, habitColor) {
+  charts.destroyChart(state.charts.habitScore);
+  
+  const ctx = elements.habitScoreChart.getContext('2d');
+  state.charts.habitScore = charts.createScoreChart(ctx, scoreHistory, habitColor);
+}
+
+function editSelectedHabit() {
+  if (!state.selectedHabit) return;
+  closeModal(elements.habitDetailModal);
+  openHabitModal(state.selectedHabit);
+}
+
+function confirmDeleteHabit(habit) {
+  if (!habit) return;
+  
+  elements.confirmTitle.textContent = 'Delete Habit?';
+  elements.confirmMessage.textContent = `Are you sure you want to delete "${habit.name}"? This action cannot be undone.`;
+  elements.confirmOk.textContent = 'Delete';
+  elements.confirmOk.onclick = () => deleteHabit(getHabitId(habit));
+  
+  openModal(elements.confirmDialog);
+}
+
+async function deleteHabit(habitId) {
+  try {
+    await sync.deleteHabit(habitId);
+    delete state.completions[habitId];
+    
+    await loadHabits();
     renderHabits();
     
     closeModal(elements.confirmDialog);
-    closeModal(elements.habitDetailModal);
+    if (state.selectedHabit && getHabitId(state.selectedHabit) === habitId) {
+      closeModal(elements.habitDetailModal);
+      state.selectedHabit = null;
+    }
     
     showToast('Habit deleted');
-    state.selectedHabit = null;
     
   } catch (error) {
     console.error('Failed to delete habit:', error);
@@ -1196,6 +2072,501 @@ async function deleteSelectedHabit() {
   }
 }
 
+// ============================================
+// Archive
+// ============================================
+
+/**
+ * Retire the habit shown in the detail view
+ * Archived habits keep their history but leave the lists, the
+ * statistics and the reminders until they're restored.
+ */
+async function archiveSelectedHabit() {
+  if (!state.selectedHabit) return;
+  
+  try {
+    await setArchived(state.selectedHabit, true);
+    
+    closeModal(elements.habitDetailModal);
+    state.selectedHabit = null;
+    
+    showToast('Habit archived - find it under All Habits');
+  } catch (error) {
+    console.error('Failed to archive habit:', error);
+    showToast('Failed to archive habit');
+  }
+}
+
+async function setArchived(habit, archived) {
+  await sync.updateHabit({ ...habit, archived });
+  await loadHabits();
+  renderHabits();
+}
+
+async function handleArchivedClick(e) {
+  const button = e.target.closest('.archived-action');
+  if (!button) return;
+  
+  const habitId = Number(button.closest('.archived-habit').dataset.habitId);
+  const habit = state.archivedHabits.find(h => getHabitId(h) === habitId);
+  if (!habit) return;
+  
+  if (button.dataset.action === 'delete') {
+    confirmDeleteHabit(habit);
+    return;
+  }
+  
+  try {
+    await setArchived(habit, false);
+    showToast('Habit restored');
+  } catch (error) {
+    console.error('Failed to restore habit:', error);
+    showToast('Failed to restore habit');
+  }
+}
+
+// ============================================
+// Pauses (vacation mode)
+// ============================================
+
+const DEFAULT_PAUSE_DAYS = 14;
+
+/**
+ * Habits the pause dialog acts on: the one it was opened for, or all active ones
+ */
+function getPauseTargets() {
+  if (state.pauseHabitId !== null) {
+    return state.habits.filter(h => getHabitId(h) === state.pauseHabitId);
+  }
+  return state.habits.filter(h => !h.archived);
+}
+
+/**
+ * @param {number|null} habitId - Habit to pause, or null for all habits
+ */
+function openPauseDialog(habitId) {
+  state.pauseHabitId = habitId;
+  
+  const habit = habitId !== null ? state.habits.find(h => getHabitId(h) === habitId) : null;
+  elements.pauseTitle.textContent = habit ? `Pause ${habit.icon} ${habit.name}` : 'Pause All Habits';
+  
+  const start = utils.getToday();
+  const end = new Date(start);
+  end.setDate(end.getDate() + DEFAULT_PAUSE_DAYS - 1);
+  elements.pauseStart.value = utils.formatDate(start);
+  elements.pauseEnd.value = utils.formatDate(end);
+  
+  renderPauseList();
+  openModal(elements.pauseDialog);
+}
+
+function formatPause(pause) {
+  return `${utils.formatDateDisplay(pause.start)} – ${utils.formatDateDisplay(pause.end)}`;
+}
+
+function renderPauseList() {
+  // Each distinct range once - "pause all" adds the same range to every habit
+  const pauses = new Map();
+  getPauseTargets().forEach(habit => {
+    (habit.pauses || []).forEach(pause => pauses.set(`${pause.start}_${pause.end}`, pause));
+  });
+  
+  const today = utils.formatDate(utils.getToday());
+  const current = [...pauses.values()]
+    .filter(pause => pause.end >= today)
+    .sort((a, b) => a.start.localeCompare(b.start));
+  
+  elements.pauseList.innerHTML = current.map(pause => `
+    <div class="pause-row">
+      <span>${formatPause(pause)}</span>
+      <button type="button" class="pause-remove" data-start="${pause.start}" data-end="${pause.end}" aria-label="${pause.start <= today ? 'End pause' : 'Remove pause'}">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="18" y1="6" x2="6" y2="18"></line>
+          <line x1="6" y1="6" x2="18" y2="18"></line>
+        </svg>
+      </button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Apply a change to the pauses of every habit the dialog acts on
+ * @param {function(Array): Array} change - Maps a habit's pauses to the new list
+ */
+async function updatePauses(change) {
+  for (const habit of getPauseTargets()) {
+    const pauses = change(habit.pauses || []);
+    if (pauses.length === (habit.pauses || []).length &&
+        pauses.every((pause, i) => pause === habit.pauses[i])) {
+      continue;
+    }
+    await sync.updateHabit({ ...habit, pauses });
+  }
+  
+  await loadHabits();
+  if (state.selectedHabit) {
+    state.selectedHabit = state.habits.find(h => getHabitId(h) === getHabitId(state.selectedHabit)) || null;
+  }
+  
+  renderHabits();
+  if (state.selectedHabit && elements.habitDetailModal.classList.contains('open')) {
+    renderHabitDetailStats();
+    renderCalendar();
+  }
+}
+
+async function handlePauseSubmit(e) {
+  e.preventDefault();
+  
+  const start = elements.pauseStart.value;
+  const end = elements.pauseEnd.value;
+  
+  if (!start || !end || end < start) {
+    showToast('The pause has to end on or after its first day');
+    return;
+  }
+  
+  try {
+    await updatePauses(pauses => pauses.some(p => p.start === start && p.end === end)
+      ? pauses
+      : [...pauses, { start, end }]);
+    
+    closeModal(elements.pauseDialog);
+    showToast(`Paused until ${utils.formatDateDisplay(end)}`);
+  } catch (error) {
+    console.error('Failed to pause:', error);
+    showToast('Failed to pause');
+  }
+}
+
+async function handlePauseListClick(e) {
+  const button = e.target.closest('.pause-remove');
+  if (!button) return;
+  
+  const { start, end } = button.dataset;
+  
+  // A pause that has begun ends yesterday instead, so the days already
+  // taken off stay paused
+  const yesterday = new Date(utils.getToday());
+  yesterday.setDate(yesterday.getDate() - 1);
+  const lastPausedDay = utils.formatDate(yesterday);
+  const hasBegun = start <= lastPausedDay;
+  
+  try {
+    await updatePauses(pauses => pauses.flatMap(pause => {
+      if (pause.start !== start || pause.end !== end) return [pause];
+      return hasBegun ? [{ ...pause, end: lastPausedDay }] : [];
+    }));
+    renderPauseList();
+    showToast(hasBegun ? 'Pause ended' : 'Pause removed');
+  } catch (error) {
+    console.error('Failed to remove pause:', error);
+    showToast('Failed to remove pause');
+  }
+}
+
+// ============================================
+// Drag and Drop Reordering
+// ============================================
+
+// Distance from the top/bottom of the screen that scrolls while dragging
+const DRAG_SCROLL_EDGE = 60;
+const DRAG_SCROLL_STEP = 12;
+
+/**
+ * Let the habit cards in a list be reordered by dragging their handle
+ * Uses pointer events, so mouse, pen and touch all work.
+ */
+function enableReorder(list) {
+  list.addEventListener('pointerdown', (e) => {
+    const handle = e.target.closest('.drag-handle');
+    if (!handle || e.button !== 0) return;
+    
+    const card = handle.closest('.habit-card');
+    const startOrder = getCardOrder(list).join();
+    
+    e.preventDefault();
+    handle.setPointerCapture(e.pointerId);
+    card.classList.add('dragging');
+    
+    const onMove = (moveEvent) => {
+      moveCardToPointer(list, card, moveEvent.clientX, moveEvent.clientY);
+      
+      if (moveEvent.clientY < DRAG_SCROLL_EDGE) {
+        window.scrollBy(0, -DRAG_SCROLL_STEP);
+      } else if (moveEvent.clientY > window.innerHeight - DRAG_SCROLL_EDGE) {
+        window.scrollBy(0, DRAG_SCROLL_STEP);
+      }
+    };
+    
+    const onEnd = () => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onEnd);
+      handle.removeEventListener('pointercancel', onEnd);
+      card.classList.remove('dragging');
+      
+      const order = getCardOrder(list);
+      if (order.join() !== startOrder) {
+        utils.vibrate(10);
+        saveHabitOrder(order);
+      }
+    };
+    
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onEnd);
+    handle.addEventListener('pointercancel', onEnd);
+  });
+}
+
+/**
+ * Move the dragged card in front of the first card the pointer is before
+ * (by row and column when the list is a two-column grid)
+ */
+function moveCardToPointer(list, card, x, y) {
+  const isGrid = getComputedStyle(list).display === 'grid';
+  const siblings = [...list.querySelectorAll('.habit-card:not(.dragging)')];
+  
+  const next = siblings.find(sibling => {
+    const rect = sibling.getBoundingClientRect();
+    if (y < rect.top) return true;
+    if (y > rect.bottom) return false;
+    return isGrid ? x < rect.left + rect.width / 2 : y < rect.top + rect.height / 2;
+  });
+  
+  if (next) {
+    if (card.nextElementSibling !== next) list.insertBefore(card, next);
+  } else if (list.lastElementChild !== card) {
+    list.appendChild(card);
+  }
+}
+
+function getCardOrder(list) {
+  return [...list.querySelectorAll('.habit-card')].map(card => Number(card.dataset.habitId));
+}
+
+async function saveHabitOrder(habitIds) {
+  try {
+    await sync.reorderHabits(habitIds);
+    await loadHabits();
+  } catch (error) {
+    console.error('Failed to reorder habits:', error);
+    showToast('Failed to reorder habits');
+  }
+  
+  // Also puts the cards back if saving failed
+  renderHabits();
+}
+
+// ============================================
+// Tags (categories)
+// ============================================
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Read the comma-separated tags typed in the habit form
+ * Repeats are dropped ignoring case, so "health" joins an existing "Health".
+ * @param {string} text - e.g. "Health, morning"
+ * @returns {Array<string>}
+ */
+function parseTags(text) {
+  const known = new Map(getTags(state.habits).map(tag => [tag.toLowerCase(), tag]));
+  const tags = new Map();
+  
+  text.split(',').forEach(part => {
+    const tag = part.trim().slice(0, MAX_TAG_LENGTH);
+    const key = tag.toLowerCase();
+    if (tag && !tags.has(key)) {
+      tags.set(key, known.get(key) || tag);
+    }
+  });
+  
+  return [...tags.values()].slice(0, MAX_TAGS);
+}
+
+/**
+ * The tags used by a list of habits, sorted by name
+ */
+function getTags(habits) {
+  return [...new Set(habits.flatMap(h => h.tags || []))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Only the habits matching the selected tag filter
+ */
+function filterByTag(habits) {
+  if (!state.tagFilter) return habits;
+  return habits.filter(h => (h.tags || []).includes(state.tagFilter));
+}
+
+/**
+ * Render the filter chips above the today and all-habits lists
+ * Hidden until at least one habit has a tag.
+ */
+function renderTagFilters(activeHabits) {
+  const tags = getTags(activeHabits);
+  
+  // The filtered tag was removed from its last habit
+  if (state.tagFilter && !tags.includes(state.tagFilter)) {
+    state.tagFilter = null;
+  }
+  
+  const chips = [{ tag: '', label: 'All' }, ...tags.map(tag => ({ tag, label: tag }))];
+  const html = chips.map(({ tag, label }) => `
+    <button type="button" class="tag-chip ${(state.tagFilter || '') === tag ? 'active' : ''}" data-tag="${utils.escapeHtml(tag)}">
+      ${utils.escapeHtml(label)}
+    </button>
+  `).join('');
+  
+  [elements.tagFilter, elements.allTagFilter].forEach(container => {
+    container.innerHTML = html;
+    container.classList.toggle('hidden', tags.length === 0);
+  });
+}
+
+function handleTagFilterClick(e) {
+  const chip = e.target.closest('.tag-chip');
+  if (!chip) return;
+  
+  state.tagFilter = chip.dataset.tag || null;
+  renderHabits();
+}
+
+/**
+ * Per-tag aggregates for the statistics modal
+ * A habit with several tags counts towards each of them.
+ */
+function renderCategoryStats(todayStr) {
+  const tags = getTags(state.habits);
+  elements.categorySection.classList.toggle('hidden', tags.length === 0);
+  if (tags.length === 0) return;
+  
+  const untagged = state.habits.filter(h => !(h.tags || []).length);
+  const groups = tags.map(tag => ({
+    label: tag,
+    habits: state.habits.filter(h => (h.tags || []).includes(tag))
+  }));
+  if (untagged.length > 0) {
+    groups.push({ label: 'Untagged', habits: untagged });
+  }
+  
+  elements.categoryStats.innerHTML = groups.map(({ label, habits }) => {
+    const { weekStartsOn } = state.settings;
+    let totalScore = 0;
+    let totalRate = 0;
+    let completedToday = 0;
+    
+    habits.forEach(habit => {
+      const completions = state.completions[getHabitId(habit)] || [];
+      totalScore += score.calculateHabitScore(completions, habit, 60, weekStartsOn);
+      totalRate += score.calculateCompletionRate(completions, habit, 30, weekStartsOn);
+      if (getDayProgress(habit, todayStr) >= 1) completedToday++;
+    });
+    
+    const avgScore = Math.round(totalScore / habits.length * 100);
+    const avgRate = Math.round(totalRate / habits.length * 100);
+    
+    return `
+      <div class="category-row">
+        <span class="category-name">${utils.escapeHtml(label)}</span>
+        <span class="category-score">${avgScore}%</span>
+        <div class="progress-bar">
+          <div class="progress-fill" style="width: ${avgScore}%"></div>
+        </div>
+        <span class="category-meta">${habits.length} habit${habits.length !== 1 ? 's' : ''} • ${completedToday} done today • ${avgRate}% done in the last 30 days</span>
+      </div>
+    `;
+  }).join('');
+}
+
+// ============================================
+// Sync Conflicts
+// ============================================
+
+const CONFLICT_FIELD_LABELS = {
+  name: 'Name',
+  question: 'Question',
+  color: 'Color',
+  icon: 'Icon',
+  frequency: 'Frequency',
+  timesPerWeek: 'Times per week',
+  interval: 'Interval',
+  specificDays: 'Days',
+  timesPerPeriod: 'Times per period',
+  periodType: 'Period',
+  periodDays: 'Period length',
+  archived: 'Archived',
+  order: 'Position',
+  type: 'Type',
+  unit: 'Unit',
+  target: 'Target',
+  targetType: 'Target rule',
+  reminders: 'Reminders',
+  pauses: 'Pauses',
+  tags: 'Tags',
+  value: 'Value',
+  status: 'Status'
+};
+
+/**
+ * Ask the user which version of each conflicting field to keep
+ * @returns {Promise<Object|null>} - { field: 'local' | 'remote' }, or null to decide later
+ */
+function resolveSyncConflict({ kind, label, conflicts }) {
+  // Only one question at a time - the other conflict stays queued
+  if (state.pendingConflict) return Promise.resolve(null);
+  
+  const what = kind === 'habit' ? `"${label}"` : `Your check-in for ${label}`;
+  elements.conflictMessage.textContent = `${what} was changed on this device and on another one. Choose which version to keep.`;
+  
+  elements.conflictList.innerHTML = conflicts.map(({ field, local, remote }) => `
+    <div class="conflict-item" data-field="${field}">
+      <div class="conflict-field">${CONFLICT_FIELD_LABELS[field] || field}</div>
+      <div class="conflict-options">
+        <button type="button" class="conflict-option selected" data-choice="local">
+          <span class="conflict-option-label">This device</span>
+          <span class="conflict-option-value">${utils.escapeHtml(formatConflictValue(field, local))}</span>
+        </button>
+        <button type="button" class="conflict-option" data-choice="remote">
+          <span class="conflict-option-label">Other device</span>
+          <span class="conflict-option-value">${utils.escapeHtml(formatConflictValue(field, remote))}</span>
+        </button>
+      </div>
+    </div>
+  `).join('');
+  
+  openModal(elements.conflictDialog);
+  
+  return new Promise(resolve => {
+    state.pendingConflict = resolve;
+  });
+}
+
+function formatConflictValue(field, value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (field === 'reminders') return value.map(reminders.formatReminder).join('; ') || 'None';
+  if (field === 'specificDays') return formatDays(value);
+  if (field === 'pauses') return value.map(formatPause).join('; ') || 'None';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function applyConflictChoices() {
+  const choices = {};
+  elements.conflictList.querySelectorAll('.conflict-item').forEach(item => {
+    const selected = item.querySelector('.conflict-option.selected');
+    choices[item.dataset.field] = selected?.dataset.choice || 'local';
+  });
+  
+  const resolve = state.pendingConflict;
+  state.pendingConflict = null;
+  closeModal(elements.conflictDialog);
+  resolve?.(choices);
+}
+
 // ============================================
 // Statistics
 // ============================================
@@ -1210,13 +2581,14 @@ async function openStatisticsModal() {
   state.habits.forEach(habit => {
     const habitId = getHabitId(habit);
     const completions = state.completions[habitId] || [];
-    const stats = score.getHabitStats(completions, habit);
+    const stats = score.getHabitStats(completions, habit, state.settings.weekStartsOn);
     
-    if (completions.includes(todayStr)) {
+    if (getDayProgress(habit, todayStr) >= 1) {
       completedToday++;
     }
     
-    if (stats.bestStreak > bestStreakOverall) {
+    // Week streaks don't compare with day streaks
+    if (stats.streakUnit === 'day' && stats.bestStreak > bestStreakOverall) {
       bestStreakOverall = stats.bestStreak;
     }
     
@@ -1231,13 +2603,16 @@ async function openStatisticsModal() {
   elements.bestStreak.textContent = bestStreakOverall;
   elements.overallScore.textContent = `${Math.round(avgScore * 100)}%`;
   
-  // Build completions map for charts
+  renderCategoryStats(todayStr);
+  
+  // Build completions map for charts (days with the target met)
   const completionsMap = {};
+  const completedDates = state.habits.flatMap(habit =>
+    score.getCompletedDates(state.completions[getHabitId(habit)] || [], habit)
+  );
   
-  Object.values(state.completions).forEach(dates => {
-    dates.forEach(date => {
-      completionsMap[date] = (completionsMap[date] || 0) + 1;
-    });
+  completedDates.forEach(date => {
+    completionsMap[date] = (completionsMap[date] || 0) + 1;
   });
   
   // Generate chart data
@@ -1245,11 +2620,9 @@ async function openStatisticsModal() {
   
   // Calculate weekly data
   const weeklyData = [0, 0, 0, 0, 0, 0, 0];
-  Object.values(state.completions).forEach(dates => {
-    dates.forEach(dateStr => {
-      const date = new Date(dateStr);
-      weeklyData[date.getDay()]++;
-    });
+  completedDates.forEach(dateStr => {
+    const date = new Date(dateStr);
+    weeklyData[date.getDay()]++;
   });
   
   // Destroy existing charts
@@ -1270,6 +2643,11 @@ async function openStatisticsModal() {
 // Settings
 // ============================================
 
+function openSettings() {
+  openModal(elements.settingsModal);
+  loadSessions();
+}
+
 async function handleDarkModeToggle() {
   state.settings.darkMode = elements.darkModeToggle.checked;
   
@@ -1304,14 +2682,46 @@ async function handleConfettiToggle() {
   }
 }
 
+async function handleExportSubmit(e) {
+  e.preventDefault();
+  
+  const format = elements.exportForm.elements['export-format'].value;
+  elements.exportConfirm.disabled = true;
+  
+  if (format === 'long') {
+    await handleLongExport();
+  } else {
+    await handleExport();
+  }
+  
+  elements.exportConfirm.disabled = false;
+  closeModal(elements.exportDialog);
+}
+
+/**
+ * Download habits.csv and completions.csv in a ZIP - built by the server
+ * when logged in, so it matches what GET /api/export/csv returns
+ */
+async function handleLongExport() {
+  try {
+    const archive = state.useBackend ? await api.exportCSV() : await zip(await db.exportToCSV());
+    const date = utils.formatDate(new Date());
+    utils.downloadFile(archive, `loop-habits-${date}.zip`, 'application/zip');
+    showToast('Data exported successfully');
+  } catch (error) {
+    console.error('Export failed:', error);
+    showToast('Failed to export data');
+  }
+}
+
 async function handleExport() {
   try {
     // Build CSV from current state
     const habits = state.habits;
     const allDates = new Set();
     
-    Object.values(state.completions).forEach(dates => {
-      dates.forEach(d => allDates.add(d));
+    Object.values(state.completions).forEach(records => {
+      records.forEach(c => allDates.add(c.date));
     });
     
     const sortedDates = [...allDates].sort();
@@ -1321,20 +2731,28 @@ async function handleExport() {
       return;
     }
     
-    let csv = 'Habit,' + sortedDates.join(',') + '\n';
-    
-    habits.forEach(habit => {
+    const rows = habits.map(habit => {
       const habitId = getHabitId(habit);
-      const completions = new Set(state.completions[habitId] || []);
       const row = [habit.name];
       
       sortedDates.forEach(date => {
-        row.push(completions.has(date) ? '1' : '0');
+        const record = getCompletionRecord(habitId, date);
+        const value = record?.value;
+        // Measurable habits export the amount, yes/no habits 1 or 0
+        if (score.isSkipped(record)) {
+          row.push('skipped');
+        } else if (score.isMeasurable(habit)) {
+          row.push(value != null ? String(value) : '');
+        } else {
+          row.push(value > 0 ? '1' : '0');
+        }
       });
       
-      csv += row.join(',') + '\n';
+      return row;
     });
     
+    // Habit names may hold commas or quotes
+    const csv = toCSV(['Habit', ...sortedDates], rows);
     const date = utils.formatDate(new Date());
     utils.downloadFile(csv, `loop-habits-${date}.csv`, 'text/csv');
     showToast('Data exported successfully');
@@ -1344,18 +2762,33 @@ async function handleExport() {
   }
 }
 
+/**
+ * Download a full JSON backup - the server's copy when logged in
+ */
+async function handleBackupExport() {
+  try {
+    const data = state.useBackend ? await api.exportData() : await db.exportAllData();
+    const date = utils.formatDate(new Date());
+    utils.downloadFile(JSON.stringify(data, null, 2), `loop-habits-backup-${date}.json`, 'application/json');
+    showToast('Backup downloaded');
+  } catch (error) {
+    console.error('Backup export failed:', error);
+    showToast('Failed to export backup');
+  }
+}
+
 function handleClearData() {
   elements.confirmTitle.textContent = 'Clear All Data?';
-  elements.confirmMessage.textContent = 'This will delete all habits and completion history. This action cannot be undone.';
+  elements.confirmMessage.textContent = state.useBackend
+    ? 'This will delete all habits and completion history from your account, on every device. This action cannot be undone.'
+    : 'This will delete all habits and completion history. This action cannot be undone.';
   elements.confirmOk.textContent = 'Clear All';
   elements.confirmOk.onclick = async () => {
     try {
-      if (!state.useBackend) {
-        await db.clearAllData();
-      }
-      // For backend, user would need to delete habits one by one or we'd need a clear endpoint
+      await sync.clearAllData();
       
       state.habits = [];
+      state.archivedHabits = [];
       state.completions = {};
       renderHabits();
       closeModal(elements.confirmDialog);
@@ -1375,25 +2808,505 @@ async function handleImport(e) {
   if (!file) return;
   
   try {
-    const content = await utils.readFileAsText(file);
-    const data = JSON.parse(content);
+    const buffer = await utils.readFileAsArrayBuffer(file);
+    const csv = await readCSVImport(buffer, file.name);
     
-    if (!state.useBackend) {
-      await db.importData(data);
-      await loadHabitsFromLocal();
+    if (csv) {
+      openCSVImport(csv);
+    } else if (isLoopBackup(buffer, file.name)) {
+      openLoopImport(await parseLoopBackup(buffer));
+    } else {
+      openBackupImport(JSON.parse(new TextDecoder().decode(buffer)));
     }
-    
-    renderHabits();
-    showToast('Data imported successfully');
   } catch (error) {
     console.error('Import failed:', error);
-    showToast('Failed to import data. Make sure file is valid JSON.');
+    // Invalid backups name the record at fault, so leave time to read it
+    if (error instanceof SyntaxError) {
+      showToast('Failed to import data. Make sure file is valid JSON.');
+    } else {
+      showToast(`Failed to import: ${error.message}`, 6000);
+    }
   }
   
   // Reset file input
   e.target.value = '';
 }
 
+// ============================================
+// Devices (signed-in sessions)
+// ============================================
+
+async function loadSessions() {
+  elements.sessionsSection.style.display = state.useBackend ? '' : 'none';
+  if (!state.useBackend) return;
+  
+  try {
+    renderSessions(await api.getSessions());
+  } catch (error) {
+    console.error('Failed to load sessions:', error);
+    elements.sessionList.innerHTML = '<p class="session-empty">Couldn\'t load your devices</p>';
+  }
+}
+
+function renderSessions(sessions) {
+  elements.sessionList.innerHTML = sessions.map(session => {
+    const lastActive = utils.formatDateDisplay(new Date(session.lastUsedAt));
+    const details = session.current
+      ? 'This device'
+      : `Last active ${lastActive === 'Today' || lastActive === 'Yesterday' ? lastActive.toLowerCase() : lastActive}`;
+    
+    return `
+      <div class="session-item">
+        <div class="session-info">
+          <span class="session-name">${utils.escapeHtml(describeUserAgent(session.userAgent))}</span>
+          <span class="session-details">${details}</span>
+        </div>
+        ${session.current ? '' : `<button class="btn btn-secondary" data-session-id="${session.id}">Sign Out</button>`}
+      </div>
+    `;
+  }).join('');
+}
+
+async function handleSessionListClick(e) {
+  const button = e.target.closest('[data-session-id]');
+  if (!button) return;
+  
+  button.disabled = true;
+  try {
+    await api.revokeSession(button.dataset.sessionId);
+    button.closest('.session-item').remove();
+    showToast('Device signed out');
+  } catch (error) {
+    console.error('Failed to revoke session:', error);
+    showToast('Failed to sign out device');
+    button.disabled = false;
+  }
+}
+
+/**
+ * A short name for a device, e.g. "Chrome on Android"
+ */
+function describeUserAgent(userAgent = '') {
+  const browser = [
+    ['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token))?.[1];
+  const system = [
+    ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Windows', 'Windows'],
+    ['Mac OS', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token))?.[1];
+  
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+}
+
+// ============================================
+// Calendar (.ics file and subscribable feed)
+// ============================================
+
+async function openCalendarDialog() {
+  renderCalendarFeed(null);
+  openModal(elements.calendarDialog);
+  
+  if (!state.useBackend) return;
+  
+  try {
+    renderCalendarFeed(await api.getCalendarToken());
+  } catch (error) {
+    console.error('Failed to load calendar link:', error);
+    elements.calendarFeedText.textContent = 'Couldn\'t load your calendar link. Check your connection.';
+    elements.calendarCreate.style.display = 'none';
+  }
+}
+
+/**
+ * Show the feed link, or how to get one - the feed needs an account,
+ * as calendar apps fetch it from the server
+ */
+function renderCalendarFeed(token) {
+  const show = (element, visible) => { element.style.display = visible ? '' : 'none'; };
+  
+  if (!state.useBackend) {
+    elements.calendarFeedText.textContent =
+      'Log in to get a link your calendar app can subscribe to, so it stays up to date.';
+  } else if (token) {
+    elements.calendarFeedText.textContent =
+      'Subscribe to this link in your calendar app to keep it up to date. Anyone with the link can see your habits.';
+  } else {
+    elements.calendarFeedText.textContent =
+      'Create a link your calendar app can subscribe to, so it stays up to date.';
+  }
+  
+  elements.calendarUrl.value = token ? api.getCalendarUrl(token) : '';
+  show(elements.calendarUrl, token);
+  show(elements.calendarCopy, token);
+  show(elements.calendarReset, token);
+  show(elements.calendarOff, token);
+  show(elements.calendarCreate, state.useBackend && !token);
+}
+
+/**
+ * Create a new feed link (an old one stops working) or turn the feed off
+ */
+async function handleCalendarLink(enable) {
+  try {
+    if (enable) {
+      const hadLink = Boolean(elements.calendarUrl.value);
+      renderCalendarFeed(await api.createCalendarToken(Intl.DateTimeFormat().resolvedOptions().timeZone));
+      showToast(hadLink ? 'New link created - the old one no longer works' : 'Calendar link created');
+    } else {
+      await api.deleteCalendarToken();
+      renderCalendarFeed(null);
+      showToast('Calendar link turned off');
+    }
+  } catch (error) {
+    console.error('Calendar link update failed:', error);
+    showToast('Failed to update calendar link');
+  }
+}
+
+async function handleCalendarCopy() {
+  try {
+    await utils.copyToClipboard(elements.calendarUrl.value);
+    showToast('Link copied');
+  } catch (error) {
+    elements.calendarUrl.select();
+    showToast('Copy the selected link');
+  }
+}
+
+async function handleCalendarDownload() {
+  try {
+    const backup = state.useBackend ? await api.exportData() : await db.exportAllData();
+    const ics = buildCalendar(backup, { timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone });
+    const date = utils.formatDate(new Date());
+    utils.downloadFile(ics, `loop-habits-${date}.ics`, 'text/calendar');
+    showToast('Calendar downloaded');
+  } catch (error) {
+    console.error('Calendar export failed:', error);
+    showToast('Failed to export calendar');
+  }
+}
+
+// ============================================
+// Backup Import (merge or replace)
+// ============================================
+
+/**
+ * Ask whether to merge or replace, once the backup has been migrated to
+ * the current format and checked (throws if it's invalid)
+ */
+function openBackupImport(data) {
+  const backup = readBackup(data);
+  
+  state.pendingBackup = backup;
+  elements.backupMessage.textContent =
+    `Found ${backup.habits.length} habits and ${backup.completions.length} entries. ` +
+    'Habits you already have are updated and new ones are added.';
+  elements.backupReplace.checked = false;
+  elements.backupReplaceOption.style.display = '';
+  elements.backupReport.style.display = 'none';
+  elements.backupCancel.style.display = '';
+  elements.backupConfirm.disabled = false;
+  updateBackupMode();
+  openModal(elements.backupDialog);
+}
+
+function updateBackupMode() {
+  const replace = elements.backupReplace.checked;
+  elements.backupConfirm.textContent = replace ? 'Replace All' : 'Merge';
+  elements.backupConfirm.classList.toggle('btn-danger', replace);
+  elements.backupConfirm.classList.toggle('btn-primary', !replace);
+}
+
+async function confirmBackupImport() {
+  // Second click, on "Done" after the report
+  if (!state.pendingBackup) {
+    closeModal(elements.backupDialog);
+    return;
+  }
+  
+  elements.backupConfirm.disabled = true;
+  
+  try {
+    const report = await sync.importData(state.pendingBackup, {
+      replace: elements.backupReplace.checked
+    });
+    state.pendingBackup = null;
+    
+    await loadHabits();
+    renderHabits();
+    showBackupReport(report);
+  } catch (error) {
+    console.error('Backup import failed:', error);
+    showToast(`Failed to import backup: ${error.message}`, 6000);
+  }
+  
+  elements.backupConfirm.disabled = false;
+}
+
+function showBackupReport({ habits, completions }) {
+  const row = (label, counts) => `
+    <tr>
+      <th>${label}</th>
+      <td>${counts.added} added</td>
+      <td>${counts.updated} updated</td>
+      <td>${counts.skipped} skipped</td>
+    </tr>
+  `;
+  
+  elements.backupMessage.textContent = 'Import complete.';
+  elements.backupReport.innerHTML = row('Habits', habits) + row('Entries', completions);
+  elements.backupReport.style.display = '';
+  elements.backupReplaceOption.style.display = 'none';
+  elements.backupCancel.style.display = 'none';
+  elements.backupConfirm.textContent = 'Done';
+  elements.backupConfirm.classList.replace('btn-danger', 'btn-primary');
+}
+
+// ============================================
+// CSV Import (spreadsheets and "Export to CSV")
+// ============================================
+
+const CSV_LAYOUT_LABELS = {
+  bundle: 'CSV export (ZIP)',
+  wide: 'Table with a column per day',
+  long: 'List with a row per habit and day'
+};
+
+// Rows that couldn't be read, listed in the preview
+const MAX_CSV_PROBLEMS = 5;
+
+/**
+ * Preview a CSV import: which column holds what, how dates are written,
+ * and which habits will be created
+ */
+function openCSVImport(source) {
+  const mapping = source.layout === 'long' ? guessMapping(source.header) : null;
+  const { format, ambiguous } = detectDateFormat(source, mapping);
+  
+  state.pendingCSV = { source, mapping, dateFormat: format, ambiguous, result: null };
+  renderCSVMapping();
+  updateCSVPreview();
+  openModal(elements.csvDialog);
+}
+
+function renderCSVMapping() {
+  const { source, mapping, dateFormat, ambiguous } = state.pendingCSV;
+  
+  // The ZIP's columns and dates are always the same
+  if (source.layout === 'bundle') {
+    elements.csvMapping.innerHTML = '';
+    elements.csvMapping.style.display = 'none';
+    return;
+  }
+  
+  const select = (field, label, options, selected) => `
+    <label class="csv-field">
+      <span>${label}</span>
+      <select class="setting-select" data-field="${field}">
+        ${options.map(([value, text]) => `
+          <option value="${value}" ${String(value) === String(selected) ? 'selected' : ''}>${utils.escapeHtml(text)}</option>
+        `).join('')}
+      </select>
+    </label>
+  `;
+  
+  const columns = source.header.map((name, index) => [index, name || `Column ${index + 1}`]);
+  const fields = source.layout === 'long'
+    ? LONG_FIELDS.map(field => select(
+      field.key,
+      field.label,
+      field.required ? columns : [[-1, 'None'], ...columns],
+      mapping[field.key]
+    ))
+    : [];
+  
+  elements.csvMapping.innerHTML = [
+    ...fields,
+    select('dateFormat', 'Dates', DATE_FORMATS.map(format => [format.id, format.label]), dateFormat),
+    ambiguous ? '<p class="csv-hint">Days and months can\'t be told apart in this file - check the date format.</p>' : ''
+  ].join('');
+  elements.csvMapping.style.display = '';
+}
+
+function handleCSVMappingChange(e) {
+  const field = e.target.dataset.field;
+  if (!field) return;
+  
+  const pending = state.pendingCSV;
+  if (field === 'dateFormat') {
+    pending.dateFormat = e.target.value;
+    pending.ambiguous = false;
+  } else {
+    pending.mapping[field] = Number(e.target.value);
+    // Another date column may be written differently
+    if (field === 'date') {
+      const { format, ambiguous } = detectDateFormat(pending.source, pending.mapping);
+      pending.dateFormat = format;
+      pending.ambiguous = ambiguous;
+      renderCSVMapping();
+    }
+  }
+  
+  updateCSVPreview();
+}
+
+function updateCSVPreview() {
+  const pending = state.pendingCSV;
+  
+  try {
+    pending.result = buildImport(pending.source, {
+      mapping: pending.mapping,
+      dateFormat: pending.dateFormat,
+      existingHabits: [...state.habits, ...state.archivedHabits]
+    });
+  } catch (error) {
+    // Only a broken ZIP gets here - the other layouts leave bad rows out
+    pending.result = null;
+    elements.csvSummary.textContent = error.message;
+    elements.csvHabits.innerHTML = '';
+    elements.csvProblems.innerHTML = '';
+    elements.csvConfirm.disabled = true;
+    return;
+  }
+  
+  const { backup, habits, problems } = pending.result;
+  const added = habits.filter(habit => habit.isNew).length;
+  
+  elements.csvSummary.textContent =
+    `${CSV_LAYOUT_LABELS[pending.source.layout]}: ${backup.completions.length} entries for ${habits.length} habits` +
+    (added > 0 ? `, ${added} of them new. ` : '. ') +
+    'Days you\'ve already logged are kept as they are.';
+  
+  elements.csvHabits.innerHTML = habits.map(habit => {
+    const details = [
+      habit.isNew ? 'New habit' : 'Existing habit',
+      habit.isNew ? (habit.type === 'measurable' ? 'Measurable' : 'Yes/No') : null,
+      `${habit.entries} ${habit.entries === 1 ? 'entry' : 'entries'}`
+    ].filter(Boolean).join(' · ');
+    
+    return `
+      <div class="import-item" style="--habit-color: ${utils.escapeHtml(habit.color || '#6c5ce7')}">
+        <span class="import-item-info">
+          <span class="import-item-name">${utils.escapeHtml(habit.name)}</span>
+          <span class="import-item-details">${utils.escapeHtml(details)}</span>
+        </span>
+      </div>
+    `;
+  }).join('');
+  
+  const shown = problems.slice(0, MAX_CSV_PROBLEMS);
+  if (problems.length > shown.length) {
+    shown.push(`...and ${problems.length - shown.length} more rows left out`);
+  }
+  elements.csvProblems.innerHTML = shown
+    .map(problem => `<li class="import-item-warning">${utils.escapeHtml(problem)}</li>`)
+    .join('');
+  
+  elements.csvConfirm.disabled = habits.length === 0;
+}
+
+async function confirmCSVImport() {
+  const { result } = state.pendingCSV;
+  elements.csvConfirm.disabled = true;
+  
+  try {
+    const report = await sync.importData(result.backup);
+    
+    await loadHabits();
+    renderHabits();
+    closeModal(elements.csvDialog);
+    
+    // Same report as a JSON backup merge
+    showBackupReport(report);
+    openModal(elements.backupDialog);
+  } catch (error) {
+    console.error('CSV import failed:', error);
+    showToast(`Failed to import CSV: ${error.message}`, 6000);
+    elements.csvConfirm.disabled = false;
+  }
+}
+
+// ============================================
+// Loop Habit Tracker Import
+// ============================================
+
+/**
+ * Preview the habits found in a Loop backup, each with a checkbox
+ * Habits imported before (same uuid) start unticked.
+ */
+function openLoopImport(entries) {
+  if (entries.length === 0) {
+    showToast('No habits found in this backup');
+    return;
+  }
+  
+  const existing = new Set([...state.habits, ...state.archivedHabits].map(h => h.uuid));
+  state.pendingImport = entries;
+  
+  elements.importList.innerHTML = entries.map(({ habit, completions, warnings }, index) => {
+    const imported = existing.has(habit.uuid);
+    const details = [
+      getFrequencyLabel(habit),
+      habit.type === 'measurable' ? getTargetLabel(habit) : null,
+      `${completions.length} ${completions.length === 1 ? 'entry' : 'entries'}`,
+      habit.archived ? 'Archived' : null,
+      imported ? 'Already imported' : null
+    ].filter(Boolean).join(' · ');
+    
+    return `
+      <label class="import-item" style="--habit-color: ${habit.color}">
+        <input type="checkbox" data-index="${index}" ${imported ? '' : 'checked'}>
+        <span class="import-item-info">
+          <span class="import-item-name">${utils.escapeHtml(habit.name)}</span>
+          <span class="import-item-details">${utils.escapeHtml(details)}</span>
+          ${warnings.map(warning => `<span class="import-item-warning">${utils.escapeHtml(warning)}</span>`).join('')}
+        </span>
+      </label>
+    `;
+  }).join('');
+  
+  updateImportSummary();
+  openModal(elements.importDialog);
+}
+
+function getSelectedImports() {
+  return [...elements.importList.querySelectorAll('input:checked')]
+    .map(input => state.pendingImport[Number(input.dataset.index)]);
+}
+
+function updateImportSummary() {
+  const selected = getSelectedImports();
+  const total = state.pendingImport.length;
+  elements.importSummary.textContent = `${selected.length} of ${total} habits selected`;
+  elements.importConfirm.disabled = selected.length === 0;
+}
+
+async function confirmLoopImport() {
+  const selected = getSelectedImports();
+  elements.importConfirm.disabled = true;
+  
+  try {
+    // Added after the existing habits, in Loop's order. A habit imported
+    // again becomes a copy, so it needs an identity of its own.
+    const existing = new Set([...state.habits, ...state.archivedHabits].map(h => h.uuid));
+    for (const { habit, completions } of selected) {
+      const { uuid, ...copy } = habit;
+      await sync.importHabit(existing.has(uuid) ? copy : habit, completions);
+    }
+    
+    await loadHabits();
+    renderHabits();
+    closeModal(elements.importDialog);
+    closeModal(elements.settingsModal);
+    showToast(`Imported ${selected.length} ${selected.length === 1 ? 'habit' : 'habits'} from Loop`);
+  } catch (error) {
+    console.error('Loop import failed:', error);
+    showToast('Failed to import habits');
+    elements.importConfirm.disabled = false;
+  }
+}
+
 // ============================================
 // Side Menu
 // ============================================
@@ -1407,7 +3320,13 @@ function handleMenuAction(action) {
   
   switch (action) {
     case 'export-csv':
-      handleExport();
+      openModal(elements.exportDialog);
+      break;
+    case 'export-json':
+      handleBackupExport();
+      break;
+    case 'calendar':
+      openCalendarDialog();
       break;
     case 'import':
       elements.importFile?.click();
@@ -1463,6 +3382,14 @@ async function registerServiceWorker() {
     try {
       const registration = await navigator.serviceWorker.register('/service-worker.js');
       console.log('Service Worker registered:', registration.scope);
+      
+      // A reminder was checked off from its notification
+      navigator.serviceWorker.addEventListener('message', async (event) => {
+        if (event.data?.type === 'completion-recorded') {
+          await loadHabits();
+          renderHabits();
+        }
+      });
     } catch (error) {
       console.log('Service Worker registration failed:', error);
     }
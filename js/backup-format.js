@@ -0,0 +1,204 @@
+/**
+ * Backup Format for Loop Habits
+ * Builds, migrates and validates JSON backups (see EXPORT_FORMAT.md).
+ * The backend loads this same file, so it must not use browser APIs.
+ */
+
+export const BACKUP_VERSION = 2;
+
+// Habit fields stored in a backup (besides its id)
+const HABIT_FIELDS = [
+  'uuid', 'name', 'question', 'color', 'icon', 'tags', 'frequency', 'timesPerWeek',
+  'interval', 'specificDays', 'timesPerPeriod', 'periodType', 'periodDays', 'type',
+  'unit', 'target', 'targetType', 'reminders', 'pauses', 'archived', 'order', 'createdAt'
+];
+
+const SETTINGS_FIELDS = ['darkMode', 'weekStartsOn', 'showConfetti'];
+
+const FREQUENCIES = ['daily', 'weekly', 'interval', 'specific_days', 'period'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Upgrade a backup from older versions, one step at a time
+ * Each step takes a backup of version N and returns version N + 1.
+ */
+const MIGRATIONS = {
+  // v1 held raw records: IndexedDB ones (numeric id, sync bookkeeping)
+  // or backend ones (_id, completions pointing at `habit`)
+  1: (data) => ({
+    version: 2,
+    exportDate: data.exportDate,
+    habits: data.habits.map(habit => ({
+      id: toId(habit.id ?? habit._id),
+      ...pickFields(habit, HABIT_FIELDS)
+    })),
+    completions: data.completions.map(completion => ({
+      habitId: toId(completion.habitId ?? completion.habit),
+      date: completion.date,
+      // Early versions only stored a record for checked days
+      value: completion.value === undefined ? 1 : completion.value,
+      ...pickFields(completion, ['status', 'note', 'timestamp'])
+    })),
+    settings: pickFields(isObject(data.settings) ? data.settings : {}, SETTINGS_FIELDS)
+  })
+};
+
+/**
+ * Build a backup from local or backend records
+ * @param {Object} records
+ * @param {Array<Object>} records.habits - With `id` or `_id`
+ * @param {Array<Object>} records.completions - With `habitId` or `habit`
+ * @param {Object} records.settings
+ * @returns {Object} - Backup in the current version
+ */
+export function createBackup({ habits, completions, settings = {} }) {
+  return MIGRATIONS[1]({
+    version: 1,
+    exportDate: new Date().toISOString(),
+    habits,
+    completions,
+    settings
+  });
+}
+
+/**
+ * Bring a backup of any supported version to the current one and check it
+ * @param {Object} data - Parsed backup file
+ * @returns {Object} - Backup in the current version
+ * @throws {Error} - Naming the offending record, e.g. 'habits[2] "Run": ...'
+ */
+export function readBackup(data) {
+  if (!isObject(data) || !Array.isArray(data.habits) || !Array.isArray(data.completions)) {
+    throw new Error('Not a Loop Habits backup: habits and completions lists are missing');
+  }
+
+  // Files from before versioning count as version 1
+  let backup = data;
+  let version = data.version ?? 1;
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown backup version ${JSON.stringify(version)}`);
+  }
+  if (version > BACKUP_VERSION) {
+    throw new Error(`This backup is from a newer version of the app (format ${version}) - please update first`);
+  }
+
+  // Migrations read fields off every record, so check those are records first
+  checkRecordShapes(backup);
+
+  while (version < BACKUP_VERSION) {
+    backup = MIGRATIONS[version](backup);
+    version = backup.version;
+  }
+
+  validateBackup(backup);
+  return backup;
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+/**
+ * Check every habit and completion is an object, naming the first that isn't
+ * The rest is checked once the backup is in the current version.
+ */
+function checkRecordShapes(data) {
+  ['habits', 'completions'].forEach(list => {
+    const index = data[list].findIndex(record => !isObject(record));
+    if (index !== -1) {
+      throw new Error(`Invalid backup: ${list}[${index}]: not an object`);
+    }
+  });
+}
+
+function validateBackup(backup) {
+  const habitIds = new Set();
+
+  backup.habits.forEach((habit, index) => {
+    const fail = (message) => {
+      const label = typeof habit?.name === 'string' ? ` "${habit.name}"` : '';
+      throw new Error(`Invalid backup: habits[${index}]${label}: ${message}`);
+    };
+
+    if (!isObject(habit)) fail('not an object');
+    if (typeof habit.id !== 'string' || !habit.id) fail('id is missing');
+    if (habitIds.has(habit.id)) fail(`id ${habit.id} is used twice`);
+    habitIds.add(habit.id);
+
+    if (typeof habit.name !== 'string' || !habit.name.trim()) fail('name is missing');
+    if (habit.name.length > 100) fail('name is longer than 100 characters');
+    if (habit.uuid !== undefined && typeof habit.uuid !== 'string') fail('uuid must be text');
+    if (habit.frequency !== undefined && !FREQUENCIES.includes(habit.frequency)) {
+      fail(`frequency must be one of ${FREQUENCIES.join(', ')}`);
+    }
+    if (habit.type !== undefined && !['boolean', 'measurable'].includes(habit.type)) {
+      fail('type must be boolean or measurable');
+    }
+    if (habit.targetType !== undefined && !['at_least', 'at_most'].includes(habit.targetType)) {
+      fail('targetType must be at_least or at_most');
+    }
+    if (habit.target !== undefined && !(typeof habit.target === 'number' && habit.target >= 0)) {
+      fail('target must be a number of 0 or more');
+    }
+    if (habit.tags !== undefined && !(Array.isArray(habit.tags) && habit.tags.every(tag => typeof tag === 'string'))) {
+      fail('tags must be a list of text');
+    }
+    if (habit.specificDays !== undefined &&
+        !(Array.isArray(habit.specificDays) && habit.specificDays.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      fail('specificDays must be a list of days 0-6');
+    }
+    ['reminders', 'pauses'].forEach(field => {
+      if (habit[field] !== undefined && !Array.isArray(habit[field])) fail(`${field} must be a list`);
+    });
+    if (habit.archived !== undefined && typeof habit.archived !== 'boolean') fail('archived must be true or false');
+  });
+
+  backup.completions.forEach((completion, index) => {
+    const fail = (message) => {
+      const label = typeof completion?.date === 'string' ? ` (${completion.date})` : '';
+      throw new Error(`Invalid backup: completions[${index}]${label}: ${message}`);
+    };
+
+    if (!isObject(completion)) fail('not an object');
+    if (!habitIds.has(completion.habitId)) fail(`habitId ${completion.habitId} is not a habit in this backup`);
+    if (typeof completion.date !== 'string' || !DATE_PATTERN.test(completion.date)) fail('date must be YYYY-MM-DD');
+    if (completion.value !== null && !(typeof completion.value === 'number' && completion.value >= 0)) {
+      fail('value must be a number of 0 or more, or null');
+    }
+    if (completion.status !== undefined && !['done', 'skipped'].includes(completion.status)) {
+      fail('status must be done or skipped');
+    }
+    if (completion.note != null && !(typeof completion.note === 'string' && completion.note.length <= 500)) {
+      fail('note must be text of at most 500 characters');
+    }
+    if (completion.timestamp !== undefined && Number.isNaN(Date.parse(completion.timestamp))) {
+      fail('timestamp must be a date');
+    }
+  });
+
+  if (backup.settings !== undefined && !isObject(backup.settings)) {
+    throw new Error('Invalid backup: settings must be an object');
+  }
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function pickFields(record, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    if (record[field] !== undefined && record[field] !== null) picked[field] = record[field];
+  });
+  return picked;
+}
+
+// Local IDs are numbers and backend ones ObjectIds - backups use text
+function toId(id) {
+  return id === undefined || id === null ? undefined : String(id);
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
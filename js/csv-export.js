@@ -0,0 +1,96 @@
+/**
+ * CSV Export for Loop Habits
+ * Turns a backup (see EXPORT_FORMAT.md) into two CSV files: habits.csv
+ * with each habit's settings, and completions.csv in long format, one
+ * row per habit and day. Habits are told apart by habit_id, so two
+ * habits with the same name don't collide.
+ * The backend loads this same file, so it must not use browser APIs.
+ */
+
+export const HABITS_CSV = 'habits.csv';
+export const COMPLETIONS_CSV = 'completions.csv';
+
+const HABIT_COLUMNS = [
+  'habit_id', 'uuid', 'name', 'question', 'type', 'frequency', 'times_per_week', 'interval',
+  'specific_days', 'times_per_period', 'period_type', 'period_days', 'target', 'target_type',
+  'unit', 'color', 'icon', 'tags', 'archived', 'order', 'created_at'
+];
+
+const COMPLETION_COLUMNS = ['habit_id', 'name', 'date', 'value', 'note', 'status'];
+
+// Lists inside a cell, e.g. tags "Health;Work"
+const LIST_SEPARATOR = ';';
+
+/**
+ * Build the CSV files for a backup
+ * @param {Object} backup - Backup in the current format (habits, completions)
+ * @returns {Map<string, string>} - CSV text by file name
+ */
+export function buildCSVFiles(backup) {
+  const habits = [...backup.habits].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  const habitsById = new Map(habits.map(habit => [habit.id, habit]));
+  const position = new Map(habits.map((habit, index) => [habit.id, index]));
+
+  const habitRows = habits.map(habit => {
+    const frequency = habit.frequency || 'daily';
+    return [
+      habit.id,
+      habit.uuid,
+      habit.name,
+      habit.question,
+      habit.type || 'boolean',
+      frequency,
+      // Schedule fields only for the frequency that uses them
+      frequency === 'weekly' ? habit.timesPerWeek : '',
+      frequency === 'interval' ? habit.interval : '',
+      frequency === 'specific_days' ? (habit.specificDays || []).join(LIST_SEPARATOR) : '',
+      frequency === 'period' ? habit.timesPerPeriod : '',
+      frequency === 'period' ? habit.periodType : '',
+      frequency === 'period' && habit.periodType === 'days' ? habit.periodDays : '',
+      habit.type === 'measurable' ? habit.target : '',
+      habit.type === 'measurable' ? habit.targetType || 'at_least' : '',
+      habit.type === 'measurable' ? habit.unit : '',
+      habit.color,
+      habit.icon,
+      (habit.tags || []).join(LIST_SEPARATOR),
+      habit.archived ? 'true' : 'false',
+      habit.order,
+      habit.createdAt ? new Date(habit.createdAt).toISOString() : ''
+    ];
+  });
+
+  const completionRows = backup.completions
+    .filter(completion => habitsById.has(completion.habitId))
+    .sort((a, b) =>
+      position.get(a.habitId) - position.get(b.habitId) || a.date.localeCompare(b.date)
+    )
+    .map(completion => [
+      completion.habitId,
+      habitsById.get(completion.habitId).name,
+      completion.date,
+      // Empty for a day with only a note
+      completion.value ?? '',
+      completion.note,
+      completion.status || 'done'
+    ]);
+
+  return new Map([
+    [HABITS_CSV, toCSV(HABIT_COLUMNS, habitRows)],
+    [COMPLETIONS_CSV, toCSV(COMPLETION_COLUMNS, completionRows)]
+  ]);
+}
+
+/**
+ * A header row and rows of values as CSV text, fields quoted as needed
+ */
+export function toCSV(columns, rows) {
+  return [columns, ...rows].map(row => row.map(escapeCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a field if it holds a comma, quote or line break
+ */
+function escapeCSVField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,403 @@
+/**
+ * CSV Import for Loop Habits
+ * Reads habit logs kept in spreadsheets: the table "Export to CSV" makes
+ * (a row per habit, a column per day), a long file with a row per habit
+ * and day (habit, date, value...), and the ZIP of habits.csv and
+ * completions.csv. Each becomes a backup (see EXPORT_FORMAT.md) that is
+ * merged like a JSON one.
+ */
+
+import { isZip, unzip } from './zip.js';
+import { parseCSV } from './utils.js';
+import { BACKUP_VERSION, readBackup } from './backup-format.js';
+import { HABITS_CSV, COMPLETIONS_CSV } from './csv-export.js';
+import { HABIT_COLORS } from './loop-import.js';
+
+export const DATE_FORMATS = [
+  { id: 'ymd', label: 'YYYY-MM-DD', order: ['year', 'month', 'day'] },
+  { id: 'dmy', label: 'DD/MM/YYYY', order: ['day', 'month', 'year'] },
+  { id: 'mdy', label: 'MM/DD/YYYY', order: ['month', 'day', 'year'] }
+];
+
+// Columns of a long file, and the headers they are recognised by
+export const LONG_FIELDS = [
+  { key: 'habit', label: 'Habit', required: true, names: ['habit', 'habit name', 'name', 'activity'] },
+  { key: 'date', label: 'Date', required: true, names: ['date', 'day'] },
+  { key: 'value', label: 'Value', names: ['value', 'amount', 'count', 'done', 'completed'] },
+  { key: 'note', label: 'Note', names: ['note', 'notes', 'comment'] },
+  { key: 'status', label: 'Status', names: ['status'] }
+];
+
+// Any separator, with an optional time after the date ("2024-05-01 08:00")
+const DATE_PATTERN = /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[ T].*)?$/;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Read a CSV file, or the ZIP from "Export to CSV", for the preview
+ * Other ZIPs and Loop Habit Tracker's Habits.csv are left to the Loop importer.
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} filename
+ * @returns {Promise<Object|null>} - { layout: 'bundle' | 'wide' | 'long', ... }, or null
+ */
+export async function readCSVImport(buffer, filename) {
+  const decoder = new TextDecoder();
+
+  if (isZip(buffer)) {
+    const files = await unzip(buffer);
+    if (!files.has(HABITS_CSV) || !files.has(COMPLETIONS_CSV)) return null;
+    return {
+      layout: 'bundle',
+      habits: parseCSV(decoder.decode(files.get(HABITS_CSV))),
+      completions: parseCSV(decoder.decode(files.get(COMPLETIONS_CSV)))
+    };
+  }
+
+  if (!/\.csv$/i.test(filename)) return null;
+
+  const [header, ...rows] = parseCSV(decoder.decode(buffer));
+  if (!header) {
+    throw new Error('The CSV file is empty');
+  }
+  if (header[0] === 'Position' && header.includes('Name')) return null;
+  if (header.includes('habit_id') && !header.includes('date')) {
+    throw new Error(`${HABITS_CSV} only holds habit settings - import the whole ZIP or ${COMPLETIONS_CSV}`);
+  }
+
+  // A long file without a header row starts with data - its other rows
+  // have dates in the same column, where a table has values
+  const dateColumn = header.findIndex(isDateLike);
+  const dates = rows.map(row => (row[dateColumn] || '').trim()).filter(Boolean);
+  if (dateColumn >= 0 && dates.length > 0 && dates.every(isDateLike)) {
+    return {
+      layout: 'long',
+      header: header.map((cell, index) => `Column ${index + 1}`),
+      rows: [header, ...rows],
+      hasHeader: false
+    };
+  }
+
+  // A column per day
+  const days = header.slice(1).filter(cell => cell.trim());
+  if (days.length > 0 && days.every(isDateLike)) {
+    return { layout: 'wide', header, rows };
+  }
+  return { layout: 'long', header, rows, hasHeader: true };
+}
+
+/**
+ * Pick the column for each field of a long file by its header
+ * Without known headers the first three columns are habit, date and value.
+ * @param {Array<string>} header
+ * @returns {Object} - Column index per field key, -1 for none
+ */
+export function guessMapping(header) {
+  const names = header.map(cell => cell.trim().toLowerCase().replace(/[_-]+/g, ' '));
+  const used = new Set();
+  const mapping = {};
+
+  LONG_FIELDS.forEach(field => {
+    const index = field.names
+      .map(name => names.indexOf(name))
+      .find(i => i >= 0 && !used.has(i));
+    mapping[field.key] = index ?? -1;
+    if (index !== undefined) used.add(index);
+  });
+
+  if (mapping.habit === -1 && mapping.date === -1 && header.length >= 2) {
+    return { habit: 0, date: 1, value: header.length > 2 ? 2 : -1, note: -1, status: -1 };
+  }
+  return mapping;
+}
+
+/**
+ * Work out how the dates of a file are written
+ * Days and months can't be told apart when no day is past the 12th - the
+ * first matching format wins and the preview lets the user change it.
+ * @param {Object} source - From readCSVImport
+ * @param {Object} mapping - Columns of a long file
+ * @returns {{ format: string, ambiguous: boolean }}
+ */
+export function detectDateFormat(source, mapping) {
+  if (source.layout === 'bundle') return { format: 'ymd', ambiguous: false };
+
+  const values = source.layout === 'wide'
+    ? source.header.slice(1)
+    : source.rows.map(row => row[mapping.date]);
+  const dates = values.filter(value => value?.trim());
+
+  const counts = DATE_FORMATS.map(format => dates.filter(date => parseDate(date, format.id)).length);
+  const best = Math.max(...counts);
+  const matching = DATE_FORMATS.filter((format, index) => counts[index] === best);
+
+  return { format: matching[0].id, ambiguous: matching.length > 1 };
+}
+
+/**
+ * Turn a file into a backup, with a preview of what it holds
+ * Habits are matched by name (and uuid, for the ZIP) - the rest are created.
+ * Rows that can't be read are left out and listed in `problems`.
+ * @param {Object} source - From readCSVImport
+ * @param {Object} options
+ * @param {Object} options.mapping - Columns of a long file
+ * @param {string} options.dateFormat - One of DATE_FORMATS
+ * @param {Array<Object>} options.existingHabits - Habits the user has, archived ones included
+ * @returns {{ backup: Object, habits: Array<Object>, problems: Array<string> }}
+ */
+export function buildImport(source, { mapping, dateFormat, existingHabits = [] }) {
+  const result = source.layout === 'bundle'
+    ? readBundle(source, existingHabits)
+    : readEntries(source.layout === 'wide' ? wideEntries(source) : longEntries(source, mapping),
+      dateFormat, existingHabits);
+
+  result.backup = readBackup({
+    version: BACKUP_VERSION,
+    exportDate: new Date().toISOString(),
+    habits: result.backup.habits,
+    completions: result.backup.completions,
+    settings: {}
+  });
+  return result;
+}
+
+// ============================================
+// LAYOUTS
+// ============================================
+
+// Row numbers count the header as row 1, like a spreadsheet does
+function wideEntries({ header, rows }) {
+  const entries = [];
+  rows.forEach((row, index) => {
+    for (let column = 1; column < header.length; column++) {
+      entries.push({ row: index + 2, habit: row[0], date: header[column], value: row[column] });
+    }
+  });
+  return entries;
+}
+
+function longEntries({ rows, hasHeader }, mapping) {
+  const cell = (row, key) => (mapping[key] >= 0 ? row[mapping[key]] : undefined);
+  const offset = hasHeader ? 2 : 1;
+
+  return rows.map((row, index) => ({
+    row: index + offset,
+    habit: cell(row, 'habit'),
+    date: cell(row, 'date'),
+    // Without a value column each row is a day the habit was done
+    value: mapping.value >= 0 ? row[mapping.value] : '1',
+    note: cell(row, 'note'),
+    status: cell(row, 'status')
+  }));
+}
+
+function readEntries(entries, dateFormat, existingHabits) {
+  const format = DATE_FORMATS.find(f => f.id === dateFormat);
+  const habits = new Map();
+  const problems = [];
+
+  for (const entry of entries) {
+    const name = (entry.habit || '').trim();
+    const note = (entry.note || '').trim();
+    const value = parseValue(entry.value, entry.status);
+    const date = parseDate(entry.date, dateFormat);
+
+    // Nothing logged that day
+    if (value === null && !note) continue;
+
+    if (!name) {
+      problems.push(`Row ${entry.row}: no habit name`);
+    } else if (name.length > MAX_NAME_LENGTH) {
+      problems.push(`Row ${entry.row}: habit name is longer than ${MAX_NAME_LENGTH} characters`);
+    } else if (!date) {
+      problems.push(`Row ${entry.row}: "${entry.date || ''}" isn't a ${format.label} date`);
+    } else if (value === undefined) {
+      problems.push(`Row ${entry.row}: "${entry.value}" isn't a number, yes/no or skipped`);
+    } else if (note.length > MAX_NOTE_LENGTH) {
+      problems.push(`Row ${entry.row}: note is longer than ${MAX_NOTE_LENGTH} characters`);
+    } else {
+      const key = name.toLowerCase();
+      if (!habits.has(key)) habits.set(key, { name, days: new Map() });
+      // A later row for the same day replaces an earlier one
+      habits.get(key).days.set(date, { date, ...(value || { value: null }), ...(note && { note }) });
+    }
+  }
+
+  const backup = { habits: [], completions: [] };
+  const preview = [];
+  let newCount = 0;
+
+  [...habits.values()].forEach(({ name, days }, index) => {
+    const id = String(index + 1);
+    const existing = findHabit(existingHabits, { name });
+    const records = [...days.values()];
+    const measurable = existing
+      ? existing.type === 'measurable'
+      : records.some(record => record.status !== 'skipped' && record.value !== null &&
+        record.value !== 0 && record.value !== 1);
+
+    // Known habits keep their settings - only the name is needed to match
+    const habit = existing
+      ? { id, name: existing.name }
+      : {
+        id,
+        name,
+        color: HABIT_COLORS[newCount++ % HABIT_COLORS.length],
+        icon: '🎯',
+        frequency: 'daily',
+        type: measurable ? 'measurable' : 'boolean'
+      };
+    backup.habits.push(habit);
+
+    // A yes/no habit that wasn't done has no record
+    const completions = records
+      .filter(record => measurable || record.value !== 0 || record.status === 'skipped' || record.note)
+      .map(record => ({
+        ...record,
+        habitId: id,
+        value: !measurable && record.value > 0 ? 1 : record.value
+      }));
+    backup.completions.push(...completions);
+
+    preview.push({
+      name: habit.name,
+      color: existing ? existing.color : habit.color,
+      isNew: !existing,
+      type: measurable ? 'measurable' : 'boolean',
+      entries: completions.length
+    });
+  });
+
+  return { backup, habits: preview, problems };
+}
+
+/**
+ * The ZIP from "Export to CSV" - habits.csv has the settings, so habits
+ * are created as they were exported
+ */
+function readBundle(source, existingHabits) {
+  const habits = toRecords(source.habits).map(row => pickSet({
+    id: row.habit_id,
+    uuid: row.uuid,
+    name: row.name,
+    question: row.question,
+    type: row.type,
+    frequency: row.frequency,
+    timesPerWeek: toNumber(row.times_per_week),
+    interval: toNumber(row.interval),
+    specificDays: toList(row.specific_days)?.map(Number),
+    timesPerPeriod: toNumber(row.times_per_period),
+    periodType: row.period_type,
+    periodDays: toNumber(row.period_days),
+    target: toNumber(row.target),
+    targetType: row.target_type,
+    unit: row.unit,
+    color: row.color,
+    icon: row.icon,
+    tags: toList(row.tags),
+    archived: row.archived ? row.archived === 'true' : undefined,
+    order: toNumber(row.order),
+    createdAt: row.created_at
+  }));
+
+  const completions = toRecords(source.completions).map(row => pickSet({
+    habitId: row.habit_id,
+    date: row.date,
+    value: row.value === '' ? null : toNumber(row.value),
+    note: row.note,
+    status: row.status
+  }));
+
+  const counts = new Map();
+  completions.forEach(({ habitId }) => counts.set(habitId, (counts.get(habitId) || 0) + 1));
+
+  return {
+    backup: { habits, completions },
+    habits: habits.map(habit => ({
+      name: habit.name,
+      color: habit.color,
+      isNew: !findHabit(existingHabits, habit),
+      type: habit.type || 'boolean',
+      entries: counts.get(habit.id) || 0
+    })),
+    problems: []
+  };
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Parse a date written in one of DATE_FORMATS
+ * @param {string} value
+ * @param {string} formatId
+ * @returns {string|null} - YYYY-MM-DD, or null if it isn't a real date
+ */
+export function parseDate(value, formatId) {
+  const match = DATE_PATTERN.exec(String(value ?? '').trim());
+  const format = DATE_FORMATS.find(f => f.id === formatId);
+  if (!match || !format) return null;
+
+  const parts = {};
+  format.order.forEach((part, index) => { parts[part] = match[index + 1]; });
+
+  // Two-digit years only at the end ("05/01/24")
+  const yearLast = format.order[2] === 'year';
+  if (!(parts.year.length === 4 || (yearLast && parts.year.length === 2))) return null;
+  if (parts.month.length > 2 || parts.day.length > 2) return null;
+
+  const year = Number(parts.year) + (parts.year.length === 2 ? 2000 : 0);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  return date.toISOString().slice(0, 10);
+}
+
+function isDateLike(value) {
+  return DATE_FORMATS.some(format => parseDate(value, format.id));
+}
+
+/**
+ * Read a cell as a completion: null when empty, undefined when unreadable
+ */
+function parseValue(text, status) {
+  const value = String(text ?? '').trim();
+
+  if (/^skip(ped)?$/i.test(value) || /^skip(ped)?$/i.test(String(status ?? '').trim())) {
+    return { value: 0, status: 'skipped' };
+  }
+  if (value === '') return null;
+  if (/^(yes|y|true|x|done|✓|✔)$/i.test(value)) return { value: 1, status: 'done' };
+  if (/^(no|n|false)$/i.test(value)) return { value: 0, status: 'done' };
+
+  // Spreadsheets in some locales write decimals with a comma
+  const number = Number(value.replace(/^(\d+),(\d+)$/, '$1.$2'));
+  return Number.isFinite(number) && number >= 0 ? { value: number, status: 'done' } : undefined;
+}
+
+// Same UUID, or else the same name (ignoring case) - as the import matches them
+function findHabit(habits, { uuid, name }) {
+  const key = String(name || '').trim().toLowerCase();
+  return (uuid && habits.find(habit => habit.uuid === uuid)) ||
+    habits.find(habit => habit.name.toLowerCase() === key);
+}
+
+// Rows as objects keyed by the header
+function toRecords([header = [], ...rows]) {
+  return rows.map(row => Object.fromEntries(header.map((name, index) => [name, row[index] ?? ''])));
+}
+
+function pickSet(record) {
+  return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+function toNumber(text) {
+  return text === undefined || text === '' ? undefined : Number(text);
+}
+
+function toList(text) {
+  return text ? text.split(';').map(item => item.trim()).filter(Boolean) : undefined;
+}
@@ -3,14 +3,19 @@
  * Handles all persistent storage operations
  */
 
+import { createBackup, readBackup } from './backup-format.js';
+import { buildCSVFiles } from './csv-export.js';
+
 const DB_NAME = 'LoopHabitsDB';
-const DB_VERSION = 1;
+const DB_VERSION = 3;
 
 // Store names
 const STORES = {
   HABITS: 'habits',
   COMPLETIONS: 'completions',
-  SETTINGS: 'settings'
+  SETTINGS: 'settings',
+  OUTBOX: 'outbox',
+  SYNC_META: 'syncMeta'
 };
 
 let db = null;
@@ -69,6 +74,34 @@ export async function initDB() {
         database.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
       }
 
+      // v2: server mapping for habits
+      const habitsStore = event.target.transaction.objectStore(STORES.HABITS);
+      if (!habitsStore.indexNames.contains('remoteId')) {
+        habitsStore.createIndex('remoteId', 'remoteId', { unique: false });
+      }
+      if (!habitsStore.indexNames.contains('uuid')) {
+        habitsStore.createIndex('uuid', 'uuid', { unique: false });
+      }
+
+      // v3: one index entry per tag
+      if (!habitsStore.indexNames.contains('tags')) {
+        habitsStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+      }
+
+      // Outbox store - pending mutations waiting to be sent to the backend
+      if (!database.objectStoreNames.contains(STORES.OUTBOX)) {
+        const outboxStore = database.createObjectStore(STORES.OUTBOX, {
+          keyPath: 'id',
+          autoIncrement: true
+        });
+        outboxStore.createIndex('habitId', 'habitId', { unique: false });
+      }
+
+      // Sync metadata store (last sync time, owner, ...) - never exported
+      if (!database.objectStoreNames.contains(STORES.SYNC_META)) {
+        database.createObjectStore(STORES.SYNC_META, { keyPath: 'key' });
+      }
+
       console.log('Database schema created/upgraded');
     };
   });
@@ -92,12 +125,18 @@ function transaction(storeName, mode = 'readonly') {
  * @returns {Promise<number>} - The new habit ID
  */
 export async function createHabit(habit) {
+  // New habits go to the end of the list, like on the backend
+  const habits = await getAllHabits(true);
+  const order = habits.reduce((max, h) => Math.max(max, (h.order || 0) + 1), 0);
+  
   return new Promise((resolve, reject) => {
     const store = transaction(STORES.HABITS, 'readwrite');
     const newHabit = {
-      ...habit,
+      uuid: generateUUID(),
       createdAt: new Date().toISOString(),
-      archived: false
+      archived: false,
+      order,
+      ...habit
     };
     
     const request = store.add(newHabit);
@@ -129,6 +168,58 @@ export async function getAllHabits(includeArchived = false) {
   });
 }
 
+/**
+ * Reorder habits in one transaction
+ * The given habits are rearranged among the positions they already
+ * hold, so reordering a filtered list leaves the other habits in place.
+ * Every habit is then renumbered 0, 1, 2, ...
+ * @param {Array<number>} habitIds - Habit IDs in their new order
+ * @returns {Promise<void>}
+ */
+export async function setHabitOrder(habitIds) {
+  const habits = await getAllHabits(true);
+  const byId = new Map(habits.map(h => [h.id, h]));
+  const moved = habitIds.filter(id => byId.has(id)).map(id => byId.get(id));
+  const movedIds = new Set(moved.map(h => h.id));
+  
+  const ordered = habits.map(h => movedIds.has(h.id) ? moved.shift() : h);
+  
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.HABITS, 'readwrite');
+    const store = tx.objectStore(STORES.HABITS);
+    
+    ordered.forEach((habit, order) => {
+      if (habit.order !== order) store.put({ ...habit, order });
+    });
+    
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Get the tags in use across all habits (archived ones included)
+ * @returns {Promise<Array<string>>} - Tag names, sorted
+ */
+export async function getAllTags() {
+  return new Promise((resolve, reject) => {
+    const store = transaction(STORES.HABITS);
+    const request = store.index('tags').openKeyCursor(null, 'nextunique');
+    const tags = [];
+    
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        tags.push(cursor.key);
+        cursor.continue();
+      } else {
+        resolve(tags.sort((a, b) => a.localeCompare(b)));
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Get a single habit by ID
  * @param {number} id - Habit ID
@@ -144,6 +235,21 @@ export async function getHabit(id) {
   });
 }
 
+/**
+ * Get a habit by its backend ID
+ * @param {string} remoteId - Backend (_id) habit ID
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getHabitByRemoteId(remoteId) {
+  return new Promise((resolve, reject) => {
+    const store = transaction(STORES.HABITS);
+    const request = store.index('remoteId').get(remoteId);
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Update a habit
  * @param {Object} habit - Habit data with ID
@@ -187,34 +293,70 @@ export async function deleteHabit(id) {
 // ============================================
 
 /**
- * Toggle completion for a habit on a specific date
+ * Add or update the completion for a habit on a specific date
  * @param {number} habitId - Habit ID
  * @param {string} date - Date in YYYY-MM-DD format
- * @returns {Promise<boolean>} - New completion status
+ * @param {Object} fields - Extra completion fields (value, timestamp, ...)
+ * @returns {Promise<void>}
  */
-export async function toggleCompletion(habitId, date) {
+export async function setCompletion(habitId, date, fields = {}) {
   return new Promise((resolve, reject) => {
     const store = transaction(STORES.COMPLETIONS, 'readwrite');
-    const index = store.index('habitDate');
-    const request = index.get([habitId, date]);
+    const request = store.index('habitDate').get([habitId, date]);
     
     request.onsuccess = () => {
-      if (request.result) {
-        // Remove completion
-        const deleteRequest = store.delete(request.result.id);
-        deleteRequest.onsuccess = () => resolve(false);
-        deleteRequest.onerror = () => reject(deleteRequest.error);
-      } else {
-        // Add completion
-        const addRequest = store.add({
-          habitId,
-          date,
-          timestamp: new Date().toISOString(),
-          value: 1
-        });
-        addRequest.onsuccess = () => resolve(true);
-        addRequest.onerror = () => reject(addRequest.error);
+      const existing = request.result;
+      const putRequest = store.put({
+        ...(existing || { timestamp: new Date().toISOString(), value: 1 }),
+        ...fields,
+        habitId,
+        date
+      });
+      putRequest.onsuccess = () => resolve();
+      putRequest.onerror = () => reject(putRequest.error);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Add many completions for a habit in one transaction (imports)
+ * @param {number} habitId - Habit ID
+ * @param {Array<Object>} completions - Records with date, value, status, ...
+ * @returns {Promise<void>}
+ */
+export async function addCompletions(habitId, completions) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.COMPLETIONS, 'readwrite');
+    const store = tx.objectStore(STORES.COMPLETIONS);
+    const timestamp = new Date().toISOString();
+    
+    completions.forEach(completion => store.add({ timestamp, ...completion, habitId }));
+    
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Remove the completion for a habit on a specific date (if any)
+ * @param {number} habitId - Habit ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<void>}
+ */
+export async function removeCompletion(habitId, date) {
+  return new Promise((resolve, reject) => {
+    const store = transaction(STORES.COMPLETIONS, 'readwrite');
+    const request = store.index('habitDate').getKey([habitId, date]);
+    
+    request.onsuccess = () => {
+      if (request.result === undefined) {
+        resolve();
+        return;
       }
+      const deleteRequest = store.delete(request.result);
+      deleteRequest.onsuccess = () => resolve();
+      deleteRequest.onerror = () => reject(deleteRequest.error);
     };
     request.onerror = () => reject(request.error);
   });
@@ -237,6 +379,22 @@ export async function getCompletion(habitId, date) {
   });
 }
 
+/**
+ * Get the completion record for a habit on a specific date
+ * @param {number} habitId - Habit ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object|undefined>}
+ */
+export async function getCompletionEntry(habitId, date) {
+  return new Promise((resolve, reject) => {
+    const store = transaction(STORES.COMPLETIONS);
+    const request = store.index('habitDate').get([habitId, date]);
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
 /**
  * Get all completions for a habit
  * @param {number} habitId - Habit ID
@@ -265,6 +423,21 @@ export async function getCompletionsInRange(habitId, startDate, endDate) {
   return completions.filter(c => c.date >= startDate && c.date <= endDate);
 }
 
+/**
+ * Get the days of a habit that have a note, newest first
+ * @param {number} habitId - Habit ID
+ * @param {string} query - Optional text to search for (case-insensitive)
+ * @returns {Promise<Array>}
+ */
+export async function getNotes(habitId, query = '') {
+  const completions = await getCompletionsForHabit(habitId);
+  const needle = query.trim().toLowerCase();
+  
+  return completions
+    .filter(c => c.note && c.note.toLowerCase().includes(needle))
+    .sort((a, b) => b.date.localeCompare(a.date));
+}
+
 /**
  * Get all completions (for all habits)
  * @returns {Promise<Array>}
@@ -366,158 +539,315 @@ export async function getAllSettings() {
 }
 
 // ============================================
-// DATA EXPORT/IMPORT
+// SYNC OUTBOX OPERATIONS
 // ============================================
 
 /**
- * Export all data to JSON
- * @returns {Promise<Object>}
+ * Append a pending mutation to the outbox
+ * @param {Object} entry - Outbox entry ({ op, habitId, ... })
+ * @returns {Promise<number>} - The new entry ID
  */
-export async function exportAllData() {
-  const habits = await getAllHabits(true);
-  const completions = await getAllCompletions();
-  const settings = await getAllSettings();
-  
-  return {
-    version: 1,
-    exportDate: new Date().toISOString(),
-    habits,
-    completions,
-    settings
-  };
+export async function addOutboxEntry(entry) {
+  return new Promise((resolve, reject) => {
+    const store = transaction(STORES.OUTBOX, 'readwrite');
+    const request = store.add({
+      ...entry,
+      createdAt: new Date().toISOString(),
+      attempts: 0
+    });
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
 }
 
 /**
- * Export data to CSV format
- * @returns {Promise<string>}
+ * Get all pending outbox entries, oldest first
+ * @returns {Promise<Array>}
  */
-export async function exportToCSV() {
-  const habits = await getAllHabits(true);
-  const completions = await getAllCompletions();
-  
-  // Create completions lookup
-  const completionsMap = {};
-  completions.forEach(c => {
-    if (!completionsMap[c.habitId]) {
-      completionsMap[c.habitId] = new Set();
-    }
-    completionsMap[c.habitId].add(c.date);
+export async function getOutboxEntries() {
+  return new Promise((resolve, reject) => {
+    const store = transaction(STORES.OUTBOX);
+    const request = store.getAll();
+    
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
   });
+}
+
+/**
+ * Update an outbox entry (e.g. to record a failed attempt)
+ * @param {Object} entry - Outbox entry with ID
+ * @returns {Promise<void>}
+ */
+export async function updateOutboxEntry(entry) {
+  return new Promise((resolve, reject) => {
+    const store = transaction(STORES.OUTBOX, 'readwrite');
+    const request = store.put(entry);
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Remove outbox entries
+ * @param {number[]} ids - Outbox entry IDs
+ * @returns {Promise<void>}
+ */
+export async function deleteOutboxEntries(ids) {
+  if (ids.length === 0) return;
   
-  // Get date range
-  const allDates = completions.map(c => c.date).sort();
-  const startDate = allDates[0] || formatDate(new Date());
-  const endDate = formatDate(new Date());
-  
-  // Generate date array
-  const dates = [];
-  let current = new Date(startDate);
-  const end = new Date(endDate);
-  while (current <= end) {
-    dates.push(formatDate(current));
-    current.setDate(current.getDate() + 1);
-  }
-  
-  // Build CSV
-  let csv = 'Habit,' + dates.join(',') + '\n';
-  
-  habits.forEach(habit => {
-    const row = [habit.name];
-    const habitCompletions = completionsMap[habit.id] || new Set();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.OUTBOX, 'readwrite');
+    const store = tx.objectStore(STORES.OUTBOX);
+    ids.forEach(id => store.delete(id));
     
-    dates.forEach(date => {
-      row.push(habitCompletions.has(date) ? '1' : '0');
-    });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Get a sync metadata value
+ * @param {string} key - Metadata key
+ * @param {*} defaultValue - Default value if not found
+ * @returns {Promise<*>}
+ */
+export async function getSyncMeta(key, defaultValue = null) {
+  return new Promise((resolve, reject) => {
+    const store = transaction(STORES.SYNC_META);
+    const request = store.get(key);
     
-    csv += row.join(',') + '\n';
+    request.onsuccess = () => {
+      resolve(request.result ? request.result.value : defaultValue);
+    };
+    request.onerror = () => reject(request.error);
   });
-  
-  return csv;
 }
 
+/**
+ * Set a sync metadata value
+ * @param {string} key - Metadata key
+ * @param {*} value - Metadata value
+ * @returns {Promise<void>}
+ */
+export async function setSyncMeta(key, value) {
+  return new Promise((resolve, reject) => {
+    const store = transaction(STORES.SYNC_META, 'readwrite');
+    const request = store.put({ key, value });
+    
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// ============================================
+// DATA EXPORT/IMPORT
+// ============================================
+
+/**
+ * Export all data to JSON (see EXPORT_FORMAT.md)
+ * @returns {Promise<Object>}
+ */
+export async function exportAllData() {
+  return createBackup({
+    habits: await getAllHabits(true),
+    completions: await getAllCompletions(),
+    settings: await getAllSettings()
+  });
+}
+
+/**
+ * Export data to CSV: habits.csv with each habit's settings and
+ * completions.csv with one row per habit and day
+ * @returns {Promise<Map<string, string>>} - CSV text by file name
+ */
+export async function exportToCSV() {
+  return buildCSVFiles(await exportAllData());
+}
+
+// Identity and position a matched habit keeps from the local copy
+const IMPORT_KEPT_FIELDS = ['uuid', 'createdAt', 'order'];
+
 /**
  * Import data from JSON
+ * By default the backup is merged into what's here: habits are matched by
+ * UUID, then by name, and completions by (habit, date). A matched habit
+ * takes the backup's settings; of two different records for the same day
+ * the more recently changed one wins.
  * @param {Object} data - Exported data object
- * @returns {Promise<void>}
+ * @param {Object} options
+ * @param {boolean} options.replace - Delete all habits and completions first
+ * @returns {Promise<Object>} - Report: added/updated/skipped counts for habits
+ *   and completions, plus the changes made ({ created, updated, completions })
  */
-export async function importData(data) {
-  if (!data.habits || !data.completions) {
-    throw new Error('Invalid import data format');
+export async function importData(data, { replace = false } = {}) {
+  // Older formats are migrated first; throws naming an invalid record
+  const backup = readBackup(data);
+  
+  if (replace) {
+    await clearStores([STORES.HABITS, STORES.COMPLETIONS]);
   }
   
-  // Clear existing data
-  await clearAllData();
+  const report = {
+    habits: { added: 0, updated: 0, skipped: 0 },
+    completions: { added: 0, updated: 0, skipped: 0 },
+    changes: { created: [], updated: [], completions: [] }
+  };
   
-  // Import habits
-  for (const habit of data.habits) {
-    const { id, ...habitData } = habit;
-    await createHabit(habitData);
-  }
+  // Import habits, remembering which local habit each backup ID became
+  const unmatched = new Set(await getAllHabits(true));
+  const habitIdMap = new Map();
   
-  // We need to re-map habit IDs since they might be different
-  // For simplicity, this assumes habits are imported in the same order
-  const newHabits = await getAllHabits(true);
-  const habitIdMap = {};
-  data.habits.forEach((oldHabit, index) => {
-    if (newHabits[index]) {
-      habitIdMap[oldHabit.id] = newHabits[index].id;
+  for (const habit of backup.habits) {
+    const { id, ...fields } = habit;
+    const match = findMatchingHabit(unmatched, fields);
+    
+    if (!match) {
+      // Kept in place when replacing, added at the end when merging
+      if (!replace) delete fields.order;
+      const newId = await createHabit(fields);
+      habitIdMap.set(id, newId);
+      report.habits.added++;
+      report.changes.created.push(newId);
+      continue;
     }
-  });
+    
+    unmatched.delete(match);
+    habitIdMap.set(id, match.id);
+    
+    const changed = Object.keys(fields)
+      .filter(key => !IMPORT_KEPT_FIELDS.includes(key) && !isSameValue(fields[key], match[key]));
+    if (changed.length === 0) {
+      report.habits.skipped++;
+      continue;
+    }
+    
+    const updated = { ...match };
+    changed.forEach(key => { updated[key] = fields[key]; });
+    await updateHabit(updated);
+    report.habits.updated++;
+    report.changes.updated.push(match.id);
+  }
   
-  // Import completions with mapped IDs
-  for (const completion of data.completions) {
-    const newHabitId = habitIdMap[completion.habitId];
-    if (newHabitId) {
-      const store = transaction(STORES.COMPLETIONS, 'readwrite');
-      store.add({
-        habitId: newHabitId,
-        date: completion.date,
-        timestamp: completion.timestamp,
-        value: completion.value
-      });
+  // Import completions, one per habit and day
+  const records = new Map((await getAllCompletions()).map(c => [`${c.habitId}|${c.date}`, c]));
+  const writes = new Map();
+  
+  for (const completion of backup.completions) {
+    const habitId = habitIdMap.get(completion.habitId);
+    
+    const key = `${habitId}|${completion.date}`;
+    const current = records.get(key);
+    const timestamp = completion.timestamp || '';
+    // Keeps the local ID and sync state of the record it replaces
+    const { value, status, note, ...kept } = current || {};
+    const record = {
+      ...kept,
+      habitId,
+      date: completion.date,
+      timestamp: timestamp || new Date().toISOString(),
+      value: completion.value ?? null,
+      ...(completion.status && { status: completion.status }),
+      ...(completion.note && { note: completion.note })
+    };
+    
+    if (current && (isSameCompletion(current, record) || !(timestamp > (current.timestamp || '')))) {
+      report.completions.skipped++;
+      continue;
     }
+    
+    report.completions[current ? 'updated' : 'added']++;
+    records.set(key, record);
+    writes.set(key, record);
   }
   
-  // Import settings
-  if (data.settings) {
-    for (const [key, value] of Object.entries(data.settings)) {
+  await putCompletions([...writes.values()]);
+  report.changes.completions = [...writes.values()].map(({ habitId, date }) => ({ habitId, date }));
+  
+  // Settings come along only when replacing - a merge keeps this device's
+  if (replace) {
+    for (const [key, value] of Object.entries(backup.settings || {})) {
       await setSetting(key, value);
     }
   }
+  
+  return report;
 }
 
 /**
- * Clear all data
- * @returns {Promise<void>}
+ * Find the habit an imported one corresponds to - same UUID, or else
+ * the same name (ignoring case)
  */
-export async function clearAllData() {
+function findMatchingHabit(habits, imported) {
+  const name = String(imported.name || '').trim().toLowerCase();
+  let byName = null;
+  
+  for (const habit of habits) {
+    if (imported.uuid && habit.uuid === imported.uuid) return habit;
+    if (!byName && name && habit.name.trim().toLowerCase() === name) byName = habit;
+  }
+  return byName;
+}
+
+function isSameCompletion(a, b) {
+  return ['value', 'status', 'note'].every(key => isSameValue(a[key], b[key]));
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Write completion records in one transaction
+ */
+function putCompletions(records) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.COMPLETIONS, 'readwrite');
+    const store = tx.objectStore(STORES.COMPLETIONS);
+    
+    records.forEach(record => store.put(record));
+    
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+/**
+ * Clear some of the stores
+ */
+function clearStores(names) {
   return new Promise((resolve, reject) => {
-    const tx = db.transaction([STORES.HABITS, STORES.COMPLETIONS, STORES.SETTINGS], 'readwrite');
+    const tx = db.transaction(names, 'readwrite');
     
-    tx.objectStore(STORES.HABITS).clear();
-    tx.objectStore(STORES.COMPLETIONS).clear();
-    tx.objectStore(STORES.SETTINGS).clear();
+    names.forEach(name => tx.objectStore(name).clear());
     
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
   });
 }
 
+/**
+ * Clear all data
+ * @returns {Promise<void>}
+ */
+export async function clearAllData() {
+  return clearStores(Object.values(STORES));
+}
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
 /**
- * Format date to YYYY-MM-DD
- * @param {Date} date
+ * Generate a stable UUID for a new habit
  * @returns {string}
  */
-function formatDate(date) {
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+function generateUUID() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.random() * 16 | 0;
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+  });
 }
-
-// Export the formatDate utility
-export { formatDate };
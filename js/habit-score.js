@@ -8,6 +8,14 @@
  * 2. Decrease (decay) when habits are missed
  * 3. Not reset to zero after a single miss (unlike "don't break the chain")
  * 4. Account for the frequency/schedule of the habit
+ * 5. For measurable habits, move in proportion to progress toward the target
+ * 6. Judge "X times per week / month / N days" habits per period, not per day
+ * 7. Treat skipped days (sick, travelling) and paused date ranges
+ *    (holidays) as neutral - neither a completion nor a miss
+ *
+ * All functions take the habit's completion records ({ date, value, status }).
+ * The backend's calendar feed loads this file too (through ics.js), so it
+ * must not use browser APIs.
  */
 
 // Constants for the scoring algorithm
@@ -16,16 +24,122 @@ const SCORE_DECREASE = 0.035;  // ~3.5% decrease per miss
 const MAX_SCORE = 1.0;         // Maximum score (100%)
 const MIN_SCORE = 0.0;         // Minimum score (0%)
 
+// ============================================
+// Progress
+// ============================================
+
+/**
+ * Check if a habit is tracked with a number rather than yes/no
+ * 
+ * @param {Object} habit - Habit object
+ * @returns {boolean}
+ */
+export function isMeasurable(habit) {
+  return habit.type === 'measurable';
+}
+
+/**
+ * How far a day's value gets toward the habit's target
+ * 
+ * @param {Object} habit - Habit object with type/target settings
+ * @param {number|undefined} value - Value entered for the day (undefined if none)
+ * @returns {number} - Progress between 0 and 1 (1 = target met)
+ */
+export function getProgress(habit, value) {
+  if (value === undefined || value === null) return 0;
+  
+  if (!isMeasurable(habit)) {
+    return value > 0 ? 1 : 0;
+  }
+  
+  const target = habit.target ?? 1;
+  
+  if (habit.targetType === 'at_most') {
+    // Staying at or under the limit is success, going over fades out
+    if (value <= target) return 1;
+    return target > 0 ? target / value : 0;
+  }
+  
+  if (target <= 0) return value > 0 ? 1 : 0;
+  return Math.min(1, value / target);
+}
+
+/**
+ * Check if a completion record marks the day as skipped
+ * 
+ * @param {Object|undefined} completion - Completion record
+ * @returns {boolean}
+ */
+export function isSkipped(completion) {
+  return completion?.status === 'skipped';
+}
+
+/**
+ * Map each date to its progress (skipped days are left out)
+ * 
+ * @param {Array<{date: string, value: number}>} completions - Completion records
+ * @param {Object} habit - Habit object
+ * @returns {Map<string, number>}
+ */
+export function getProgressByDate(completions, habit) {
+  return new Map(completions
+    .filter(c => !isSkipped(c))
+    .map(c => [c.date, getProgress(habit, c.value)]));
+}
+
+// Dates marked as skipped
+function getSkippedDates(completions) {
+  return new Set(completions.filter(isSkipped).map(c => c.date));
+}
+
+/**
+ * Dates on which the habit's target was fully met
+ * 
+ * @param {Array<{date: string, value: number}>} completions - Completion records
+ * @param {Object} habit - Habit object
+ * @returns {Array<string>}
+ */
+export function getCompletedDates(completions, habit) {
+  return completions
+    .filter(c => !isSkipped(c) && getProgress(habit, c.value) >= 1)
+    .map(c => c.date);
+}
+
+/**
+ * Move the score one scheduled day forward
+ * Full progress gives the whole increase, none the whole decrease,
+ * partial progress a mix of both.
+ */
+function updateScore(score, progress) {
+  // Using a logistic-like curve to make it harder to reach 100%
+  const increase = SCORE_INCREASE * (1 - score * 0.5) * progress;
+  // Higher scores decay faster
+  const decrease = SCORE_DECREASE * (0.5 + score * 0.5) * (1 - progress);
+  return Math.max(MIN_SCORE, Math.min(MAX_SCORE, score + increase - decrease));
+}
+
+// ============================================
+// Scoring
+// ============================================
+
 /**
  * Calculate the habit strength score based on completion history
  * 
- * @param {Array<string>} completedDates - Array of dates (YYYY-MM-DD) when habit was completed
+ * @param {Array<{date: string, value: number}>} completions - Completion records
  * @param {Object} habit - Habit object with frequency settings
  * @param {number} daysToAnalyze - Number of days to look back (default: 60)
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday), for weekly habits
  * @returns {number} - Score between 0 and 1
  */
-export function calculateHabitScore(completedDates, habit, daysToAnalyze = 60) {
-  const completedSet = new Set(completedDates);
+export function calculateHabitScore(completions, habit, daysToAnalyze = 60, weekStartsOn = 0) {
+  const periodRule = getPeriodRule(habit, weekStartsOn);
+  if (periodRule) {
+    const history = calculatePeriodScoreHistory(completions, periodRule, habit, daysToAnalyze);
+    return history[history.length - 1].score;
+  }
+  
+  const progressByDate = getProgressByDate(completions, habit);
+  const skippedDates = getSkippedDates(completions);
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
@@ -40,24 +154,13 @@ export function calculateHabitScore(completedDates, habit, daysToAnalyze = 60) {
     // Check if this day was scheduled based on habit frequency
     const isScheduled = isDayScheduled(date, habit);
     
-    if (!isScheduled) {
-      // Non-scheduled days don't affect the score
+    if (!isScheduled || skippedDates.has(dateStr)) {
+      // Non-scheduled and skipped days don't affect the score
       continue;
     }
     
-    const wasCompleted = completedSet.has(dateStr);
-    
-    if (wasCompleted) {
-      // Increase score on completion
-      // Using a logistic-like curve to make it harder to reach 100%
-      const increase = SCORE_INCREASE * (1 - score * 0.5);
-      score = Math.min(MAX_SCORE, score + increase);
-    } else {
-      // Decrease score on miss
-      // Higher scores decay faster
-      const decrease = SCORE_DECREASE * (0.5 + score * 0.5);
-      score = Math.max(MIN_SCORE, score - decrease);
-    }
+    // Increase score on completion, decrease on miss
+    score = updateScore(score, progressByDate.get(dateStr) || 0);
   }
   
   return score;
@@ -71,32 +174,49 @@ export function calculateHabitScore(completedDates, habit, daysToAnalyze = 60) {
  * @returns {boolean}
  */
 export function isDayScheduled(date, habit) {
+  // Paused days (a holiday) are never scheduled
+  if (isPaused(date, habit)) return false;
+  
+  const startStr = habit.createdAt ? formatDate(new Date(habit.createdAt)) : null;
+  return isOnSchedule(formatDate(date), habit, startStr);
+}
+
+/**
+ * Check if a habit's frequency puts it on a day (pauses aside)
+ * Works on YYYY-MM-DD strings, so the answer doesn't depend on the time
+ * zone or DST - the calendar export (ics.js) uses it too.
+ * 
+ * @param {string} dateStr - The day to check (YYYY-MM-DD)
+ * @param {Object} habit - Habit with frequency settings
+ * @param {string|null} startStr - The habit's first day (YYYY-MM-DD), which "every X days" counts from
+ * @returns {boolean}
+ */
+export function isOnSchedule(dateStr, habit, startStr) {
   const frequency = habit.frequency || 'daily';
   
   switch (frequency) {
     case 'daily':
       return true;
       
-    case 'weekly': {
-      // X times per week - we consider all days as "schedulable"
-      // but track against the weekly target
+    case 'weekly':
+    case 'period': {
+      // X times per week / month / N days - any day can count, the
+      // target is checked per period (see getPeriodRule)
       return true;
     }
     
     case 'interval': {
       // Every X days
+      if (!startStr) return false;
       const interval = habit.interval || 2;
-      const habitStartDate = new Date(habit.createdAt);
-      habitStartDate.setHours(0, 0, 0, 0);
-      
-      const daysSinceStart = Math.floor((date - habitStartDate) / (1000 * 60 * 60 * 24));
+      const daysSinceStart = daysBetween(parseDate(startStr), parseDate(dateStr));
       return daysSinceStart >= 0 && daysSinceStart % interval === 0;
     }
     
     case 'specific_days': {
       // Specific days of the week
       const days = habit.specificDays || [0, 1, 2, 3, 4, 5, 6];
-      return days.includes(date.getDay());
+      return days.includes(parseDate(dateStr).getDay());
     }
     
     default:
@@ -104,18 +224,51 @@ export function isDayScheduled(date, habit) {
   }
 }
 
+/**
+ * Get the pause a habit is in on a date
+ * 
+ * @param {Object} habit - Habit with optional pauses ([{ start, end }], inclusive YYYY-MM-DD)
+ * @param {Date|string} date - The date to check
+ * @returns {{start: string, end: string}|null}
+ */
+export function getPause(habit, date) {
+  const dateStr = typeof date === 'string' ? date : formatDate(date);
+  return (habit.pauses || []).find(pause => dateStr >= pause.start && dateStr <= pause.end) || null;
+}
+
+/**
+ * Check if a habit is paused on a date
+ * 
+ * @param {Date|string} date - The date to check
+ * @param {Object} habit - Habit object
+ * @returns {boolean}
+ */
+export function isPaused(date, habit) {
+  return getPause(habit, date) !== null;
+}
+
 /**
  * Calculate current streak for a habit
+ * Only days with the target fully met count. For period habits (weekly,
+ * monthly, every N days) the streak is in periods that met the target.
  * 
- * @param {Array<string>} completedDates - Array of completed dates
+ * @param {Array<{date: string, value: number}>} completions - Completion records
  * @param {Object} habit - Habit object
- * @returns {number} - Current streak count
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday), for weekly habits
+ * @returns {number} - Current streak count (days, or periods - see getStreakUnit)
  */
-export function calculateStreak(completedDates, habit) {
+export function calculateStreak(completions, habit, weekStartsOn = 0) {
+  const periodRule = getPeriodRule(habit, weekStartsOn);
+  if (periodRule) {
+    return calculatePeriodStreak(completions, periodRule, habit);
+  }
+  
+  const completedDates = getCompletedDates(completions, habit);
   if (completedDates.length === 0) return 0;
   
   const sortedDates = [...completedDates].sort().reverse();
   const completedSet = new Set(sortedDates);
+  const skippedDates = getSkippedDates(completions);
   
   const today = new Date();
   today.setHours(0, 0, 0, 0);
@@ -131,10 +284,11 @@ export function calculateStreak(completedDates, habit) {
     currentDate.setDate(currentDate.getDate() - 1);
   }
   
-  // Count consecutive scheduled days that were completed
+  // Count consecutive scheduled days that were completed (skipped days
+  // neither break nor extend the streak)
   while (true) {
     const dateStr = formatDate(currentDate);
-    const isScheduled = isDayScheduled(currentDate, habit);
+    const isScheduled = isDayScheduled(currentDate, habit) && !skippedDates.has(dateStr);
     
     if (isScheduled) {
       if (completedSet.has(dateStr)) {
@@ -158,15 +312,23 @@ export function calculateStreak(completedDates, habit) {
 /**
  * Calculate best streak ever for a habit
  * 
- * @param {Array<string>} completedDates - Array of completed dates
+ * @param {Array<{date: string, value: number}>} completions - Completion records
  * @param {Object} habit - Habit object
- * @returns {number} - Best streak count
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday), for weekly habits
+ * @returns {number} - Best streak count (days, or periods - see getStreakUnit)
  */
-export function calculateBestStreak(completedDates, habit) {
+export function calculateBestStreak(completions, habit, weekStartsOn = 0) {
+  const periodRule = getPeriodRule(habit, weekStartsOn);
+  if (periodRule) {
+    return calculateBestPeriodStreak(completions, periodRule, habit);
+  }
+  
+  const completedDates = getCompletedDates(completions, habit);
   if (completedDates.length === 0) return 0;
   
   const sortedDates = [...completedDates].sort();
   const completedSet = new Set(sortedDates);
+  const skippedDates = getSkippedDates(completions);
   
   if (sortedDates.length === 0) return 0;
   
@@ -180,7 +342,7 @@ export function calculateBestStreak(completedDates, habit) {
   
   while (currentDate <= endDate) {
     const dateStr = formatDate(currentDate);
-    const isScheduled = isDayScheduled(currentDate, habit);
+    const isScheduled = isDayScheduled(currentDate, habit) && !skippedDates.has(dateStr);
     
     if (isScheduled) {
       if (completedSet.has(dateStr)) {
@@ -198,25 +360,34 @@ export function calculateBestStreak(completedDates, habit) {
 }
 
 /**
- * Calculate total completions for a habit
+ * Calculate total completions for a habit (days with the target met)
  * 
- * @param {Array<string>} completedDates - Array of completed dates
+ * @param {Array<{date: string, value: number}>} completions - Completion records
+ * @param {Object} habit - Habit object
  * @returns {number} - Total count
  */
-export function calculateTotal(completedDates) {
-  return completedDates.length;
+export function calculateTotal(completions, habit) {
+  return getCompletedDates(completions, habit).length;
 }
 
 /**
  * Calculate completion rate for a period
+ * Partial progress on measurable habits counts partially.
  * 
- * @param {Array<string>} completedDates - Array of completed dates
+ * @param {Array<{date: string, value: number}>} completions - Completion records
  * @param {Object} habit - Habit object
  * @param {number} days - Number of days to analyze
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday), for weekly habits
  * @returns {number} - Rate between 0 and 1
  */
-export function calculateCompletionRate(completedDates, habit, days = 30) {
-  const completedSet = new Set(completedDates);
+export function calculateCompletionRate(completions, habit, days = 30, weekStartsOn = 0) {
+  const periodRule = getPeriodRule(habit, weekStartsOn);
+  if (periodRule) {
+    return calculatePeriodCompletionRate(completions, periodRule, habit, days);
+  }
+  
+  const progressByDate = getProgressByDate(completions, habit);
+  const skippedDates = getSkippedDates(completions);
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
@@ -228,11 +399,9 @@ export function calculateCompletionRate(completedDates, habit, days = 30) {
     date.setDate(date.getDate() - i);
     const dateStr = formatDate(date);
     
-    if (isDayScheduled(date, habit)) {
+    if (isDayScheduled(date, habit) && !skippedDates.has(dateStr)) {
       scheduledDays++;
-      if (completedSet.has(dateStr)) {
-        completedDays++;
-      }
+      completedDays += progressByDate.get(dateStr) || 0;
     }
   }
   
@@ -242,12 +411,13 @@ export function calculateCompletionRate(completedDates, habit, days = 30) {
 /**
  * Get weekly completion count
  * 
- * @param {Array<string>} completedDates - Array of completed dates
+ * @param {Array<{date: string, value: number}>} completions - Completion records
+ * @param {Object} habit - Habit object
  * @param {Date} weekStart - Start of the week
  * @returns {number} - Number of completions in that week
  */
-export function getWeeklyCompletions(completedDates, weekStart) {
-  const completedSet = new Set(completedDates);
+export function getWeeklyCompletions(completions, habit, weekStart) {
+  const completedSet = new Set(getCompletedDates(completions, habit));
   let count = 0;
   
   for (let i = 0; i < 7; i++) {
@@ -264,13 +434,20 @@ export function getWeeklyCompletions(completedDates, weekStart) {
 /**
  * Calculate scores over time for charting
  * 
- * @param {Array<string>} completedDates - Array of completed dates
+ * @param {Array<{date: string, value: number}>} completions - Completion records
  * @param {Object} habit - Habit object
  * @param {number} days - Number of days to generate
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday), for weekly habits
  * @returns {Array<{date: string, score: number}>}
  */
-export function calculateScoreHistory(completedDates, habit, days = 30) {
-  const completedSet = new Set(completedDates);
+export function calculateScoreHistory(completions, habit, days = 30, weekStartsOn = 0) {
+  const periodRule = getPeriodRule(habit, weekStartsOn);
+  if (periodRule) {
+    return calculatePeriodScoreHistory(completions, periodRule, habit, days);
+  }
+  
+  const progressByDate = getProgressByDate(completions, habit);
+  const skippedDates = getSkippedDates(completions);
   const today = new Date();
   today.setHours(0, 0, 0, 0);
   
@@ -283,18 +460,10 @@ export function calculateScoreHistory(completedDates, habit, days = 30) {
     date.setDate(date.getDate() - i);
     const dateStr = formatDate(date);
     
-    const isScheduled = isDayScheduled(date, habit);
+    const isScheduled = isDayScheduled(date, habit) && !skippedDates.has(dateStr);
     
     if (isScheduled) {
-      const wasCompleted = completedSet.has(dateStr);
-      
-      if (wasCompleted) {
-        const increase = SCORE_INCREASE * (1 - score * 0.5);
-        score = Math.min(MAX_SCORE, score + increase);
-      } else {
-        const decrease = SCORE_DECREASE * (0.5 + score * 0.5);
-        score = Math.max(MIN_SCORE, score - decrease);
-      }
+      score = updateScore(score, progressByDate.get(dateStr) || 0);
     }
     
     history.push({
@@ -309,22 +478,290 @@ export function calculateScoreHistory(completedDates, habit, days = 30) {
 /**
  * Get all habit statistics
  * 
- * @param {Array<string>} completedDates - Array of completed dates
+ * @param {Array<{date: string, value: number}>} completions - Completion records
  * @param {Object} habit - Habit object
+ * @param {number} weekStartsOn - First day of the week (0 = Sunday), for weekly habits
  * @returns {Object} - Object containing all statistics
  */
-export function getHabitStats(completedDates, habit) {
+export function getHabitStats(completions, habit, weekStartsOn = 0) {
+  return {
+    score: calculateHabitScore(completions, habit, 60, weekStartsOn),
+    currentStreak: calculateStreak(completions, habit, weekStartsOn),
+    bestStreak: calculateBestStreak(completions, habit, weekStartsOn),
+    streakUnit: getStreakUnit(habit),
+    total: calculateTotal(completions, habit),
+    completionRate: calculateCompletionRate(completions, habit, 30, weekStartsOn),
+    scoreHistory: calculateScoreHistory(completions, habit, 30, weekStartsOn)
+  };
+}
+
+// ============================================
+// Period habits ("X times per week / month / N days")
+// ============================================
+
+/**
+ * How a habit's target is counted, for habits judged per period
+ * rather than per day: weekly habits, and `frequency: 'period'` ones
+ * ("X times per month", "X times in N days")
+ * 
+ * @returns {{ target: number, getStart: function(Date): Date, getEnd: function(Date): Date }|null}
+ *   getStart gives the start of the period a day is in, getEnd the
+ *   start of the following period. Null for per-day habits.
+ */
+function getPeriodRule(habit, weekStartsOn = 0) {
+  if (habit.frequency === 'weekly') {
+    return {
+      target: habit.timesPerWeek || 3,
+      getStart: date => getWeekStart(date, weekStartsOn),
+      getEnd: start => addDays(start, 7)
+    };
+  }
+  
+  if (habit.frequency !== 'period') return null;
+  
+  const target = habit.timesPerPeriod || 1;
+  
+  if (habit.periodType === 'month') {
+    return {
+      target,
+      getStart: date => new Date(date.getFullYear(), date.getMonth(), 1),
+      getEnd: start => new Date(start.getFullYear(), start.getMonth() + 1, 1)
+    };
+  }
+  
+  // Every N days, counted in back-to-back blocks from the day the habit was created
+  const length = habit.periodDays || 7;
+  const anchor = habit.createdAt ? new Date(habit.createdAt) : new Date(0);
+  anchor.setHours(0, 0, 0, 0);
+  
   return {
-    score: calculateHabitScore(completedDates, habit),
-    currentStreak: calculateStreak(completedDates, habit),
-    bestStreak: calculateBestStreak(completedDates, habit),
-    total: calculateTotal(completedDates),
-    completionRate: calculateCompletionRate(completedDates, habit),
-    scoreHistory: calculateScoreHistory(completedDates, habit)
+    target,
+    getStart: date => addDays(anchor, Math.floor(daysBetween(anchor, date) / length) * length),
+    getEnd: start => addDays(start, length)
   };
 }
 
-// Utility function
+/**
+ * What streaks of a habit are counted in
+ * 
+ * @param {Object} habit - Habit object
+ * @returns {'day'|'week'|'month'|'period'}
+ */
+export function getStreakUnit(habit) {
+  if (habit.frequency === 'weekly') return 'week';
+  if (habit.frequency === 'period') return habit.periodType === 'month' ? 'month' : 'period';
+  return 'day';
+}
+
+/**
+ * Score history for a period habit
+ * Each period has `target` slots. Completions fill slots as they
+ * happen; slots still empty when the period ends count as misses.
+ * A slot weighs as many days as it stands for (7 / 3 for 3x a week),
+ * so a habit done twice a month grows about as fast as a daily one.
+ */
+function calculatePeriodScoreHistory(completions, rule, habit, days) {
+  const progressByDate = getProgressByDate(completions, habit);
+  const isExcused = getExcusedCheck(completions, habit);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  const firstDay = addDays(today, -(days - 1));
+  
+  // Completions earlier in the first period still count toward it
+  let filled = getPeriodProgress(progressByDate, rule.getStart(firstDay), firstDay);
+  
+  const history = [];
+  let score = 0; // Score at the start of the current period
+  
+  for (let i = 0; i < days; i++) {
+    const date = addDays(firstDay, i);
+    const periodStart = rule.getStart(date);
+    
+    if (i > 0 && periodStart.getTime() === date.getTime()) {
+      filled = 0;
+    }
+    filled += progressByDate.get(formatDate(date)) || 0;
+    
+    const periodEnd = rule.getEnd(periodStart);
+    const periodOver = periodEnd <= addDays(date, 1);
+    const slots = getPeriodTarget(rule, isExcused, periodStart, periodEnd);
+    const weight = Math.max(1, Math.round(daysBetween(periodStart, periodEnd) / rule.target));
+    const current = scorePeriodSlots(score, filled, slots, weight, periodOver);
+    if (periodOver) {
+      score = current;
+    }
+    
+    history.push({
+      date: formatDate(date),
+      score: current
+    });
+  }
+  
+  return history;
+}
+
+/**
+ * Apply one period's slots to a score
+ * Before the period is over, empty slots aren't misses yet.
+ */
+function scorePeriodSlots(score, filled, slots, weight, periodOver) {
+  for (let i = 0; i < slots; i++) {
+    const progress = Math.max(0, Math.min(1, filled - i));
+    if (progress === 0 && !periodOver) break;
+    for (let j = 0; j < weight; j++) {
+      score = updateScore(score, progress);
+    }
+  }
+  return score;
+}
+
+/**
+ * Current streak of periods that met the target
+ * The current period only adds to the streak once met - it isn't over
+ * yet. Fully skipped periods neither break nor extend the streak.
+ */
+function calculatePeriodStreak(completions, rule, habit) {
+  const progressByDate = getProgressByDate(completions, habit);
+  const isExcused = getExcusedCheck(completions, habit);
+  let start = rule.getStart(new Date());
+  
+  let streak = getPeriodStatus(progressByDate, isExcused, rule, start) === 'met' ? 1 : 0;
+  
+  // Don't go back more than a year
+  const limit = addDays(start, -365);
+  while (start > limit) {
+    start = rule.getStart(addDays(start, -1));
+    const status = getPeriodStatus(progressByDate, isExcused, rule, start);
+    if (status === 'missed') break;
+    if (status === 'met') streak++;
+  }
+  
+  return streak;
+}
+
+/**
+ * Longest run of periods that met the target
+ */
+function calculateBestPeriodStreak(completions, rule, habit) {
+  if (completions.length === 0) return 0;
+  
+  const progressByDate = getProgressByDate(completions, habit);
+  const isExcused = getExcusedCheck(completions, habit);
+  const firstDate = completions.map(c => c.date).sort()[0];
+  const lastStart = rule.getStart(new Date());
+  
+  let bestStreak = 0;
+  let currentStreak = 0;
+  
+  for (let start = rule.getStart(parseDate(firstDate)); start <= lastStart; start = rule.getEnd(start)) {
+    const status = getPeriodStatus(progressByDate, isExcused, rule, start);
+    if (status === 'met') {
+      currentStreak++;
+      bestStreak = Math.max(bestStreak, currentStreak);
+    } else if (status === 'missed') {
+      currentStreak = 0;
+    }
+  }
+  
+  return bestStreak;
+}
+
+/**
+ * Share of period targets met over the analysed days (the current
+ * period is only counted for what's been done so far)
+ */
+function calculatePeriodCompletionRate(completions, rule, habit, days) {
+  const progressByDate = getProgressByDate(completions, habit);
+  const isExcused = getExcusedCheck(completions, habit);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  
+  const currentStart = rule.getStart(today);
+  
+  let expected = 0;
+  let achieved = 0;
+  
+  for (let start = rule.getStart(addDays(today, -(days - 1))); start <= currentStart; start = rule.getEnd(start)) {
+    const end = rule.getEnd(start);
+    const target = getPeriodTarget(rule, isExcused, start, end);
+    const done = Math.min(target, getPeriodProgress(progressByDate, start, end));
+    achieved += done;
+    expected += start < currentStart ? target : done;
+  }
+  
+  return expected > 0 ? achieved / expected : 0;
+}
+
+/**
+ * Whether a period met its target, missed it, or was skipped entirely
+ * @returns {'met'|'missed'|'skipped'}
+ */
+function getPeriodStatus(progressByDate, isExcused, rule, start) {
+  const end = rule.getEnd(start);
+  const target = getPeriodTarget(rule, isExcused, start, end);
+  if (target === 0) return 'skipped';
+  return getPeriodProgress(progressByDate, start, end) >= target ? 'met' : 'missed';
+}
+
+/**
+ * A period's target, less the share of it that falls on skipped or
+ * paused days (3x a week with 3 days off leaves 2)
+ */
+function getPeriodTarget(rule, isExcused, start, end) {
+  const length = daysBetween(start, end);
+  let excused = 0;
+  for (let date = new Date(start); date < end; date.setDate(date.getDate() + 1)) {
+    if (isExcused(formatDate(date))) excused++;
+  }
+  return Math.round(rule.target * (length - excused) / length);
+}
+
+// Days that don't count for a period habit: skipped or paused
+function getExcusedCheck(completions, habit) {
+  const skippedDates = getSkippedDates(completions);
+  return dateStr => skippedDates.has(dateStr) || isPaused(dateStr, habit);
+}
+
+// Sum of daily progress over [start, end)
+function getPeriodProgress(progressByDate, start, end) {
+  let total = 0;
+  for (let date = new Date(start); date < end; date.setDate(date.getDate() + 1)) {
+    total += progressByDate.get(formatDate(date)) || 0;
+  }
+  return total;
+}
+
+// Utility functions
+function getWeekStart(date, weekStartsOn) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() - weekStartsOn + 7) % 7));
+  return start;
+}
+
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+// Whole days from one local midnight to another (DST-safe)
+function daysBetween(from, to) {
+  return Math.round((startOfDay(to) - startOfDay(from)) / (1000 * 60 * 60 * 24));
+}
+
+function startOfDay(date) {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+}
+
+function parseDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
 function formatDate(date) {
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, '0');
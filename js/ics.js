@@ -0,0 +1,260 @@
+/**
+ * iCalendar Export for Loop Habits
+ * Turns a backup (see EXPORT_FORMAT.md) into an .ics calendar: one
+ * all-day recurring event per habit, on the days isOnSchedule in
+ * habit-score.js puts it on, plus the logged days marked done or
+ * skipped. Used for the file download and the backend's feed, which
+ * loads this same file - so it must not use browser APIs.
+ */
+
+import { isOnSchedule } from './habit-score.js';
+
+const PRODUCT_ID = '-//Loop Habits//Habit Calendar//EN';
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Lines longer than this (in bytes) are folded, as RFC 5545 asks
+const MAX_LINE_LENGTH = 75;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build an iCalendar file for a backup
+ * Archived habits are left out.
+ * @param {Object} backup - Backup in the current format (habits, completions)
+ * @param {Object} options
+ * @param {string} options.name - Calendar name shown by calendar apps
+ * @param {string} options.timeZone - IANA zone the habits' start days are read in
+ * @returns {string} - .ics text
+ */
+export function buildCalendar(backup, { name = 'Loop Habits', timeZone = 'UTC' } = {}) {
+  const stamp = toDateTime(new Date());
+  const completionsByHabit = new Map();
+  backup.completions.forEach(completion => {
+    if (!completionsByHabit.has(completion.habitId)) completionsByHabit.set(completion.habitId, []);
+    completionsByHabit.get(completion.habitId).push(completion);
+  });
+
+  const events = backup.habits
+    .filter(habit => !habit.archived)
+    .flatMap(habit => habitEvents(habit, completionsByHabit.get(habit.id) || [], { stamp, timeZone }));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // How often subscribed calendars should check for changes
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * The habit's schedule as a recurring event, then one event per logged
+ * day - an override of the occurrence when the day is scheduled, or an
+ * event of its own when it's done on a day off
+ */
+function habitEvents(habit, completions, { stamp, timeZone }) {
+  const uid = `${habit.uuid || `habit-${habit.id}`}@loop-habits`;
+  const title = [habit.icon, habit.name].filter(Boolean).join(' ');
+  const created = habit.createdAt ? localDate(new Date(habit.createdAt), timeZone) : null;
+  const start = firstScheduledDay(habit, created || earliestDate(completions), created);
+  const paused = pausedDays(habit);
+
+  const events = [];
+
+  if (start) {
+    // "3 times a week" habits recur daily (any day counts), so say so
+    const summary = [title, describeSchedule(habit)].filter(Boolean).join(' · ');
+    const exceptions = paused.filter(date => date >= start);
+
+    events.push([
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toICSDate(start)}`,
+      `DTEND;VALUE=DATE:${toICSDate(addDays(start, 1))}`,
+      `RRULE:${buildRule(habit)}`,
+      ...(exceptions.length > 0 ? [`EXDATE;VALUE=DATE:${exceptions.map(toICSDate).join(',')}`] : []),
+      `SUMMARY:${escapeText(summary)}`,
+      ...(habit.question ? [`DESCRIPTION:${escapeText(habit.question)}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ]);
+  }
+
+  completions.forEach(completion => {
+    const mark = getMark(habit, completion);
+    if (!mark) return;
+
+    const isOccurrence = start && completion.date >= start && !paused.includes(completion.date) &&
+      isOnSchedule(completion.date, habit, created);
+    events.push([
+      'BEGIN:VEVENT',
+      isOccurrence ? `UID:${uid}` : `UID:${completion.date}-${uid}`,
+      `DTSTAMP:${stamp}`,
+      ...(isOccurrence ? [`RECURRENCE-ID;VALUE=DATE:${toICSDate(completion.date)}`] : []),
+      `DTSTART;VALUE=DATE:${toICSDate(completion.date)}`,
+      `DTEND;VALUE=DATE:${toICSDate(addDays(completion.date, 1))}`,
+      `SUMMARY:${escapeText(`${mark} ${title}`)}`,
+      ...(completion.note ? [`DESCRIPTION:${escapeText(completion.note)}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ]);
+  });
+
+  return events;
+}
+
+/**
+ * RRULE for a habit's frequency, matching isOnSchedule from DTSTART on
+ * Weekly and period habits can be done on any day (their target is per
+ * period), so like daily ones they recur every day.
+ */
+function buildRule(habit) {
+  switch (habit.frequency) {
+    case 'interval':
+      return `FREQ=DAILY;INTERVAL=${habit.interval || 2}`;
+    case 'specific_days': {
+      const days = habit.specificDays || [0, 1, 2, 3, 4, 5, 6];
+      return `FREQ=WEEKLY;BYDAY=${days.map(day => WEEKDAY_CODES[day]).join(',')}`;
+    }
+    default:
+      return 'FREQ=DAILY';
+  }
+}
+
+function describeSchedule(habit) {
+  switch (habit.frequency) {
+    case 'weekly':
+      return `${habit.timesPerWeek || 3} times a week`;
+    case 'period':
+      return habit.periodType === 'month'
+        ? `${habit.timesPerPeriod || 1} times a month`
+        : `${habit.timesPerPeriod || 1} times in ${habit.periodDays || 7} days`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * How a logged day shows up: ✓ when the target was met, the amount when
+ * a measurable habit fell short, null for a day with only a note
+ */
+function getMark(habit, completion) {
+  if (completion.status === 'skipped') return '⏭';
+  if (completion.value === null || completion.value === undefined) return null;
+
+  if (habit.type !== 'measurable') return completion.value > 0 ? '✓' : null;
+
+  const target = habit.target ?? 1;
+  const met = habit.targetType === 'at_most'
+    ? completion.value <= target
+    : (target <= 0 ? completion.value > 0 : completion.value >= target);
+  return met ? '✓' : `${completion.value}${habit.unit ? ` ${habit.unit}` : ''} ·`;
+}
+
+// ============================================
+// SCHEDULE
+// ============================================
+
+/**
+ * The first day from `from` the habit is scheduled on (its DTSTART)
+ * "Every N days" counts from the day the habit was created, as in the
+ * app, so without that day it has no schedule.
+ */
+function firstScheduledDay(habit, from, created) {
+  if (!from) return null;
+  if (habit.frequency === 'interval') return created;
+
+  // Any schedule has a day within a week (or none at all)
+  for (let i = 0, date = from; i < 7; i++, date = addDays(date, 1)) {
+    if (isOnSchedule(date, habit, created)) return date;
+  }
+  return null;
+}
+
+// Every day of every pause (pauses are inclusive YYYY-MM-DD ranges)
+function pausedDays(habit) {
+  const days = [];
+  (habit.pauses || []).forEach(({ start, end }) => {
+    for (let date = start; date <= end; date = addDays(date, 1)) days.push(date);
+  });
+  return days;
+}
+
+function earliestDate(completions) {
+  return completions.reduce((earliest, { date }) => (!earliest || date < earliest ? date : earliest), null);
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+// YYYY-MM-DD of an instant in a time zone
+function localDate(instant, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(instant)
+    .forEach(({ type, value }) => { parts[type] = value; });
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Dates are handled as UTC midnights so DST never shifts a day
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function toICSDate(date) {
+  return date.replace(/-/g, '');
+}
+
+function toDateTime(instant) {
+  return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split a line into 75-byte pieces, continued with a leading space
+ * Never cuts a character (emoji icons are several bytes) in half.
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= MAX_LINE_LENGTH) return line;
+
+  const pieces = [];
+  let piece = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts too
+    const limit = pieces.length === 0 ? MAX_LINE_LENGTH : MAX_LINE_LENGTH - 1;
+    if (size + charSize > limit) {
+      pieces.push(piece);
+      piece = '';
+      size = 0;
+    }
+    piece += char;
+    size += charSize;
+  }
+  pieces.push(piece);
+  return pieces.join('\r\n ');
+}
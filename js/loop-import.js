@@ -0,0 +1,352 @@
+/**
+ * Loop Habit Tracker Import
+ * Reads the backups of the Android app this one is modelled on - the
+ * CSV export (a ZIP of Habits.csv plus one Checkmarks.csv per habit) and
+ * the SQLite .db backup - and maps them onto our habit model.
+ */
+
+import { isZip, unzip } from './zip.js';
+import { parseCSV } from './utils.js';
+
+// sql.js 1.10.3 ships with the app (js/vendor) and is precached, so .db
+// backups import offline; it's only loaded when someone imports one
+const SQL_JS_URL = '/js/vendor/sql.js/sql-wasm.js';
+const SQL_WASM_URL = '/js/vendor/sql.js/sql-wasm.wasm';
+
+const SQLITE_HEADER = 'SQLite format 3';
+
+// Loop's palette, indexed by the colour number stored in its database
+const LOOP_PALETTE = [
+  '#D32F2F', '#E64A19', '#F57C00', '#FF8F00', '#F9A825', '#AFB42B', '#7CB342',
+  '#388E3C', '#00897B', '#00ACC1', '#039BE5', '#1976D2', '#303F9F', '#5E35B1',
+  '#8E24AA', '#D81B60', '#5D4037', '#303030', '#757575', '#AAAAAA'
+];
+
+// The colours offered by our habit form
+export const HABIT_COLORS = [
+  '#e74c3c', '#e91e63', '#9c27b0', '#673ab7', '#3f51b5', '#2196f3', '#03a9f4', '#00bcd4',
+  '#009688', '#4caf50', '#8bc34a', '#ffeb3b', '#ffc107', '#ff9800', '#ff5722', '#795548'
+];
+
+// Checkmark values: Loop stores YES_AUTO (1) for days it filled in itself
+const CHECKMARK_DONE = 2;
+const CHECKMARK_SKIP = 3;
+const CHECKMARK_NAMES = { YES_MANUAL: CHECKMARK_DONE, SKIP: CHECKMARK_SKIP };
+
+// Numeric habits store their values multiplied by 1000
+const NUMERIC_SCALE = 1000;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_QUESTION_LENGTH = 200;
+const MAX_UNIT_LENGTH = 20;
+
+/**
+ * Whether a file looks like a Loop backup rather than one of our JSON exports
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} filename
+ * @returns {boolean}
+ */
+export function isLoopBackup(buffer, filename) {
+  return isZip(buffer) || isSQLite(buffer) || /\.csv$/i.test(filename);
+}
+
+/**
+ * Read a Loop backup
+ * Nothing is saved - the caller previews the result and imports it.
+ * @param {ArrayBuffer} buffer - ZIP, SQLite or Habits.csv contents
+ * @returns {Promise<Array<{habit: Object, completions: Array<Object>, warnings: Array<string>}>>}
+ */
+export async function parseLoopBackup(buffer) {
+  if (isSQLite(buffer)) {
+    return await parseDatabase(buffer);
+  }
+
+  const decoder = new TextDecoder();
+  const files = isZip(buffer)
+    ? await unzip(buffer)
+    : new Map([['Habits.csv', new Uint8Array(buffer)]]);
+
+  const texts = new Map();
+  files.forEach((data, path) => texts.set(path, decoder.decode(data)));
+  return parseCSVBundle(texts);
+}
+
+function isSQLite(buffer) {
+  const header = new TextDecoder().decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 15)));
+  return header === SQLITE_HEADER;
+}
+
+// ============================================
+// CSV EXPORT
+// ============================================
+
+/**
+ * Habits.csv lists the habits, and each habit has a folder named after
+ * its position ("001 Meditate/Checkmarks.csv") holding its history.
+ * Older exports only have a wide Checkmarks.csv with a column per habit.
+ */
+function parseCSVBundle(texts) {
+  const habitsPath = [...texts.keys()].find(path => baseName(path) === 'Habits.csv');
+  if (!habitsPath) {
+    throw new Error('No Habits.csv found - is this a Loop Habit Tracker export?');
+  }
+
+  const [header, ...rows] = parseCSV(texts.get(habitsPath));
+  if (!header?.includes('Name')) {
+    throw new Error('Habits.csv has no Name column');
+  }
+  const column = columnReader(header);
+
+  // Per-habit folders by the number they start with, plus the wide file
+  const folders = new Map();
+  let wide = null;
+  for (const [path, text] of texts) {
+    if (baseName(path) !== 'Checkmarks.csv') continue;
+    const match = /^(\d+) /.exec(path.split('/').slice(-2, -1)[0] || '');
+    if (match) {
+      folders.set(Number(match[1]), text);
+    } else {
+      wide = parseCSV(text);
+    }
+  }
+
+  return rows.map((row, index) => {
+    const type = column(row, 'Type');
+    const targetType = column(row, 'Target Type');
+    const result = mapHabit({
+      name: column(row, 'Name'),
+      question: column(row, 'Question'),
+      description: column(row, 'Description'),
+      numerator: Number(column(row, 'FrequencyNumerator', 'NumRepetitions')) || 1,
+      denominator: Number(column(row, 'FrequencyDenominator', 'Interval')) || 1,
+      color: column(row, 'Color'),
+      numeric: type === 'NUMERICAL' || type === '1',
+      atMost: targetType === 'AT_MOST' || targetType === '1',
+      target: Number(column(row, 'Target Value')) || 0,
+      unit: column(row, 'Unit'),
+      archived: /^(true|1)$/i.test(column(row, 'Archived?'))
+    });
+
+    const position = Number(column(row, 'Position')) || index + 1;
+    let checkmarks = [];
+    if (folders.has(position)) {
+      checkmarks = parseCSV(folders.get(position)).filter(([date]) => isDate(date));
+    } else if (wide) {
+      const habitColumn = wide[0].indexOf(result.habit.name);
+      if (habitColumn > 0) {
+        checkmarks = wide.slice(1).map(line => [line[0], line[habitColumn]]);
+      }
+    }
+
+    result.completions = checkmarks
+      .map(([date, value]) => toCompletion(date, parseCheckmark(value), result.habit))
+      .filter(Boolean);
+    if (checkmarks.length === 0) {
+      result.warnings.push('No history found for this habit');
+    }
+    return result;
+  });
+}
+
+/**
+ * Look fields up by header name - the columns changed between Loop versions
+ */
+function columnReader(header) {
+  return (row, ...names) => {
+    for (const name of names) {
+      const index = header.indexOf(name);
+      if (index !== -1 && row[index] !== undefined) return row[index].trim();
+    }
+    return '';
+  };
+}
+
+function parseCheckmark(value = '') {
+  const text = value.trim();
+  return text in CHECKMARK_NAMES ? CHECKMARK_NAMES[text] : Number(text);
+}
+
+function baseName(path) {
+  return path.split('/').pop();
+}
+
+function isDate(text) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(text);
+}
+
+// ============================================
+// SQLITE BACKUP
+// ============================================
+
+async function parseDatabase(buffer) {
+  const SQL = await loadSqlJs();
+  const database = new SQL.Database(new Uint8Array(buffer));
+
+  try {
+    const habits = query(database, 'SELECT * FROM Habits ORDER BY position');
+    const repetitions = new Map(habits.map(row => [row.id, []]));
+    for (const rep of query(database, 'SELECT * FROM Repetitions ORDER BY timestamp')) {
+      repetitions.get(rep.habit)?.push(rep);
+    }
+
+    return habits.map(row => {
+      const result = mapHabit({
+        name: row.name,
+        question: row.question,
+        description: row.description,
+        numerator: row.freq_num || 1,
+        denominator: row.freq_den || 1,
+        color: LOOP_PALETTE[row.color] || '',
+        numeric: row.type === 1,
+        atMost: row.target_type === 1,
+        target: row.target_value || 0,
+        unit: row.unit,
+        archived: !!row.archived,
+        uuid: row.uuid
+      });
+
+      result.completions = repetitions.get(row.id)
+        .map(rep => {
+          // Timestamps are UTC midnight of the day
+          const date = new Date(rep.timestamp).toISOString().slice(0, 10);
+          const completion = toCompletion(date, rep.value, result.habit);
+          return completion && rep.notes ? { ...completion, note: rep.notes } : completion;
+        })
+        .filter(Boolean);
+      return result;
+    });
+  } catch (error) {
+    throw new Error(`Not a Loop Habit Tracker backup (${error.message})`);
+  } finally {
+    database.close();
+  }
+}
+
+function query(database, sql) {
+  const [result] = database.exec(sql);
+  if (!result) return [];
+  return result.values.map(values =>
+    Object.fromEntries(result.columns.map((name, i) => [name, values[i]]))
+  );
+}
+
+let sqlJsPromise = null;
+
+function loadSqlJs() {
+  if (!sqlJsPromise) {
+    sqlJsPromise = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = SQL_JS_URL;
+      script.onload = () => resolve(window.initSqlJs({ locateFile: () => SQL_WASM_URL }));
+      script.onerror = () => reject(new Error('Could not load the SQLite reader'));
+      document.head.appendChild(script);
+    });
+    // Allow another try
+    sqlJsPromise.catch(() => { sqlJsPromise = null; });
+  }
+  return sqlJsPromise;
+}
+
+// ============================================
+// MAPPING
+// ============================================
+
+/**
+ * Turn a Loop habit into one of ours
+ * Loop schedules a habit as "numerator times every denominator days".
+ */
+function mapHabit(loop) {
+  const warnings = [];
+  const num = Math.max(1, Math.round(loop.numerator));
+  const den = Math.max(1, Math.round(loop.denominator));
+  const question = (loop.question || loop.description || '').trim();
+
+  const habit = {
+    name: (loop.name || 'Untitled').trim().slice(0, MAX_NAME_LENGTH),
+    question: question.slice(0, MAX_QUESTION_LENGTH),
+    color: nearestColor(loop.color),
+    icon: '🎯',
+    archived: loop.archived,
+    // A numeric habit's frequency is the period its target covers
+    ...(loop.numeric ? { frequency: 'daily' } : mapFrequency(num, den, warnings)),
+    type: loop.numeric ? 'measurable' : 'boolean'
+  };
+
+  if (loop.uuid) habit.uuid = loop.uuid;
+
+  if (loop.numeric) {
+    // Our targets are per day, Loop's can be per week or month
+    const target = Math.max(0, Math.round(loop.target / den * 100) / 100);
+    if (den > 1) {
+      warnings.push(`Target of ${loop.target} every ${den} days became ${target} per day`);
+    }
+    habit.target = target;
+    habit.targetType = loop.atMost ? 'at_most' : 'at_least';
+    habit.unit = (loop.unit || '').trim().slice(0, MAX_UNIT_LENGTH);
+  }
+
+  return { habit, completions: [], warnings };
+}
+
+function mapFrequency(num, den, warnings) {
+  if (num >= den) {
+    return { frequency: 'daily' };
+  }
+  if (den === 7) {
+    return { frequency: 'weekly', timesPerWeek: num };
+  }
+  if (num === 1 && den <= 30) {
+    return { frequency: 'interval', interval: den };
+  }
+  if (den === 30 || den === 31) {
+    return { frequency: 'period', timesPerPeriod: Math.min(num, 100), periodType: 'month' };
+  }
+
+  const periodDays = Math.min(den, 365);
+  if (periodDays !== den) {
+    warnings.push(`Every ${den} days is longer than we support - using ${periodDays}`);
+  }
+  return { frequency: 'period', timesPerPeriod: Math.min(num, 100), periodType: 'days', periodDays };
+}
+
+/**
+ * Map a checkmark to a completion record, or null for days that weren't
+ * logged by hand (Loop also stores auto-filled and unchecked days)
+ */
+function toCompletion(date, value, habit) {
+  if (!isDate(date) || !Number.isFinite(value)) return null;
+
+  if (habit.type === 'measurable') {
+    return value > 0 ? { date, value: value / NUMERIC_SCALE, status: 'done' } : null;
+  }
+  if (value === CHECKMARK_SKIP) return { date, value: 0, status: 'skipped' };
+  if (value === CHECKMARK_DONE) return { date, value: 1, status: 'done' };
+  return null;
+}
+
+/**
+ * Pick the closest of our colours (Loop's palette is different)
+ */
+function nearestColor(hex) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return HABIT_COLORS[0];
+
+  let best = HABIT_COLORS[0];
+  let bestDistance = Infinity;
+  for (const color of HABIT_COLORS) {
+    const other = hexToRgb(color);
+    const distance = other.reduce((sum, channel, i) => sum + (channel - rgb[i]) ** 2, 0);
+    if (distance < bestDistance) {
+      best = color;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+function hexToRgb(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec((hex || '').trim());
+  if (!match) return null;
+  const value = parseInt(match[1], 16);
+  return [value >> 16, (value >> 8) & 0xff, value & 0xff];
+}
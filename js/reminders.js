@@ -0,0 +1,266 @@
+/**
+ * Loop Habits - Reminders
+ * Per-habit reminder times, shown as notifications with "Done" and "Skip"
+ * actions. Checks run while the app is open; signed-in users also get them
+ * via Web Push from the backend when it's closed. Tapping an action is
+ * handled by the service worker, which records the check-in without
+ * opening the UI.
+ */
+
+import * as api from './api.js';
+import * as utils from './utils.js';
+import { isPaused } from './habit-score.js';
+
+// Every day of the week, 0 = Sunday (matches Date.getDay())
+export const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+export const DEFAULT_REMINDER_TIME = '09:00';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// How often due reminders are looked for
+const CHECK_INTERVAL = 30 * 1000;
+
+// Reminders missed by more than this (device asleep, tab frozen) are dropped
+const MAX_LATENESS = 60 * 60 * 1000;
+
+const reminderState = {
+  timer: null,
+  lastCheck: null,
+  getHabits: () => [],
+  isCompleted: () => false
+};
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+/**
+ * Start checking for due reminders
+ * @param {Object} options
+ * @param {Function} options.getHabits - Returns the current habits
+ * @param {Function} options.isCompleted - (habitId, date) => boolean
+ */
+export function start({ getHabits, isCompleted }) {
+  stop();
+
+  reminderState.getHabits = getHabits;
+  reminderState.isCompleted = isCompleted;
+  // Only reminders that come due from now on - never replay earlier ones
+  reminderState.lastCheck = new Date();
+  reminderState.timer = setInterval(checkReminders, CHECK_INTERVAL);
+}
+
+/**
+ * Stop checking for due reminders
+ */
+export function stop() {
+  clearInterval(reminderState.timer);
+  reminderState.timer = null;
+}
+
+async function checkReminders() {
+  const now = new Date();
+  const since = reminderState.lastCheck;
+  reminderState.lastCheck = now;
+
+  if (!isSupported() || Notification.permission !== 'granted') return;
+
+  const today = utils.formatDate(now);
+
+  for (const habit of reminderState.getHabits()) {
+    if (habit.archived || !habit.reminders?.length || isPaused(today, habit)) continue;
+    if (reminderState.isCompleted(habit.id, today)) continue;
+
+    if (habit.reminders.some(reminder => isDue(reminder, since, now))) {
+      try {
+        await showReminder(habit, today);
+      } catch (error) {
+        console.error('Failed to show reminder:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Whether a reminder's time fell within (since, now]
+ */
+function isDue(reminder, since, now) {
+  if (!(reminder.days || ALL_DAYS).includes(now.getDay())) return false;
+
+  const [hours, minutes] = reminder.time.split(':').map(Number);
+  const dueAt = new Date(now);
+  dueAt.setHours(hours, minutes, 0, 0);
+
+  return dueAt > since && dueAt <= now && now - dueAt <= MAX_LATENESS;
+}
+
+/**
+ * Show the notification for a habit
+ * @param {Object} habit - Habit
+ * @param {string} date - Day the check-in is for (YYYY-MM-DD)
+ */
+async function showReminder(habit, date) {
+  const title = `${habit.icon || ''} ${habit.name}`.trim();
+  const options = {
+    body: habit.question || 'Time to check in!',
+    icon: '/icons/icon-192.png',
+    badge: '/icons/icon-72.png',
+    // One notification per habit and day, even with several tabs open or
+    // a push for the same reminder (see backend/scheduler.js)
+    tag: `reminder-${habit.uuid || habit.id}-${date}`,
+    data: { habitId: habit.id, date, url: '/' }
+  };
+
+  const registration = await navigator.serviceWorker?.getRegistration();
+
+  if (registration) {
+    await registration.showNotification(title, {
+      ...options,
+      actions: [
+        { action: 'done', title: 'Done' },
+        { action: 'skip', title: 'Skip' }
+      ]
+    });
+  } else {
+    // No service worker to handle actions - a plain notification still helps
+    new Notification(title, options);
+  }
+}
+
+// ============================================
+// PERMISSION
+// ============================================
+
+/**
+ * Check if the browser can show notifications
+ * @returns {boolean}
+ */
+export function isSupported() {
+  return 'Notification' in window;
+}
+
+/**
+ * Ask for notification permission (call from a user gesture)
+ * @returns {Promise<boolean>} - True if notifications may be shown
+ */
+export async function requestPermission() {
+  if (!isSupported()) return false;
+  if (Notification.permission !== 'default') {
+    return Notification.permission === 'granted';
+  }
+
+  return (await Notification.requestPermission()) === 'granted';
+}
+
+// ============================================
+// WEB PUSH
+// ============================================
+
+/**
+ * Subscribe this browser to reminder pushes from the backend
+ * Needs notification permission and a server with VAPID keys.
+ * @returns {Promise<boolean>} - True if subscribed
+ */
+export async function enablePush() {
+  if (!('PushManager' in window) || Notification.permission !== 'granted') return false;
+
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (!registration) return false;
+
+  let publicKey;
+  try {
+    publicKey = await api.getPushPublicKey();
+  } catch (error) {
+    // Server has push turned off - in-app reminders still work
+    return false;
+  }
+
+  const subscription = await registration.pushManager.getSubscription() ||
+    await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: base64UrlToBytes(publicKey)
+    });
+
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  await api.subscribePush(subscription.toJSON(), timeZone);
+  return true;
+}
+
+/**
+ * Stop reminder pushes to this browser (e.g. on logout)
+ */
+export async function disablePush() {
+  if (!('PushManager' in window)) return;
+
+  const registration = await navigator.serviceWorker?.getRegistration();
+  const subscription = await registration?.pushManager.getSubscription();
+  if (!subscription) return;
+
+  try {
+    await api.unsubscribePush(subscription.endpoint);
+  } finally {
+    await subscription.unsubscribe();
+  }
+}
+
+function base64UrlToBytes(base64Url) {
+  const base64 = (base64Url + '='.repeat((4 - base64Url.length % 4) % 4))
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Drop invalid reminders and duplicates, sorted by time
+ * @param {Array} reminders - Reminders as entered
+ * @returns {Array<{time: string, days: number[]}>}
+ */
+export function normalizeReminders(reminders = []) {
+  const seen = new Set();
+
+  return reminders
+    .filter(reminder => TIME_PATTERN.test(reminder.time) && reminder.days?.length)
+    .map(reminder => ({
+      time: reminder.time,
+      days: [...new Set(reminder.days.map(Number))].sort((a, b) => a - b)
+    }))
+    .filter(reminder => {
+      const key = `${reminder.time}|${reminder.days.join(',')}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.time.localeCompare(b.time));
+}
+
+/**
+ * Describe a reminder, e.g. "09:00 on weekdays"
+ * @param {Object} reminder - Reminder
+ * @returns {string}
+ */
+export function formatReminder(reminder) {
+  const days = reminder.days || ALL_DAYS;
+  const key = [...days].sort((a, b) => a - b).join('');
+
+  if (key === '0123456') return `${reminder.time} every day`;
+  if (key === '12345') return `${reminder.time} on weekdays`;
+  if (key === '06') return `${reminder.time} on weekends`;
+
+  return `${reminder.time} on ${days.map(day => formatDay(day)).join(', ')}`;
+}
+
+/**
+ * Short name of a weekday
+ * @param {number} day - 0 = Sunday
+ * @returns {string} - e.g. "Mon"
+ */
+export function formatDay(day) {
+  const date = new Date(2024, 0, 7); // A Sunday
+  date.setDate(date.getDate() + day);
+  return utils.getDayName(date);
+}
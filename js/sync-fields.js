@@ -0,0 +1,94 @@
+/**
+ * Sync Fields for Loop Habits
+ * What goes to the backend and what is remembered as the merge base,
+ * shared by js/sync.js and the service worker so an outbox entry is sent
+ * the same way whichever of them replays it. A plain script rather than
+ * a module: the worker loads it with importScripts(), sync.js imports it
+ * for its side effect. Both then read self.SyncFields.
+ */
+
+(() => {
+  // Habit fields mirrored between IndexedDB and the backend
+  const HABIT_FIELDS = [
+    'uuid',
+    'name',
+    'question',
+    'color',
+    'icon',
+    'tags',
+    'frequency',
+    'timesPerWeek',
+    'interval',
+    'specificDays',
+    'timesPerPeriod',
+    'periodType',
+    'periodDays',
+    'type',
+    'unit',
+    'target',
+    'targetType',
+    'reminders',
+    'pauses',
+    'archived',
+    'order',
+    'createdAt'
+  ];
+
+  // Completion fields mirrored between IndexedDB and the backend
+  const COMPLETION_FIELDS = ['value', 'status', 'note'];
+
+  /**
+   * Copy the given fields that are set on a record
+   */
+  function pickFields(record, fields) {
+    const picked = {};
+    fields.forEach(field => {
+      if (record[field] !== undefined && record[field] !== null) picked[field] = record[field];
+    });
+    return picked;
+  }
+
+  /**
+   * Convert a local habit record to a backend payload
+   */
+  function toRemoteHabit(habit) {
+    const payload = {};
+    HABIT_FIELDS.forEach(field => {
+      if (habit[field] !== undefined) payload[field] = habit[field];
+    });
+    return payload;
+  }
+
+  /**
+   * Like pickFields, but keeps a null value (a day with only a note) and
+   * a null note (a removed note), which have to reach the other side
+   */
+  function pickCompletionFields(record) {
+    return {
+      ...pickFields(record, COMPLETION_FIELDS),
+      value: record.value ?? null,
+      note: record.note ?? null
+    };
+  }
+
+  /**
+   * The merge base to remember after a write: what the server returned
+   */
+  function habitSyncedBase(remote) {
+    return pickFields(remote, HABIT_FIELDS);
+  }
+
+  function completionSyncedBase(remote) {
+    return pickFields(remote, COMPLETION_FIELDS);
+  }
+
+  self.SyncFields = {
+    HABIT_FIELDS,
+    COMPLETION_FIELDS,
+    pickFields,
+    toRemoteHabit,
+    pickCompletionFields,
+    habitSyncedBase,
+    completionSyncedBase
+  };
+})();
@@ -0,0 +1,985 @@
+/**
+ * Offline-first Sync Engine for Loop Habits
+ *
+ * Every mutation is written to IndexedDB first and recorded in the outbox.
+ * When the user is logged in, the outbox is replayed against the backend
+ * whenever we are online, and remote changes are pulled back down so all
+ * devices converge on the same data.
+ */
+
+import * as api from './api.js';
+import * as db from './db.js';
+import './sync-fields.js';
+
+const {
+  HABIT_FIELDS,
+  COMPLETION_FIELDS,
+  pickFields,
+  toRemoteHabit,
+  pickCompletionFields,
+  habitSyncedBase,
+  completionSyncedBase
+} = self.SyncFields;
+
+// What a removed completion amounts to when merging with the server copy
+const REMOVED_COMPLETION = { value: null, status: 'done', note: null };
+
+// Fields that identify a habit rather than describe it - never merged
+const IMMUTABLE_HABIT_FIELDS = ['uuid', 'createdAt'];
+
+// How often a write is retried after merging with a newer server copy
+const MAX_CONFLICT_RETRIES = 3;
+
+// Delay before a sync runs after a local mutation (batches quick taps)
+const SYNC_DELAY = 1000;
+
+// Retry backoff after a failed push
+const RETRY_BASE_DELAY = 5000;
+const RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+// Service worker Background Sync tag (see service-worker.js)
+const BACKGROUND_SYNC_TAG = 'sync-habits';
+
+const syncState = {
+  enabled: false,
+  running: null,
+  rerun: false,
+  timer: null,
+  failures: 0,
+  listeners: new Set(),
+  resolveConflict: null
+};
+
+// ============================================
+// LIFECYCLE
+// ============================================
+
+/**
+ * Start syncing local data with the backend for a user
+ * @param {Object} user - Logged in user ({ id, ... })
+ * @returns {Promise<void>}
+ */
+export async function enable(user) {
+  const owner = await db.getSyncMeta('owner');
+
+  if (owner && owner !== user.id) {
+    // Local data belongs to another account - start fresh
+    await db.clearAllData();
+  } else if (!owner) {
+    // Data created in local mode should reach the server
+    await adoptLocalData();
+  }
+
+  await db.setSyncMeta('owner', user.id);
+  await storeBackgroundAuth();
+  api.setTokenSync(storeBackgroundAuth);
+  syncState.enabled = true;
+
+  window.addEventListener('online', handleOnline);
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  navigator.serviceWorker?.addEventListener('message', handleWorkerMessage);
+}
+
+/**
+ * Stop syncing and remove the account's data from this device
+ * Pending changes are flushed first. When some can't be sent (offline,
+ * server down) nothing is removed and sync stays on, unless `force` is set.
+ * @param {Object} options
+ * @param {boolean} options.force - Discard changes that couldn't be sent
+ * @returns {Promise<void>}
+ * @throws {Error} - With `unsent` (the number of changes) when refusing
+ */
+export async function disable({ force = false } = {}) {
+  if (syncState.enabled) {
+    try {
+      await syncNow();
+    } catch (error) {
+      console.warn('Final sync before logout failed:', error);
+    }
+  }
+
+  const unsent = (await db.getOutboxEntries()).length;
+  if (unsent > 0 && !force) {
+    const error = new Error(`${unsent} local change(s) have not been synced`);
+    error.unsent = unsent;
+    throw error;
+  }
+
+  syncState.enabled = false;
+  api.setTokenSync(null);
+  clearTimeout(syncState.timer);
+  window.removeEventListener('online', handleOnline);
+  document.removeEventListener('visibilitychange', handleVisibilityChange);
+  navigator.serviceWorker?.removeEventListener('message', handleWorkerMessage);
+
+  await db.clearAllData();
+}
+
+/**
+ * Subscribe to local data changes caused by a sync
+ * @param {Function} listener
+ * @returns {Function} - Unsubscribe function
+ */
+export function onChange(listener) {
+  syncState.listeners.add(listener);
+  return () => syncState.listeners.delete(listener);
+}
+
+/**
+ * Register the function that asks the user to settle a conflict
+ * It receives { kind, label, conflicts: [{ field, local, remote }] } and
+ * resolves to { [field]: 'local' | 'remote' }, or null to decide later.
+ * @param {Function} resolver
+ */
+export function setConflictResolver(resolver) {
+  syncState.resolveConflict = resolver;
+}
+
+function handleOnline() {
+  scheduleSync(0);
+}
+
+function handleVisibilityChange() {
+  if (document.visibilityState === 'visible') {
+    scheduleSync(0);
+  }
+}
+
+function handleWorkerMessage(event) {
+  // The service worker drained the outbox in the background - pull the result
+  if (event.data?.type === 'outbox-drained') {
+    scheduleSync(0);
+  }
+  // A reminder notification queued a check-in - send it from here too
+  if (event.data?.type === 'completion-recorded') {
+    scheduleSync();
+  }
+}
+
+// ============================================
+// MUTATIONS (local first, then queued)
+// ============================================
+
+/**
+ * Create a habit
+ * @param {Object} habitData - Habit data
+ * @returns {Promise<number>} - The new local habit ID
+ */
+export async function createHabit(habitData) {
+  const habitId = await db.createHabit(habitData);
+  await enqueue({ op: 'habit:create', habitId });
+  return habitId;
+}
+
+/**
+ * Create a habit together with its history (imports)
+ * @param {Object} habitData - Habit data
+ * @param {Array<Object>} completions - Completion records (date, value, status)
+ * @returns {Promise<number>} - The new local habit ID
+ */
+export async function importHabit(habitData, completions) {
+  const habitId = await db.createHabit(habitData);
+  await db.addCompletions(habitId, completions);
+
+  if (!syncState.enabled) return habitId;
+
+  // Nothing to collapse for a brand-new habit, so skip enqueue's checks
+  await db.addOutboxEntry({ op: 'habit:create', habitId });
+  for (const completion of completions) {
+    await db.addOutboxEntry({ op: 'completion:set', habitId, date: completion.date });
+  }
+  await requestBackgroundSync();
+  scheduleSync();
+  return habitId;
+}
+
+/**
+ * Import a JSON backup, merging it into the local data or replacing it
+ * When syncing and online the server imports it in one go and we pull
+ * the result; offline it's imported locally and queued like any edit.
+ * @param {Object} data - Exported data object
+ * @param {Object} options
+ * @param {boolean} options.replace - Delete every habit first (on the server too)
+ * @returns {Promise<Object>} - Report with added/updated/skipped counts
+ */
+export async function importData(data, { replace = false } = {}) {
+  if (syncState.enabled && navigator.onLine) {
+    return await importOnServer(data, { replace });
+  }
+
+  if (replace && syncState.enabled) {
+    for (const habit of await db.getAllHabits(true)) {
+      await deleteHabit(habit.id);
+    }
+  }
+
+  const report = await db.importData(data, { replace });
+
+  if (!syncState.enabled) return report;
+
+  const { created, updated, completions } = report.changes;
+  const createdIds = new Set(created);
+
+  // New habits have nothing queued to collapse with
+  for (const habitId of created) {
+    await db.addOutboxEntry({ op: 'habit:create', habitId });
+  }
+  for (const habitId of updated) {
+    await enqueue({ op: 'habit:update', habitId });
+  }
+  for (const { habitId, date } of completions) {
+    if (createdIds.has(habitId)) {
+      await db.addOutboxEntry({ op: 'completion:set', habitId, date });
+    } else {
+      await enqueue({ op: 'completion:set', habitId, date });
+    }
+  }
+
+  await requestBackgroundSync();
+  scheduleSync();
+  return report;
+}
+
+/**
+ * Send a backup to the server's bulk import, then take the server's
+ * data as a full snapshot
+ */
+async function importOnServer(data, { replace }) {
+  // Local changes go first, so the import merges with them
+  await syncNow();
+  if ((await db.getOutboxEntries()).length > 0) {
+    throw new Error('Could not sync local changes before importing');
+  }
+
+  const { report } = await api.importData(data, { replace });
+
+  // No cursor means a full snapshot, which drops what the import replaced
+  await db.setSyncMeta('cursor', null);
+  await syncNow();
+  return report;
+}
+
+/**
+ * Update a habit
+ * @param {Object} habit - Full local habit record
+ * @returns {Promise<void>}
+ */
+export async function updateHabit(habit) {
+  await db.updateHabit(habit);
+  await enqueue({ op: 'habit:update', habitId: habit.id });
+}
+
+/**
+ * Reorder habits
+ * @param {Array<number>} habitIds - Local habit IDs in their new order
+ * @returns {Promise<void>}
+ */
+export async function reorderHabits(habitIds) {
+  await db.setHabitOrder(habitIds);
+  await enqueue({ op: 'habit:reorder' });
+}
+
+/**
+ * Delete a habit and its completions
+ * @param {number} habitId - Local habit ID
+ * @returns {Promise<void>}
+ */
+export async function deleteHabit(habitId) {
+  const habit = await db.getHabit(habitId);
+  await db.deleteHabit(habitId);
+
+  if (!syncState.enabled) return;
+
+  // Anything still pending for this habit is now moot
+  const pending = await db.getOutboxEntries();
+  await db.deleteOutboxEntries(
+    pending.filter(e => e.habitId === habitId).map(e => e.id)
+  );
+
+  if (habit?.remoteId) {
+    await enqueue({ op: 'habit:delete', habitId, remoteId: habit.remoteId });
+  }
+}
+
+/**
+ * Delete every habit, archived ones included, and their completions
+ * When syncing each habit is deleted like above, so the server and the
+ * other devices lose them too instead of the next pull bringing them back.
+ * @returns {Promise<void>}
+ */
+export async function clearAllData() {
+  if (!syncState.enabled) {
+    await db.clearAllData();
+    return;
+  }
+
+  for (const habit of await db.getAllHabits(true)) {
+    await deleteHabit(habit.id);
+  }
+}
+
+/**
+ * Set the value logged for a habit on a date (1 checks a yes/no habit off)
+ * @param {number} habitId - Local habit ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {number|null} value - Amount, or null to clear it (a note stays)
+ * @returns {Promise<Object|null>} - The stored record, or null if removed
+ */
+export async function setCompletionValue(habitId, date, value) {
+  return await updateDay(habitId, date, { value, status: 'done' });
+}
+
+/**
+ * Change a day's completion record (value, status, note), creating it
+ * if needed. A record left with nothing on it - no value, not skipped,
+ * no note - is removed.
+ * @param {number} habitId - Local habit ID
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} fields - Fields to change
+ * @returns {Promise<Object|null>} - The stored record, or null if removed
+ */
+export async function updateDay(habitId, date, fields) {
+  const existing = await db.getCompletionEntry(habitId, date);
+  // A new record holds only what's given - a note alone isn't a check-in
+  const record = { value: null, ...existing, ...fields };
+
+  if (isEmptyDay(record)) {
+    if (existing) {
+      await db.removeCompletion(habitId, date);
+      // The server copy it was based on, to merge with if that changed
+      await enqueue({
+        op: 'completion:delete',
+        habitId,
+        date,
+        baseVersion: existing.version ?? 0,
+        base: existing.syncedBase || {}
+      });
+    }
+    return null;
+  }
+
+  await db.setCompletion(habitId, date, {
+    ...(!existing && { value: null }),
+    ...fields,
+    timestamp: new Date().toISOString()
+  });
+  await enqueue({ op: 'completion:set', habitId, date });
+  return await db.getCompletionEntry(habitId, date);
+}
+
+/**
+ * Queue a mutation for the backend (no-op when not syncing)
+ * Payloads are read from IndexedDB at replay time, so repeated edits of
+ * the same record collapse into a single request.
+ */
+async function enqueue(entry) {
+  if (!syncState.enabled) return;
+
+  const pending = await db.getOutboxEntries();
+
+  if (entry.op === 'habit:update') {
+    const alreadyQueued = pending.some(e =>
+      e.habitId === entry.habitId && (e.op === 'habit:create' || e.op === 'habit:update')
+    );
+    if (alreadyQueued) {
+      scheduleSync();
+      return;
+    }
+  }
+
+  // The order is read at replay time, so one queued reorder covers them all
+  if (entry.op === 'habit:reorder') {
+    await db.deleteOutboxEntries(pending.filter(e => e.op === 'habit:reorder').map(e => e.id));
+  }
+
+  if (entry.op.startsWith('completion:')) {
+    await db.deleteOutboxEntries(
+      pending
+        .filter(e => e.op.startsWith('completion:') && e.habitId === entry.habitId && e.date === entry.date)
+        .map(e => e.id)
+    );
+  }
+
+  await db.addOutboxEntry(entry);
+  await requestBackgroundSync();
+  scheduleSync();
+}
+
+/**
+ * Queue every habit and completion that has never been sent to the backend
+ */
+async function adoptLocalData() {
+  const habits = await db.getAllHabits(true);
+
+  for (const habit of habits.filter(h => !h.remoteId)) {
+    await db.addOutboxEntry({ op: 'habit:create', habitId: habit.id });
+
+    const completions = await db.getCompletionsForHabit(habit.id);
+    for (const completion of completions) {
+      await db.addOutboxEntry({ op: 'completion:set', habitId: habit.id, date: completion.date });
+    }
+  }
+}
+
+// ============================================
+// BACKGROUND SYNC
+// ============================================
+
+/**
+ * Persist what the service worker needs to replay the outbox on its own
+ * (it can't read localStorage)
+ * The worker refreshes expired tokens too and stores the new pair here.
+ * Each refresh token works once, so when the stored pair is the newer one
+ * for this session, the app takes it over instead of overwriting it.
+ */
+async function storeBackgroundAuth() {
+  const stored = await db.getSyncMeta('auth');
+  const tokens = api.getTokens();
+
+  if (stored?.refreshToken && isSameSession(stored.refreshToken, tokens.refreshToken) &&
+    stored.refreshedAt > tokens.refreshedAt) {
+    api.setTokens(stored);
+    return;
+  }
+
+  await db.setSyncMeta('auth', {
+    ...tokens,
+    apiUrl: api.getApiUrl()
+  });
+}
+
+// Refresh tokens look like "<session id>.<secret>"
+function isSameSession(refreshToken, otherToken) {
+  return Boolean(otherToken) && refreshToken.split('.')[0] === otherToken.split('.')[0];
+}
+
+/**
+ * Ask the service worker to drain the outbox once we're back online,
+ * even if this tab has been closed by then
+ */
+async function requestBackgroundSync() {
+  if (!('serviceWorker' in navigator)) return;
+
+  try {
+    await storeBackgroundAuth();
+    const registration = await navigator.serviceWorker.getRegistration();
+    await registration?.sync?.register(BACKGROUND_SYNC_TAG);
+  } catch (error) {
+    // Background Sync unsupported or denied - the tab syncs by itself
+    console.warn('Background sync unavailable:', error);
+  }
+}
+
+// ============================================
+// SYNC
+// ============================================
+
+/**
+ * Run a sync after a short delay
+ * @param {number} delay - Milliseconds to wait
+ */
+export function scheduleSync(delay = SYNC_DELAY) {
+  if (!syncState.enabled) return;
+
+  clearTimeout(syncState.timer);
+  syncState.timer = setTimeout(() => {
+    syncNow().catch(error => console.warn('Sync failed:', error));
+  }, delay);
+}
+
+/**
+ * Push pending changes and pull remote changes now
+ * @returns {Promise<void>}
+ */
+export async function syncNow() {
+  if (!syncState.enabled || !navigator.onLine) return;
+
+  if (syncState.running) {
+    syncState.rerun = true;
+    return syncState.running;
+  }
+
+  syncState.running = (async () => {
+    try {
+      do {
+        syncState.rerun = false;
+        const pushed = await push();
+
+        // Only pull once everything local has reached the server,
+        // otherwise the pull would clobber unsent changes
+        if (pushed) {
+          syncState.failures = 0;
+          const changed = await pull();
+          if (changed) notifyListeners();
+        } else {
+          scheduleRetry();
+        }
+      } while (syncState.rerun);
+    } catch (error) {
+      scheduleRetry();
+      throw error;
+    } finally {
+      syncState.running = null;
+    }
+  })();
+
+  return syncState.running;
+}
+
+/**
+ * Retry a failed sync with exponential backoff
+ */
+function scheduleRetry() {
+  syncState.failures++;
+  const delay = Math.min(RETRY_BASE_DELAY * 2 ** (syncState.failures - 1), RETRY_MAX_DELAY);
+  scheduleSync(delay);
+}
+
+/**
+ * Replay the outbox against the backend, oldest entry first
+ * @returns {Promise<boolean>} - True when the outbox was fully drained
+ */
+async function push() {
+  const entries = await db.getOutboxEntries();
+
+  for (const entry of entries) {
+    try {
+      await pushEntry(entry);
+    } catch (error) {
+      if (isPermanentFailure(error)) {
+        // The server will never accept this one - drop it rather than block the queue
+        console.warn(`Dropping outbox entry ${entry.op}:`, error.message);
+      } else {
+        await db.updateOutboxEntry({
+          ...entry,
+          attempts: (entry.attempts || 0) + 1,
+          lastError: error.message
+        });
+        return false;
+      }
+    }
+    await db.deleteOutboxEntries([entry.id]);
+  }
+
+  return true;
+}
+
+async function pushEntry(entry) {
+  const habit = entry.habitId === undefined || entry.op === 'habit:delete'
+    ? null
+    : await db.getHabit(entry.habitId);
+
+  switch (entry.op) {
+    case 'habit:create': {
+      if (!habit || habit.remoteId) return;
+      const remote = await api.createHabit(toRemoteHabit(habit));
+      await saveHabitSyncState(habit.id, remote);
+      return;
+    }
+
+    case 'habit:update':
+      if (!habit) return;
+      await pushHabitUpdate(habit);
+      return;
+
+    case 'habit:delete':
+      try {
+        await api.deleteHabit(entry.remoteId);
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+      return;
+
+    case 'habit:reorder': {
+      // Archived habits included, so the numbering matches the local one
+      const habits = (await db.getAllHabits(true)).filter(h => h.remoteId);
+      if (habits.length === 0) return;
+      const remotes = await api.reorderHabits(habits.map(h => h.remoteId));
+      for (const remote of remotes) {
+        await saveOrderSyncState(remote);
+      }
+      return;
+    }
+
+    case 'completion:set': {
+      if (!habit) return;
+      const completion = await db.getCompletionEntry(entry.habitId, entry.date);
+      if (!completion) return;
+      await pushCompletion(habit, completion);
+      return;
+    }
+
+    case 'completion:delete':
+      if (!habit) return;
+      await pushCompletionDelete(habit, entry);
+      return;
+
+    default:
+      console.warn('Unknown outbox operation:', entry.op);
+  }
+}
+
+/**
+ * Send a habit edit, merging with the server copy if it changed meanwhile
+ */
+async function pushHabitUpdate(habit) {
+  let current = habit;
+
+  for (let attempt = 0; attempt < MAX_CONFLICT_RETRIES; attempt++) {
+    try {
+      const remote = await api.updateHabit(requireRemoteId(current), {
+        ...toRemoteHabit(current),
+        baseVersion: current.version
+      });
+      await saveHabitSyncState(current.id, remote);
+      return;
+    } catch (error) {
+      if (error.status !== 409) throw error;
+
+      const remote = error.data.habit;
+      const merged = await mergeFields({
+        kind: 'habit',
+        label: current.name,
+        fields: HABIT_FIELDS.filter(f => !IMMUTABLE_HABIT_FIELDS.includes(f)),
+        local: current,
+        remote: fromRemoteHabit(remote),
+        base: current.syncedBase || {}
+      });
+
+      current = { ...current, ...merged };
+      await db.updateHabit(current);
+      await saveHabitSyncState(current.id, remote);
+      current = await db.getHabit(current.id);
+    }
+  }
+
+  throw new Error(`Habit "${habit.name}" keeps changing on the server`);
+}
+
+/**
+ * Send a completion, merging with the server copy if it changed meanwhile
+ */
+async function pushCompletion(habit, completion) {
+  let current = completion;
+
+  for (let attempt = 0; attempt < MAX_CONFLICT_RETRIES; attempt++) {
+    try {
+      const remote = await api.addCompletion(requireRemoteId(habit), current.date, {
+        ...pickCompletionFields(current),
+        baseVersion: current.version ?? 0
+      });
+      await saveCompletionSyncState(habit.id, remote);
+      return;
+    } catch (error) {
+      if (error.status !== 409) throw error;
+
+      const remote = error.data.completion;
+      const merged = await mergeFields({
+        kind: 'completion',
+        label: `${habit.name} on ${current.date}`,
+        fields: COMPLETION_FIELDS,
+        local: current,
+        remote,
+        base: current.syncedBase || {}
+      });
+
+      current = {
+        ...current,
+        ...merged,
+        version: remote.version,
+        syncedBase: completionSyncedBase(remote)
+      };
+      if (!await db.getCompletionEntry(habit.id, current.date)) return;
+      await db.setCompletion(habit.id, current.date, current);
+    }
+  }
+
+  throw new Error(`Completion for "${habit.name}" keeps changing on the server`);
+}
+
+/**
+ * Send a completion removal, merging with the server copy if it changed
+ * meanwhile - a value, note or skip set on another device is kept
+ */
+async function pushCompletionDelete(habit, entry) {
+  let baseVersion = entry.baseVersion;
+
+  for (let attempt = 0; attempt < MAX_CONFLICT_RETRIES; attempt++) {
+    try {
+      await api.removeCompletion(requireRemoteId(habit), entry.date, { baseVersion });
+      return;
+    } catch (error) {
+      if (error.status !== 409) throw error;
+
+      const remote = error.data.completion;
+      const merged = await mergeFields({
+        kind: 'completion',
+        label: `${habit.name} on ${entry.date}`,
+        fields: COMPLETION_FIELDS,
+        local: REMOVED_COMPLETION,
+        remote,
+        base: entry.base || {}
+      });
+
+      if (isEmptyDay(merged)) {
+        baseVersion = remote.version;
+        continue;
+      }
+
+      // Logged again here while we were asking - the queued set takes over
+      if (await db.getCompletionEntry(habit.id, entry.date)) return;
+
+      // Bring the day back with what the other device changed
+      await db.setCompletion(habit.id, entry.date, {
+        ...merged,
+        timestamp: remote.timestamp,
+        version: remote.version,
+        syncedBase: completionSyncedBase(remote)
+      });
+      notifyListeners();
+
+      // Part of the removal still applies (e.g. the value, not the note)
+      if (COMPLETION_FIELDS.some(field => !isEqual(merged[field], remote[field]))) {
+        await pushCompletion(habit, await db.getCompletionEntry(habit.id, entry.date));
+      }
+      return;
+    }
+  }
+
+  throw new Error(`Completion for "${habit.name}" keeps changing on the server`);
+}
+
+/**
+ * Three-way merge of a record, field by field
+ * Fields changed on only one side take that side's value; fields both
+ * sides changed differently go to the conflict resolver (the user).
+ * @returns {Promise<Object>} - Merged field values
+ */
+async function mergeFields({ kind, label, fields, local, remote, base }) {
+  const merged = {};
+  const conflicts = [];
+
+  fields.forEach(field => {
+    const mine = local[field];
+    const theirs = remote[field];
+
+    if (isEqual(mine, theirs) || isEqual(theirs, base[field])) {
+      merged[field] = mine;
+    } else if (isEqual(mine, base[field])) {
+      merged[field] = theirs;
+    } else {
+      conflicts.push({ field, local: mine, remote: theirs });
+    }
+  });
+
+  if (conflicts.length > 0) {
+    const choices = syncState.resolveConflict
+      ? await syncState.resolveConflict({ kind, label, conflicts })
+      : null;
+
+    if (!choices) {
+      // Keep the change queued and ask again on the next sync
+      throw new Error(`Unresolved sync conflict for ${kind} "${label}"`);
+    }
+
+    conflicts.forEach(({ field, local: mine, remote: theirs }) => {
+      merged[field] = choices[field] === 'local' ? mine : theirs;
+    });
+  }
+
+  return merged;
+}
+
+/**
+ * Remember the server version of a habit after a successful write
+ */
+async function saveHabitSyncState(habitId, remote) {
+  const habit = await db.getHabit(habitId);
+  if (!habit) return;
+
+  await db.updateHabit({
+    ...habit,
+    remoteId: remote._id,
+    version: remote.version,
+    syncedBase: habitSyncedBase(remote)
+  });
+}
+
+/**
+ * Remember the server version of a habit after a reorder
+ * Only when the reorder is the sole change since our copy - otherwise
+ * the next edit has to merge with what another device changed.
+ */
+async function saveOrderSyncState(remote) {
+  const habit = await db.getHabitByRemoteId(remote._id);
+  if (!habit || remote.version !== habit.version + 1) return;
+
+  await db.updateHabit({
+    ...habit,
+    version: remote.version,
+    syncedBase: { ...habit.syncedBase, order: remote.order }
+  });
+}
+
+/**
+ * Remember the server version of a completion after a successful write
+ */
+async function saveCompletionSyncState(habitId, remote) {
+  // Toggled off while the request was in flight - don't bring it back
+  if (!await db.getCompletionEntry(habitId, remote.date)) return;
+
+  await db.setCompletion(habitId, remote.date, {
+    version: remote.version,
+    syncedBase: completionSyncedBase(remote)
+  });
+}
+
+function requireRemoteId(habit) {
+  if (!habit.remoteId) {
+    throw new Error(`Habit ${habit.id} has not been created on the server yet`);
+  }
+  return habit.remoteId;
+}
+
+function isPermanentFailure(error) {
+  return error.status >= 400 && error.status < 500 &&
+    ![401, 408, 409].includes(error.status);
+}
+
+/**
+ * Pull remote changes since the last sync cursor
+ * @returns {Promise<boolean>} - True when local data changed
+ */
+async function pull() {
+  const cursor = await db.getSyncMeta('cursor');
+  const changes = await api.getChanges(cursor);
+
+  let changed = false;
+  const localHabits = await db.getAllHabits(true);
+  const byRemoteId = new Map(localHabits.filter(h => h.remoteId).map(h => [h.remoteId, h]));
+  const byUuid = new Map(localHabits.filter(h => h.uuid).map(h => [h.uuid, h]));
+  const localIdByRemoteId = new Map(localHabits.filter(h => h.remoteId).map(h => [h.remoteId, h.id]));
+
+  // Deletions first: a record deleted and re-created since the cursor
+  // shows up in both lists and must survive
+  const deletedHabits = new Set(changes.deleted.habits);
+
+  if (changes.full) {
+    // Snapshot: anything we know about that the server doesn't is gone
+    const remoteIds = new Set(changes.habits.map(h => h._id));
+    localHabits
+      .filter(h => h.remoteId && !remoteIds.has(h.remoteId))
+      .forEach(h => deletedHabits.add(h.remoteId));
+  }
+
+  for (const remoteId of deletedHabits) {
+    const habitId = localIdByRemoteId.get(remoteId);
+    if (habitId === undefined) continue;
+    await db.deleteHabit(habitId);
+    localIdByRemoteId.delete(remoteId);
+    changed = true;
+  }
+
+  for (const { habit, date } of changes.deleted.completions) {
+    const habitId = localIdByRemoteId.get(habit);
+    if (habitId === undefined) continue;
+    await db.removeCompletion(habitId, date);
+    changed = true;
+  }
+
+  // Changed habits
+  for (const remote of changes.habits) {
+    const local = byRemoteId.get(remote._id) || byUuid.get(remote.uuid);
+    const fields = fromRemoteHabit(remote);
+
+    if (!local) {
+      const habitId = await db.createHabit(fields);
+      localIdByRemoteId.set(remote._id, habitId);
+      changed = true;
+      continue;
+    }
+
+    localIdByRemoteId.set(remote._id, local.id);
+    if (HABIT_FIELDS.some(field => field in fields && !isEqual(fields[field], local[field]))) {
+      changed = true;
+    }
+    await db.updateHabit({ ...local, ...fields });
+  }
+
+  // Changed completions
+  const remoteDatesByHabit = new Map();
+  for (const remote of changes.completions) {
+    const habitId = localIdByRemoteId.get(remote.habit);
+    if (habitId === undefined) continue;
+
+    if (!remoteDatesByHabit.has(habitId)) remoteDatesByHabit.set(habitId, new Set());
+    remoteDatesByHabit.get(habitId).add(remote.date);
+
+    const local = await db.getCompletionEntry(habitId, remote.date);
+    if (!local || COMPLETION_FIELDS.some(field => !isEqual(local[field], remote[field]))) {
+      changed = true;
+    }
+    await db.setCompletion(habitId, remote.date, {
+      ...pickCompletionFields(remote),
+      timestamp: remote.timestamp,
+      version: remote.version,
+      syncedBase: completionSyncedBase(remote)
+    });
+  }
+
+  if (changes.full) {
+    for (const habitId of localIdByRemoteId.values()) {
+      const remoteDates = remoteDatesByHabit.get(habitId) || new Set();
+      const localCompletions = await db.getCompletionsForHabit(habitId);
+      for (const completion of localCompletions.filter(c => !remoteDates.has(c.date))) {
+        await db.removeCompletion(habitId, completion.date);
+        changed = true;
+      }
+    }
+  }
+
+  await db.setSyncMeta('cursor', changes.cursor);
+  await db.setSyncMeta('lastSyncAt', new Date().toISOString());
+  return changed;
+}
+
+function notifyListeners() {
+  syncState.listeners.forEach(listener => {
+    try {
+      listener();
+    } catch (error) {
+      console.error('Sync listener failed:', error);
+    }
+  });
+}
+
+// ============================================
+// MAPPING
+// ============================================
+
+/**
+ * Convert a backend habit to local habit fields
+ */
+function fromRemoteHabit(remote) {
+  const fields = pickFields(remote, HABIT_FIELDS);
+  return {
+    ...fields,
+    remoteId: remote._id,
+    version: remote.version,
+    syncedBase: { ...fields }
+  };
+}
+
+/**
+ * Whether a day's record holds nothing: no value, not skipped, no note
+ */
+function isEmptyDay(record) {
+  return record.value === null && record.status !== 'skipped' && !record.note;
+}
+
+/**
+ * Compare two field values (dates, arrays and objects by content)
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
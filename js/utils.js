@@ -279,6 +279,69 @@ export function readFileAsText(file) {
   });
 }
 
+/**
+ * Read a file as binary data
+ * @param {File} file
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields with commas, quotes ("") and line breaks.
+ * @param {string} text
+ * @returns {Array<Array<string>>} - Rows, blank lines skipped
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  
+  // Skip a byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  
+  return rows;
+}
+
 /**
  * Escape HTML to prevent XSS
  * @param {string} str
@@ -0,0 +1,212 @@
+/**
+ * Minimal ZIP Reader and Writer
+ * Reads the files out of a ZIP archive and builds new ones, using
+ * (De)CompressionStream - enough for exported backups. The backend
+ * builds its CSV download with this same file (Node has those too).
+ * ZIP64 and encrypted archives are not supported.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+// Bit 11: file names are UTF-8
+const FLAG_UTF8 = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Whether the data starts like a ZIP archive ("PK\x03\x04")
+ * @param {ArrayBuffer} buffer
+ * @returns {boolean}
+ */
+export function isZip(buffer) {
+  return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === LOCAL_FILE_HEADER;
+}
+
+/**
+ * Extract every file of a ZIP archive
+ * @param {ArrayBuffer} buffer - The archive
+ * @returns {Promise<Map<string, Uint8Array>>} - File contents by path (folders skipped)
+ */
+export async function unzip(buffer) {
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+  const files = new Map();
+
+  const end = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Invalid ZIP file: broken central directory');
+    }
+
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    if (flags & 0x1) {
+      throw new Error(`Encrypted ZIP entries are not supported (${name})`);
+    }
+
+    // The local header's name and extra field can differ from the central one
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Invalid ZIP file: missing data for ${name}`);
+    }
+    const dataStart = localOffset + 30
+      + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+    files.set(name, await extract(data, method, name));
+  }
+
+  return files;
+}
+
+/**
+ * The End Of Central Directory record sits at the end, before an
+ * optional comment of up to 64KB
+ */
+function findEndOfCentralDirectory(view) {
+  const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+
+  for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+
+  throw new Error('Invalid ZIP file: no central directory');
+}
+
+async function extract(data, method, name) {
+  if (method === METHOD_STORED) {
+    return data.slice();
+  }
+
+  if (method === METHOD_DEFLATE) {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('This browser cannot unzip files');
+    }
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  throw new Error(`Unsupported ZIP compression method ${method} (${name})`);
+}
+
+/**
+ * Build a ZIP archive
+ * Files are deflated where the browser supports it, stored otherwise.
+ * @param {Map<string, string|Uint8Array>} files - Contents by path
+ * @returns {Promise<Blob>}
+ */
+export async function zip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, content] of files) {
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    const nameBytes = encoder.encode(name);
+    const compressed = await compress(data);
+    const method = compressed && compressed.length < data.length ? METHOD_DEFLATE : METHOD_STORED;
+    const body = method === METHOD_DEFLATE ? compressed : data;
+
+    const entry = {
+      flags: FLAG_UTF8,
+      method,
+      time,
+      date,
+      crc: crc32(data),
+      compressedSize: body.length,
+      size: data.length,
+      nameLength: nameBytes.length
+    };
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, 20, true); // Version needed to extract
+    writeEntryFields(local, 6, entry);
+    localParts.push(local, nameBytes, body);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    writeEntryFields(central, 8, entry);
+    central.setUint32(42, offset, true);
+    centralParts.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + body.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, files.size, true);
+  end.setUint16(10, files.size, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+/**
+ * The fields local and central headers share, from "flags" to "extra
+ * field length" (the central header's comment length etc. stay 0)
+ */
+function writeEntryFields(view, offset, entry) {
+  view.setUint16(offset, entry.flags, true);
+  view.setUint16(offset + 2, entry.method, true);
+  view.setUint16(offset + 4, entry.time, true);
+  view.setUint16(offset + 6, entry.date, true);
+  view.setUint32(offset + 8, entry.crc, true);
+  view.setUint32(offset + 12, entry.compressedSize, true);
+  view.setUint32(offset + 16, entry.size, true);
+  view.setUint16(offset + 20, entry.nameLength, true);
+}
+
+async function compress(data) {
+  if (typeof CompressionStream === 'undefined') return null;
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS format, local time, 2-second resolution
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
@@ -1,16 +1,28 @@
-const CACHE_NAME = 'loop-habits-v1';
-const STATIC_CACHE = 'loop-habits-static-v1';
+const CACHE_NAME = 'loop-habits-v24';
+const STATIC_CACHE = 'loop-habits-static-v24';
 
 const STATIC_ASSETS = [
   '/',
   '/index.html',
   '/css/styles.css',
   '/js/app.js',
+  '/js/api.js',
   '/js/db.js',
+  '/js/sync.js',
+  '/js/sync-fields.js',
+  '/js/reminders.js',
   '/js/habit-score.js',
   '/js/charts.js',
   '/js/confetti.js',
   '/js/utils.js',
+  '/js/zip.js',
+  '/js/loop-import.js',
+  '/js/backup-format.js',
+  '/js/csv-export.js',
+  '/js/csv-import.js',
+  '/js/ics.js',
+  '/js/vendor/sql.js/sql-wasm.js',
+  '/js/vendor/sql.js/sql-wasm.wasm',
   '/manifest.json',
   '/icons/icon-192.png',
   '/icons/icon-512.png'
@@ -98,30 +110,346 @@ self.addEventListener('fetch', (event) => {
   );
 });
 
-// Handle background sync for offline actions
+// ============================================
+// Background Sync - replay the offline outbox
+// ============================================
+
+// Must match DB_NAME in js/db.js and BACKGROUND_SYNC_TAG in js/sync.js
+const DB_NAME = 'LoopHabitsDB';
+const SYNC_TAG = 'sync-habits';
+
+// Retries within one sync event before handing back to the browser
+const SYNC_MAX_RETRIES = 3;
+const SYNC_RETRY_BASE_DELAY = 2000;
+
+// Payloads and merge bases are built exactly as js/sync.js builds them
+importScripts('/js/sync-fields.js');
+const { toRemoteHabit, pickCompletionFields, habitSyncedBase, completionSyncedBase } = self.SyncFields;
+
+// Must match TOKEN_USED_ERROR in js/api.js
+const TOKEN_USED_ERROR = 'Refresh token already used';
+
 self.addEventListener('sync', (event) => {
-  if (event.tag === 'sync-habits') {
-    console.log('Background sync triggered');
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(drainOutbox());
   }
 });
 
-// Handle push notifications (for future use)
+/**
+ * Replay the outbox, retrying with exponential backoff.
+ * Rejecting hands the sync back to the browser, which schedules
+ * another attempt later with its own backoff.
+ */
+async function drainOutbox() {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const drained = await replayOutbox();
+      if (drained) {
+        await notifyClients({ type: 'outbox-drained' });
+      }
+      return;
+    } catch (error) {
+      if (error.fatal || attempt >= SYNC_MAX_RETRIES) {
+        console.warn('Background sync failed:', error.message);
+        if (error.fatal) return;
+        throw error;
+      }
+      await new Promise((resolve) => setTimeout(resolve, SYNC_RETRY_BASE_DELAY * 2 ** attempt));
+    }
+  }
+}
+
+/**
+ * Send every pending outbox entry to the backend, oldest first
+ * @returns {Promise<boolean>} - True when something was sent
+ */
+async function replayOutbox() {
+  const database = await openDatabase();
+
+  try {
+    if (!database.objectStoreNames.contains('outbox')) return false;
+
+    const auth = await idbGet(database, 'syncMeta', 'auth');
+    if (!auth?.value?.token) return false;
+
+    const entries = await idbGetAll(database, 'outbox');
+
+    for (const entry of entries) {
+      try {
+        await replayEntry(database, auth.value, entry);
+      } catch (error) {
+        if (!error.permanent) {
+          await idbPut(database, 'outbox', {
+            ...entry,
+            attempts: (entry.attempts || 0) + 1,
+            lastError: error.message
+          });
+          throw error;
+        }
+        // The server will never accept this one - drop it rather than block the queue
+        console.warn(`Dropping outbox entry ${entry.op}:`, error.message);
+      }
+      await idbDelete(database, 'outbox', entry.id);
+    }
+
+    return entries.length > 0;
+  } finally {
+    database.close();
+  }
+}
+
+/**
+ * Replay a single outbox entry (mirrors pushEntry() in js/sync.js)
+ */
+async function replayEntry(database, auth, entry) {
+  const habit = entry.habitId === undefined || entry.op === 'habit:delete'
+    ? null
+    : await idbGet(database, 'habits', entry.habitId);
+
+  switch (entry.op) {
+    case 'habit:create': {
+      if (!habit || habit.remoteId) return;
+      const data = await apiRequest(auth, '/habits', 'POST', toRemoteHabit(habit));
+      await saveHabitSyncState(database, entry.habitId, data.habit);
+      return;
+    }
+
+    case 'habit:update': {
+      if (!habit) return;
+      const data = await apiRequest(auth, `/habits/${requireRemoteId(habit)}`, 'PUT', {
+        ...toRemoteHabit(habit),
+        baseVersion: habit.version
+      });
+      await saveHabitSyncState(database, entry.habitId, data.habit);
+      return;
+    }
+
+    case 'habit:delete':
+      try {
+        await apiRequest(auth, `/habits/${entry.remoteId}`, 'DELETE');
+      } catch (error) {
+        if (error.status !== 404) throw error;
+      }
+      return;
+
+    case 'habit:reorder': {
+      const habits = (await idbGetAll(database, 'habits'))
+        .filter(h => h.remoteId)
+        .sort((a, b) => (a.order || 0) - (b.order || 0));
+      if (habits.length === 0) return;
+      const data = await apiRequest(auth, '/habits/reorder', 'PUT', {
+        habitIds: habits.map(h => h.remoteId)
+      });
+      for (const remote of data.habits) {
+        const current = await idbGetByIndex(database, 'habits', 'remoteId', remote._id);
+        // Only when the reorder is the sole change since our copy
+        if (current && remote.version === current.version + 1) {
+          await idbPut(database, 'habits', {
+            ...current,
+            version: remote.version,
+            syncedBase: { ...current.syncedBase, order: remote.order }
+          });
+        }
+      }
+      return;
+    }
+
+    case 'completion:set': {
+      if (!habit) return;
+      const completion = await idbGetByIndex(database, 'completions', 'habitDate', [entry.habitId, entry.date]);
+      if (!completion) return;
+      const data = await apiRequest(auth, '/completions', 'POST', {
+        habitId: requireRemoteId(habit),
+        date: entry.date,
+        ...pickCompletionFields(completion),
+        baseVersion: completion.version ?? 0
+      });
+      // Re-read so a toggle made while the request was in flight isn't undone
+      const current = await idbGetByIndex(database, 'completions', 'habitDate', [entry.habitId, entry.date]);
+      if (current) {
+        await idbPut(database, 'completions', {
+          ...current,
+          version: data.completion.version,
+          syncedBase: completionSyncedBase(data.completion)
+        });
+      }
+      return;
+    }
+
+    case 'completion:delete':
+      if (!habit) return;
+      await apiRequest(auth, '/completions', 'DELETE', {
+        habitId: requireRemoteId(habit),
+        date: entry.date,
+        baseVersion: entry.baseVersion
+      });
+      return;
+
+    default:
+      console.warn('Unknown outbox operation:', entry.op);
+  }
+}
+
+/**
+ * Remember the server version of a habit after a successful write
+ * Re-reads so edits made while the request was in flight aren't lost.
+ */
+async function saveHabitSyncState(database, habitId, remote) {
+  const current = await idbGet(database, 'habits', habitId);
+  if (!current) return;
+
+  await idbPut(database, 'habits', {
+    ...current,
+    remoteId: remote._id,
+    version: remote.version,
+    syncedBase: habitSyncedBase(remote)
+  });
+}
+
+function requireRemoteId(habit) {
+  if (!habit.remoteId) {
+    throw new Error(`Habit ${habit.id} has not been created on the server yet`);
+  }
+  return habit.remoteId;
+}
+
+async function apiRequest(auth, endpoint, method, body, retry = true) {
+  const response = await fetch(`${auth.apiUrl}${endpoint}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${auth.token}`
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  // The access token expires after a few minutes - renew it and try again
+  if (response.status === 401 && retry && await refreshAuth(auth)) {
+    return apiRequest(auth, endpoint, method, body, false);
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed (${response.status})`);
+    error.status = response.status;
+    // Expired session or a conflict the user has to settle: leave it to the app
+    error.fatal = response.status === 401 || response.status === 409;
+    error.permanent = response.status >= 400 && response.status < 500 &&
+      ![401, 408, 409].includes(response.status);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Swap the refresh token for a new pair (mirrors sendRefresh() in
+ * js/api.js). The pair is written back to IndexedDB, where the app picks
+ * it up - each refresh token only works once.
+ * Updates `auth` in place, so the rest of the drain uses the new token.
+ * @returns {Promise<boolean>} - false when the session has ended
+ */
+async function refreshAuth(auth) {
+  if (!auth.refreshToken) return false;
+
+  const response = await fetch(`${auth.apiUrl}/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: auth.refreshToken })
+  });
+  const data = await response.json().catch(() => ({}));
+
+  const database = await openDatabase();
+  try {
+    if (response.ok) {
+      Object.assign(auth, { token: data.token, refreshToken: data.refreshToken, refreshedAt: Date.now() });
+      await idbPut(database, 'syncMeta', { key: 'auth', value: auth });
+      return true;
+    }
+
+    // The app refreshed first - give it a moment to store the new pair
+    if (data.error !== TOKEN_USED_ERROR) return false;
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    const stored = (await idbGet(database, 'syncMeta', 'auth'))?.value;
+    if (!stored?.refreshToken || stored.refreshToken === auth.refreshToken) return false;
+    Object.assign(auth, stored);
+    return true;
+  } finally {
+    database.close();
+  }
+}
+
+async function notifyClients(message) {
+  const clientList = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clientList.forEach((client) => client.postMessage(message));
+}
+
+// IndexedDB helpers
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function openDatabase() {
+  // No version: never trigger an upgrade from the worker, the app owns the schema
+  const database = await idbRequest(indexedDB.open(DB_NAME));
+  database.onversionchange = () => database.close();
+  return database;
+}
+
+function idbStore(database, storeName, mode = 'readonly') {
+  return database.transaction(storeName, mode).objectStore(storeName);
+}
+
+function idbGet(database, storeName, key) {
+  return idbRequest(idbStore(database, storeName).get(key));
+}
+
+function idbGetAll(database, storeName) {
+  return idbRequest(idbStore(database, storeName).getAll());
+}
+
+function idbGetByIndex(database, storeName, indexName, key) {
+  return idbRequest(idbStore(database, storeName).index(indexName).get(key));
+}
+
+function idbPut(database, storeName, value) {
+  return idbRequest(idbStore(database, storeName, 'readwrite').put(value));
+}
+
+function idbDelete(database, storeName, key) {
+  return idbRequest(idbStore(database, storeName, 'readwrite').delete(key));
+}
+
+// Handle push notifications (habit reminders from backend/scheduler.js)
 self.addEventListener('push', (event) => {
   if (!event.data) return;
 
   const data = event.data.json();
+  const isReminder = data.type === 'reminder';
   const options = {
     body: data.body || 'Time to check your habits!',
     icon: '/icons/icon-192.png',
     badge: '/icons/icon-72.png',
     vibrate: [100, 50, 100],
+    ...(data.tag && { tag: data.tag }),
     data: {
-      url: data.url || '/'
+      url: data.url || '/',
+      // The backend only knows the habit's uuid - resolved to the local id on "Done"
+      ...(isReminder && { uuid: data.uuid, date: data.date })
     },
-    actions: [
-      { action: 'open', title: 'Open App' },
-      { action: 'dismiss', title: 'Dismiss' }
-    ]
+    actions: isReminder
+      ? [
+          { action: 'done', title: 'Done' },
+          { action: 'skip', title: 'Skip' }
+        ]
+      : [
+          { action: 'open', title: 'Open App' },
+          { action: 'dismiss', title: 'Dismiss' }
+        ]
   };
 
   event.waitUntil(
@@ -135,6 +463,17 @@ self.addEventListener('notificationclick', (event) => {
 
   if (event.action === 'dismiss') return;
 
+  // Reminder "Done" / "Skip" - check the habit off (or skip the day)
+  // without opening the app
+  if (event.action === 'done' || event.action === 'skip') {
+    const { habitId, uuid, date } = event.notification.data || {};
+    if ((habitId || uuid) && date) {
+      const status = event.action === 'done' ? 'done' : 'skipped';
+      event.waitUntil(completeFromNotification({ habitId, uuid }, date, status));
+    }
+    return;
+  }
+
   event.waitUntil(
     clients.matchAll({ type: 'window', includeUncontrolled: true })
       .then((clientList) => {
@@ -151,3 +490,87 @@ self.addEventListener('notificationclick', (event) => {
       })
   );
 });
+
+/**
+ * Record a completion (or a skipped day) the way the app does: write it
+ * to IndexedDB, then (when signed in) queue it in the outbox for sync
+ * @param {string} status - 'done' or 'skipped'
+ */
+async function completeFromNotification({ habitId, uuid }, date, status) {
+  const database = await openDatabase();
+  let queued = false;
+
+  try {
+    const habit = habitId
+      ? await idbGet(database, 'habits', habitId)
+      : await idbGetByIndex(database, 'habits', 'uuid', uuid);
+    if (!habit) return;
+    habitId = habit.id;
+
+    // Already checked in (from the app or another notification). Skip
+    // never overwrites a logged day; Done replaces a skip or a partial value.
+    // A day with only a note counts as not logged yet.
+    const existing = await idbGetByIndex(database, 'completions', 'habitDate', [habitId, date]);
+    if (existing && existing.value !== null && (status === 'skipped' || (existing.status !== 'skipped' && isTargetMet(habit, existing.value)))) {
+      return;
+    }
+
+    await idbPut(database, 'completions', {
+      ...(existing || { habitId, date }),
+      timestamp: new Date().toISOString(),
+      status,
+      // "Done" on a measurable habit means its target was reached
+      value: status === 'skipped' ? 0 : habit.type === 'measurable' ? habit.target ?? 1 : 1
+    });
+
+    const auth = await idbGet(database, 'syncMeta', 'auth');
+    if (auth?.value?.token) {
+      await queueCompletion(database, habitId, date);
+      queued = true;
+    }
+  } finally {
+    database.close();
+  }
+
+  await notifyClients({ type: 'completion-recorded', habitId, date });
+
+  if (queued) {
+    try {
+      await self.registration.sync.register(SYNC_TAG);
+    } catch (error) {
+      // No Background Sync - try right away, the app retries otherwise
+      await drainOutbox().catch(() => {});
+    }
+  }
+}
+
+// Mirrors getProgress() in js/habit-score.js
+function isTargetMet(habit, value) {
+  if (value === null || value === undefined) return false;
+  if (habit.type !== 'measurable') return true;
+  const target = habit.target ?? 1;
+  return habit.targetType === 'at_most' ? value <= target : value >= target;
+}
+
+/**
+ * Add a completion to the outbox (mirrors enqueue() in js/sync.js:
+ * it replaces earlier entries for the same habit and day)
+ */
+async function queueCompletion(database, habitId, date) {
+  const pending = await idbGetAll(database, 'outbox');
+  const superseded = pending.filter((entry) =>
+    entry.op.startsWith('completion:') && entry.habitId === habitId && entry.date === date
+  );
+
+  for (const entry of superseded) {
+    await idbDelete(database, 'outbox', entry.id);
+  }
+
+  await idbPut(database, 'outbox', {
+    op: 'completion:set',
+    habitId,
+    date,
+    createdAt: new Date().toISOString(),
+    attempts: 0
+  });
+}